@@ -1,18 +1,80 @@
 const express = require('express');
+const cors = require('cors');
 const app = express();
 const http = require('http').createServer(app);
 const path = require('path');
+const boards = require('./server/boards');
+const presence = require('./server/presence');
+const { createFileStorage, createDebouncedSaver, sniffImageType } = require('./server/storage');
+const { createSnapshot, sequenceOp } = require('./src/shared/sync');
+const { parseBoardFile } = require('./src/shared/boardFormat');
+const { canEditPage, checkOp, setCreatedBy } = require('./src/shared/permissions');
+const { LIMITS, checkOpLimits, validateEvent } = require('./src/shared/schema');
+const { createRateLimiter } = require('./server/rateLimit');
+const { UPLOAD_MIME_TYPES, getAssetUrl } = require('./src/shared/assets');
 const io = require('socket.io')(http, {
   cors: {
     origin: "*",
     methods: ["GET", "POST"],
     credentials: true,
     allowedHeaders: ["*"]
-  }
+  },
+  // The biggest op (see below), with room for multi-byte characters
+  maxHttpBufferSize: 2 * LIMITS.maxOpSize,
 });
 
-// Store current state
-let currentPages = [{ id: 1, lines: [], shapes: [] }];
+// Boards are persisted to disk so they survive restarts and deploys
+const storage = createFileStorage(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const saver = createDebouncedSaver(storage, Number(process.env.SAVE_DEBOUNCE_MS) || 1000);
+
+// Per-socket limits for each client event: messages per second, allowed
+// bursts, and payload size in bytes (as JSON)
+const EVENT_LIMITS = {
+  op: { rate: 60, burst: 300, size: LIMITS.maxOpSize },
+  cursor: { rate: 40, burst: 40, size: 256 },
+  'presenter-view': { rate: 20, burst: 20, size: 256 },
+  'set-instrument': { rate: 30, burst: 30, size: 512 },
+  default: { rate: 5, burst: 20, size: 4096 },
+};
+// Refused messages a socket may send (refilled per second) before it is
+// disconnected
+const MAX_VIOLATIONS = { rate: 1, burst: 50 };
+
+const loadStoredBoards = async () => {
+  await storage.init();
+  const ids = (await storage.listBoardIds()).filter(boards.isValidBoardId);
+  for (const id of ids) {
+    try {
+      const record = await storage.loadBoard(id);
+      if (!record) continue;
+      const board = boards.restoreBoard(record);
+      if (!record.teacherToken) {
+        // Saved before roles existed: nobody has the new token, so hand it
+        // to whoever runs the server
+        console.log(`Teacher token for board ${board.id}: ${board.teacherToken}`);
+        saver.schedule(board);
+      }
+    } catch (err) {
+      console.error(`Failed to load board ${id}:`, err);
+    }
+  }
+  console.log(`Loaded ${ids.length} board(s) from storage`);
+};
+
+// Boards are created lazily the first time someone joins them, so sharing a
+// /board/:id link is enough to start a new session
+const getOrCreateBoard = (id) => {
+  const existing = boards.getBoard(id);
+  if (existing) return existing;
+  const board = boards.createBoard({ id });
+  saver.schedule(board);
+  return board;
+};
+
+// Requests that change a board wholesale must come from its teacher
+const hasTeacherToken = (req, board) => boards.isTeacherToken(board, req.get('X-Board-Token'));
+
+app.use(cors());
 
 // Serve static files from the React app in production
 if (process.env.NODE_ENV === 'production') {
@@ -27,53 +89,357 @@ app.get('/api/status', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// --- Board management ---
+app.get('/api/boards', (req, res) => {
+  res.json({ boards: boards.listBoards() });
+});
+
+app.post('/api/boards', express.json(), (req, res) => {
+  const { id, name } = req.body || {};
+  if (id !== undefined && !boards.isValidBoardId(id)) {
+    return res.status(400).json({ error: 'Board id may only contain letters, numbers, "-" and "_"' });
+  }
+  if (id && boards.getBoard(id)) {
+    return res.status(409).json({ error: 'Board already exists' });
+  }
+  const board = boards.createBoard({ id, name });
+  saver.schedule(board);
+  // The only time the teacher token is handed out; the creator keeps it
+  res.status(201).json({ board: boards.describeBoard(board), teacherToken: board.teacherToken });
+});
+
+// Seed a board from an uploaded board file (see docs/board-format.md),
+// replacing its contents. Everyone in the room gets the new snapshot.
+// Importing into an existing board needs its teacher token; a new board is
+// created and its token returned.
+app.post('/api/boards/:id/import', express.json({ limit: process.env.BOARD_FILE_LIMIT || '25mb' }), async (req, res) => {
+  const { id } = req.params;
+  if (!boards.isValidBoardId(id)) {
+    return res.status(400).json({ error: 'Invalid board id' });
+  }
+
+  let imported;
+  try {
+    imported = parseBoardFile(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const existing = boards.getBoard(id);
+  if (existing && !hasTeacherToken(req, existing)) {
+    return res.status(403).json({ error: 'Only the teacher can import into this board' });
+  }
+
+  // Embedded images become assets, so snapshots stay small
+  let pages;
+  try {
+    pages = await storage.externalizeImages(imported.pages);
+  } catch (err) {
+    console.error(`Failed to store images for board ${id}:`, err);
+    return res.status(500).json({ error: 'Could not store the board\'s images' });
+  }
+
+  const board = existing || getOrCreateBoard(id);
+  board.pages = pages;
+  board.lockedPages = []; // Page IDs from the old contents
+  // Ops in flight were made against the old contents; a new seq makes
+  // clients that missed the snapshot resync
+  board.seq = (board.seq || 0) + 1;
+  board.recentOpIds = [];
+  saver.schedule(board);
+  io.to(board.id).emit('draw-update', createSnapshot(board));
+  io.to(board.id).emit('board-settings', boards.getBoardSettings(board));
+  res.json({ board: boards.describeBoard(board), ...(existing ? {} : { teacherToken: board.teacherToken }) });
+});
+
+app.delete('/api/boards/:id', (req, res) => {
+  const { id } = req.params;
+  const board = boards.getBoard(id);
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+  if (!hasTeacherToken(req, board)) {
+    return res.status(403).json({ error: 'Only the teacher can delete this board' });
+  }
+  boards.deleteBoard(id);
+  saver.cancel(id);
+  storage.deleteBoard(id).catch(err => console.error(`Failed to delete stored board ${id}:`, err));
+  // Kick everyone out of the deleted board's room. Their sockets forget the
+  // board and their role on it too, so a new board created under the same id
+  // doesn't take their ops.
+  io.to(id).emit('board-deleted', { boardId: id });
+  io.in(id).fetchSockets().then((sockets) => {
+    sockets.forEach((socket) => {
+      socket.leave(id);
+      socket.data = {};
+    });
+  });
+  presence.clearBoard(id);
+  res.status(204).end();
+});
+
+// --- Image assets ---
+// Images are uploaded once and stored by content hash; image shapes then
+// reference the returned URL. The body is the raw image, and its bytes
+// decide the type, not the Content-Type header.
+app.post('/api/assets', express.raw({ type: UPLOAD_MIME_TYPES, limit: process.env.ASSET_SIZE_LIMIT || '10mb' }), async (req, res) => {
+  const type = Buffer.isBuffer(req.body) ? sniffImageType(req.body) : null;
+  if (!type || !UPLOAD_MIME_TYPES.includes(type)) {
+    return res.status(415).json({ error: 'Images must be PNG, JPEG, GIF or WebP' });
+  }
+  try {
+    const fileName = await storage.storeAsset(req.body, type);
+    res.status(201).json({ url: getAssetUrl(fileName) });
+  } catch (err) {
+    console.error('Failed to store asset:', err);
+    res.status(500).json({ error: 'Could not store the image' });
+  }
+});
+
+// Assets never change, so they can be cached forever. The CSP keeps older
+// embedded SVGs from running scripts when opened directly.
+app.get('/api/assets/:file', (req, res) => {
+  const assetPath = storage.getAssetPath(req.params.file);
+  if (!assetPath) {
+    return res.status(404).json({ error: 'Asset not found' });
+  }
+  res.set({ 'X-Content-Type-Options': 'nosniff', 'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'" });
+  res.sendFile(assetPath, { maxAge: '1y', immutable: true }, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Asset not found' });
+  });
+});
+
+// Body parser errors (too large, malformed JSON) as JSON, like other API errors
+app.use('/api', (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.status || 500;
+  res.status(status).json({ error: status === 413 ? 'Request too large' : err.expose ? err.message : 'Server error' });
+});
+
 io.on('connection', (socket) => {
   console.log('a user connected');
-  
-  // Send current state to new clients
-  socket.emit('draw-update', { pages: currentPages });
-
-  // Handle all drawing updates
-  socket.on('draw-update', (data) => {
-    if (data.pages) {
-      // Process and validate shape data
-      const processedPages = data.pages.map(page => ({
-        ...page,
-        shapes: Array.isArray(page.shapes) ? page.shapes.map(shape => {
-          // Ensure shape has required properties
-          if (!shape.id) shape.id = Date.now().toString();
-          
-          // Make sure shape has all required properties based on type
-          if (shape.type === 'line' && !shape.points) {
-            shape.points = [];
-          }
-          
-          // Ensure numeric properties are valid
-          if (shape.x === undefined) shape.x = 0;
-          if (shape.y === undefined) shape.y = 0;
-          if (shape.width === undefined) shape.width = 10;
-          if (shape.height === undefined) shape.height = 10;
-          if (shape.strokeWidth === undefined) shape.strokeWidth = 5;
-          
-          return shape;
-        }) : []
-      }));
-      
-      currentPages = processedPages;
-      // Broadcast to all clients including sender
-      io.emit('draw-update', { pages: currentPages });
+
+  const rateLimiters = {};
+  const allowViolation = createRateLimiter(MAX_VIOLATIONS);
+
+  // Register a handler for a client event. The payload must be within the
+  // event's rate and size limits and match its schema (src/shared/schema.js);
+  // otherwise the sender gets a board-error, with the opId for refused ops so
+  // it can roll them back. Clients that keep sending bad messages are dropped.
+  const on = (event, handler) => {
+    const limits = EVENT_LIMITS[event] || EVENT_LIMITS.default;
+    rateLimiters[event] = createRateLimiter(limits);
+    socket.on(event, (data) => {
+      let error = null;
+      if (!rateLimiters[event]()) {
+        error = 'Too many messages, slow down';
+      } else if (data !== undefined && JSON.stringify(data).length > limits.size) {
+        error = 'Message too large';
+      } else {
+        try {
+          validateEvent(event, data);
+        } catch (err) {
+          error = err.message;
+        }
+      }
+      if (!error) {
+        handler(data);
+        return;
+      }
+
+      socket.emit('board-error', { error, event, opId: event === 'op' && data ? data.opId : undefined });
+      if (!allowViolation()) {
+        console.warn(`Disconnecting ${socket.id}: too many refused messages (last: ${error})`);
+        socket.disconnect(true);
+      }
+    });
+  };
+
+  // The full participant list goes to the whole room whenever it changes
+  const broadcastPresence = (boardId) => {
+    io.to(boardId).emit('presence', { participants: presence.list(boardId) });
+  };
+
+  // Followers move their view to wherever the presenter is
+  const broadcastPresenter = (boardId) => {
+    io.to(boardId).emit('presenter', { presenter: presence.getPresenter(boardId) });
+  };
+
+  const leavePresence = () => {
+    const boardId = socket.data.boardId;
+    if (!boardId) return;
+    if (presence.stopPresenting(boardId, socket.id)) broadcastPresenter(boardId);
+    if (presence.leave(boardId, socket.id)) broadcastPresence(boardId);
+  };
+
+  // Lock changes go to the whole room
+  const broadcastSettings = (board) => {
+    io.to(board.id).emit('board-settings', boards.getBoardSettings(board));
+  };
+
+  // Clients join exactly one board room; all drawing events are scoped to it.
+  // `user` is the display name and color shown to the others. Whoever
+  // presents the board's teacher `token`, or creates the board by joining
+  // it, is the teacher; everyone else is a student. `authorKey` tells the
+  // server which objects on the board are the client's own.
+  on('join-board', (data) => {
+    const { boardId } = data;
+
+    if (socket.data.boardId && socket.data.boardId !== boardId) {
+      leavePresence();
+      socket.leave(socket.data.boardId);
     }
+    const isNew = !boards.getBoard(boardId);
+    const board = getOrCreateBoard(boardId);
+    const role = isNew || boards.isTeacherToken(board, data.token) ? 'teacher' : 'student';
+    socket.data.boardId = board.id;
+    socket.data.role = role;
+    socket.data.authorId = boards.getAuthorId(board.id, data.authorKey);
+    socket.join(board.id);
+    const participant = presence.join(board.id, socket.id, data.user, role);
+    console.log(`${participant.name} joined board ${board.id} as ${role}`);
+
+    // Send current state of this board to the new client
+    socket.emit('role', { role, authorId: socket.data.authorId, ...(isNew ? { teacherToken: board.teacherToken } : {}) });
+    socket.emit('board-settings', boards.getBoardSettings(board));
+    socket.emit('draw-update', createSnapshot(board));
+    socket.emit('presenter', { presenter: presence.getPresenter(board.id) });
+    socket.emit('instruments', { instruments: presence.getInstruments(board.id) });
+    broadcastPresence(board.id);
   });
 
-  // Keep this handler for backward compatibility
-  socket.on('add-page', (data) => {
-    if (data.pages) {
-      currentPages = data.pages;
-      io.emit('draw-update', { pages: currentPages }); // Changed to use draw-update for consistency
+  // Board the socket has joined, or null if it hasn't joined one (or it was deleted)
+  const getJoinedBoard = () => socket.data.boardId ? boards.getBoard(socket.data.boardId) : null;
+
+  // Apply a single board operation, give it the next sequence number and
+  // broadcast it to the whole room. The sender gets it back too, which is how
+  // it knows the op was accepted and in which order. What it adds is stamped
+  // with the sender's author ID; teachers may restore other people's objects
+  // as they were.
+  on('op', (data) => {
+    const board = getJoinedBoard();
+    if (!board) return;
+
+    const { role, authorId } = socket.data;
+    const op = setCreatedBy(data, authorId, { keep: role === 'teacher' });
+    const denied = checkOp(role, boards.getBoardSettings(board), op, board.pages, authorId)
+      || checkOpLimits(board.pages, op);
+    if (denied) {
+      socket.emit('board-error', { error: denied, opId: op.opId });
+      return;
+    }
+
+    let sequenced;
+    try {
+      sequenced = sequenceOp(board, op);
+    } catch (err) {
+      socket.emit('board-error', { error: err.message, opId: op.opId });
+      return;
+    }
+    if (!sequenced) return; // Duplicate of an op we already applied
+
+    saver.schedule(board);
+    io.to(board.id).emit('op', sequenced);
+
+    // Forget locks on pages that no longer exist
+    const lockedPages = board.lockedPages.filter(id => board.pages.some(page => page.id === id));
+    if (lockedPages.length !== board.lockedPages.length) {
+      board.lockedPages = lockedPages;
+      broadcastSettings(board);
     }
   });
 
+  // Teacher-only: make the whole board read-only for students, or a single
+  // page with `pageId`
+  on('set-lock', (data) => {
+    const board = getJoinedBoard();
+    if (!board) return;
+    if (socket.data.role !== 'teacher') {
+      socket.emit('board-error', { error: 'Only the teacher can lock the board' });
+      return;
+    }
+    const { locked } = data;
+    if (data.pageId !== undefined) {
+      if (!board.pages.some(page => page.id === data.pageId)) return;
+      const others = board.lockedPages.filter(id => id !== data.pageId);
+      board.lockedPages = locked ? [...others, data.pageId] : others;
+    } else {
+      board.locked = locked;
+    }
+    saver.schedule(board);
+    broadcastSettings(board);
+  });
+
+  // Client asks for a fresh full snapshot, e.g. after it fell out of sync
+  on('resync', () => {
+    const board = getJoinedBoard();
+    if (board) socket.emit('draw-update', createSnapshot(board));
+  });
+
+  // Change of display name or color
+  on('set-user', (user) => {
+    const board = getJoinedBoard();
+    if (board && presence.update(board.id, socket.id, user)) broadcastPresence(board.id);
+  });
+
+  // Pointer position, relayed to the rest of the room. Clients throttle
+  // these and a stale position may be dropped (volatile), but the null that
+  // hides the pointer must arrive.
+  on('cursor', (data) => {
+    const board = getJoinedBoard();
+    const cursor = presence.sanitizeCursor(data);
+    if (!board || cursor === undefined) return;
+    const room = cursor ? socket.to(board.id).volatile : socket.to(board.id);
+    room.emit('cursor', { id: socket.id, cursor });
+  });
+
+  // Presenter mode (teacher only): everyone following sees the presenter's
+  // page and view. A new presenter takes over from the previous one.
+  on('start-presenting', () => {
+    const board = getJoinedBoard();
+    if (!board) return;
+    if (socket.data.role !== 'teacher') {
+      socket.emit('board-error', { error: 'Only the teacher can present' });
+      return;
+    }
+    presence.startPresenting(board.id, socket.id);
+    broadcastPresenter(board.id);
+  });
+
+  on('stop-presenting', () => {
+    const board = getJoinedBoard();
+    if (board && presence.stopPresenting(board.id, socket.id)) broadcastPresenter(board.id);
+  });
+
+  // The presenter's page and visible area; clients throttle these. Sent
+  // reliably so followers end up where the presenter stopped.
+  on('presenter-view', (data) => {
+    const board = getJoinedBoard();
+    const view = presence.sanitizeView(data);
+    if (board && view && presence.setPresenterView(board.id, socket.id, view)) broadcastPresenter(board.id);
+  });
+
+  // Geometry instruments: shown to the whole room but never saved. Moving
+  // one needs edit rights on the page it's on and the page it goes to;
+  // clients throttle these while dragging. The sender already shows the
+  // change, so it only gets the instruments back when refused.
+  on('set-instrument', (data) => {
+    const board = getJoinedBoard();
+    if (!board) return;
+    const settings = boards.getBoardSettings(board);
+    const current = presence.getInstruments(board.id)[data.kind];
+    const pageIds = [current, data.instrument].filter(Boolean).map(instrument => instrument.pageId);
+    if (!pageIds.every(pageId => canEditPage(socket.data.role, settings, pageId))) {
+      socket.emit('board-error', { error: settings.locked ? 'The board is locked by the teacher' : 'This page is locked by the teacher' });
+      socket.emit('instruments', { instruments: presence.getInstruments(board.id) });
+      return;
+    }
+    presence.setInstrument(board.id, data.kind, data.instrument);
+    socket.to(board.id).emit('instruments', { instruments: presence.getInstruments(board.id) });
+  });
+
   socket.on('disconnect', () => {
+    leavePresence();
     console.log('user disconnected');
   });
 });
@@ -85,8 +451,26 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
+// Write pending changes before the process exits
+const shutdown = async () => {
+  await saver.flush();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 // Use PORT from environment variable or default to 3001
 const PORT = process.env.PORT || 3001;
-http.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+loadStoredBoards()
+  .catch(err => console.error('Failed to load stored boards:', err))
+  .then(() => {
+    // Make sure the default board always exists. Nobody created it, so its
+    // teacher token goes to whoever runs the server.
+    if (!boards.getBoard(boards.DEFAULT_BOARD_ID)) {
+      const board = getOrCreateBoard(boards.DEFAULT_BOARD_ID);
+      console.log(`Teacher token for board ${board.id}: ${board.teacherToken}`);
+    }
+    http.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  });
\ No newline at end of file
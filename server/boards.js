@@ -0,0 +1,117 @@
+// In-memory registry of boards. Every board is its own socket.io room, keyed
+// by the board ID that appears in the client URL (/board/:id).
+
+const crypto = require('crypto');
+const { normalizePages } = require('../src/shared/ops');
+const { BOARD_ID_PATTERN } = require('../src/shared/schema');
+
+const DEFAULT_BOARD_ID = 'default';
+
+const boards = new Map();
+
+const createEmptyPages = () => [{ id: 1, lines: [], shapes: [] }];
+
+const isValidBoardId = (id) => typeof id === 'string' && BOARD_ID_PATTERN.test(id);
+
+// Secret that makes whoever presents it the board's teacher (see
+// src/shared/permissions.js). Handed out once, when the board is created.
+const generateTeacherToken = () => crypto.randomBytes(18).toString('base64url');
+
+const isTeacherToken = (board, token) => {
+  if (typeof token !== 'string' || !board.teacherToken) return false;
+  const expected = Buffer.from(board.teacherToken);
+  const actual = Buffer.from(token);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Public ID recorded as `createdBy` on what a client adds to the board (see
+// src/shared/permissions.js). It is derived from `authorKey`, a secret each
+// browser keeps, so the same person gets the same ID after a reconnect
+// while nobody can claim someone else's. Without a key the client gets a new
+// ID, and only keeps its objects until it leaves.
+const getAuthorId = (boardId, authorKey) => {
+  const secret = typeof authorKey === 'string' && authorKey ? authorKey : crypto.randomBytes(18).toString('base64url');
+  return crypto.createHash('sha256').update(`${boardId}:${secret}`).digest('base64url').slice(0, 24);
+};
+
+// Lock state sent to clients: { locked, lockedPages }
+const getBoardSettings = (board) => ({ locked: board.locked, lockedPages: board.lockedPages });
+
+// Short random ID for boards created without an explicit one
+const generateBoardId = () => {
+  let id;
+  do {
+    id = Math.random().toString(36).slice(2, 10);
+  } while (boards.has(id));
+  return id;
+};
+
+const createBoard = ({ id, name } = {}) => {
+  const boardId = id || generateBoardId();
+  if (!isValidBoardId(boardId)) {
+    throw new Error(`Invalid board id: ${boardId}`);
+  }
+  if (boards.has(boardId)) {
+    throw new Error(`Board already exists: ${boardId}`);
+  }
+
+  const board = {
+    id: boardId,
+    name: typeof name === 'string' && name.trim() ? name.trim() : boardId,
+    createdAt: new Date().toISOString(),
+    pages: createEmptyPages(),
+    teacherToken: generateTeacherToken(),
+    locked: false, // Read-only for students
+    lockedPages: [], // IDs of pages only the teacher can change
+    seq: 0, // Sequence number of the last op applied (see src/shared/sync.js)
+    recentOpIds: [],
+  };
+  boards.set(boardId, board);
+  return board;
+};
+
+// Re-register a board loaded from storage
+const restoreBoard = (record) => {
+  const board = {
+    id: record.id,
+    name: record.name || record.id,
+    createdAt: record.createdAt || new Date().toISOString(),
+    pages: normalizePages(record.pages),
+    // Boards saved before roles existed get a token on their first load
+    teacherToken: record.teacherToken || generateTeacherToken(),
+    locked: record.locked === true,
+    lockedPages: Array.isArray(record.lockedPages) ? record.lockedPages : [],
+    seq: 0,
+    recentOpIds: [],
+  };
+  boards.set(board.id, board);
+  return board;
+};
+
+const getBoard = (id) => boards.get(id) || null;
+
+const deleteBoard = (id) => boards.delete(id);
+
+// Summary used by the REST API; pages are only sent over the socket
+const describeBoard = (board) => ({
+  id: board.id,
+  name: board.name,
+  createdAt: board.createdAt,
+  pageCount: board.pages.length,
+});
+
+const listBoards = () => Array.from(boards.values()).map(describeBoard);
+
+module.exports = {
+  DEFAULT_BOARD_ID,
+  isValidBoardId,
+  isTeacherToken,
+  getAuthorId,
+  getBoardSettings,
+  createBoard,
+  restoreBoard,
+  getBoard,
+  deleteBoard,
+  describeBoard,
+  listBoards,
+};
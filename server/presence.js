@@ -0,0 +1,133 @@
+// Who is on each board right now: display name, color and role per socket,
+// who is presenting, and the geometry instruments lying on its pages. Kept
+// in memory only and never saved with the board.
+
+const MAX_NAME_LENGTH = 32;
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+const FALLBACK_COLORS = ['#E6194B', '#3CB44B', '#4363D8', '#F58231', '#911EB4', '#42D4F4', '#F032E6', '#9A6324'];
+
+// boardId -> Map(socketId -> participant)
+const rooms = new Map();
+
+// boardId -> { id, view } of the socket presenting; followers' views track
+// its `view`
+const presenters = new Map();
+
+// boardId -> { ruler, protractor, compass }, each { pageId, x, y, ... } when
+// out (see src/utils/instruments.js). Checked against the schema on arrival.
+const instruments = new Map();
+
+// Clean up a client-supplied { name, color }
+const sanitizeUser = (data, socketId) => {
+  const name = data && typeof data.name === 'string' ? data.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  const color = data && typeof data.color === 'string' && COLOR_PATTERN.test(data.color)
+    ? data.color.toUpperCase()
+    : FALLBACK_COLORS[socketId.charCodeAt(0) % FALLBACK_COLORS.length];
+  return { name: name || 'Guest', color };
+};
+
+// A cursor position { pageId, x, y } in world coordinates, or null when the
+// pointer left the board. Returns undefined for anything else.
+const sanitizeCursor = (data) => {
+  if (data === null) return null;
+  if (!data || typeof data !== 'object') return undefined;
+  const { pageId, x, y } = data;
+  const validPageId = (typeof pageId === 'string' && pageId.length <= 64) || Number.isFinite(pageId);
+  if (!validPageId || !Number.isFinite(x) || !Number.isFinite(y)) return undefined;
+  return { pageId, x, y };
+};
+
+// The part of a page the presenter sees, { pageId, x, y, width, height } in
+// world coordinates. Returns undefined for anything else.
+const sanitizeView = (data) => {
+  if (!data || typeof data !== 'object') return undefined;
+  const { pageId, x, y, width, height } = data;
+  const validPageId = (typeof pageId === 'string' && pageId.length <= 64) || Number.isFinite(pageId);
+  if (!validPageId || ![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) return undefined;
+  return { pageId, x, y, width, height };
+};
+
+const join = (boardId, socketId, user, role) => {
+  if (!rooms.has(boardId)) rooms.set(boardId, new Map());
+  const participant = { id: socketId, ...sanitizeUser(user, socketId), role };
+  rooms.get(boardId).set(socketId, participant);
+  return participant;
+};
+
+const update = (boardId, socketId, user) => {
+  const room = rooms.get(boardId);
+  if (!room || !room.has(socketId)) return null;
+  const participant = { ...room.get(socketId), ...sanitizeUser(user, socketId) };
+  room.set(socketId, participant);
+  return participant;
+};
+
+const startPresenting = (boardId, socketId) => {
+  const presenter = { id: socketId, view: null };
+  presenters.set(boardId, presenter);
+  return presenter;
+};
+
+// Returns true if the socket was the presenter
+const stopPresenting = (boardId, socketId) => {
+  const presenter = presenters.get(boardId);
+  if (!presenter || presenter.id !== socketId) return false;
+  presenters.delete(boardId);
+  return true;
+};
+
+// Returns false unless the socket is the presenter
+const setPresenterView = (boardId, socketId, view) => {
+  const presenter = presenters.get(boardId);
+  if (!presenter || presenter.id !== socketId) return false;
+  presenter.view = view;
+  return true;
+};
+
+const getPresenter = (boardId) => presenters.get(boardId) || null;
+
+const getInstruments = (boardId) => instruments.get(boardId) || {};
+
+// Put an instrument out, move it, or put it away with null
+const setInstrument = (boardId, kind, instrument) => {
+  const next = { ...getInstruments(boardId) };
+  if (instrument) next[kind] = instrument;
+  else delete next[kind];
+  instruments.set(boardId, next);
+};
+
+// Returns true if the socket was on the board
+const leave = (boardId, socketId) => {
+  const room = rooms.get(boardId);
+  if (!room || !room.delete(socketId)) return false;
+  if (room.size === 0) {
+    // Nobody left to see the instruments
+    rooms.delete(boardId);
+    instruments.delete(boardId);
+  }
+  return true;
+};
+
+const clearBoard = (boardId) => {
+  rooms.delete(boardId);
+  presenters.delete(boardId);
+  instruments.delete(boardId);
+};
+
+const list = (boardId) => Array.from((rooms.get(boardId) || new Map()).values());
+
+module.exports = {
+  sanitizeCursor,
+  sanitizeView,
+  join,
+  update,
+  leave,
+  clearBoard,
+  list,
+  startPresenting,
+  stopPresenting,
+  setPresenterView,
+  getPresenter,
+  getInstruments,
+  setInstrument,
+};
@@ -0,0 +1,20 @@
+// Token-bucket rate limiting: `burst` calls are allowed up front and the
+// allowance refills at `rate` per second. Returns a function that reports
+// whether one more call is allowed right now.
+
+const createRateLimiter = ({ rate, burst }) => {
+  let tokens = burst;
+  let last = Date.now();
+  return () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * rate);
+    last = now;
+    if (tokens < 1) return false;
+    tokens -= 1;
+    return true;
+  };
+};
+
+module.exports = {
+  createRateLimiter,
+};
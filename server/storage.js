@@ -0,0 +1,239 @@
+// File-based board storage. Each board is written as JSON to
+// <dataDir>/boards/<id>.json. Images live in <dataDir>/assets/<sha256>.<ext>
+// and are referenced as "asset:<file>" inside the board file, so a save only
+// rewrites the drawing data, not the images. In memory, image shapes point
+// at the asset's URL (see src/shared/assets.js); embedded (base64) images
+// are split out into assets when a board is loaded, imported or saved.
+// Images of any type that can't be uploaded (say SVG, which can carry
+// scripts) are dropped from the board then, so the asset route only ever
+// serves the upload types.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { ASSET_FILE_PATTERN, UPLOAD_MIME_TYPES, getAssetFileName, getAssetUrl } = require('../src/shared/assets');
+
+const ASSET_REF_PREFIX = 'asset:';
+const DATA_URL_PATTERN = /^data:[a-z]+\/[a-z0-9.+-]+;base64,(.*)$/is;
+
+// One for each of UPLOAD_MIME_TYPES
+const MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+// The image type `bytes` actually holds, from its signature, or null
+const sniffImageType = (bytes) => {
+  const ascii = (start, end) => bytes.toString('latin1', start, end);
+  if (bytes.length >= 8 && bytes.readUInt32BE(0) === 0x89504E47) return 'image/png';
+  if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'image/jpeg';
+  if (bytes.length >= 6 && (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a')) return 'image/gif';
+  if (bytes.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  return null;
+};
+
+// Write to a temp file first so a crash mid-write never leaves a truncated board
+const writeFileAtomic = async (filePath, contents) => {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, contents);
+  await fs.rename(tmpPath, filePath);
+};
+
+const fileExists = async (filePath) => {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const createFileStorage = (dataDir) => {
+  const boardsDir = path.join(dataDir, 'boards');
+  const assetsDir = path.join(dataDir, 'assets');
+  // data URL -> asset file name, so unchanged images aren't re-hashed on every save
+  const assetRefCache = new Map();
+
+  const boardPath = (id) => path.join(boardsDir, `${id}.json`);
+
+  const init = async () => {
+    await fs.mkdir(boardsDir, { recursive: true });
+    await fs.mkdir(assetsDir, { recursive: true });
+  };
+
+  // Store image bytes under their content hash; returns the asset file name.
+  // `mime` must be one of UPLOAD_MIME_TYPES.
+  const storeAsset = async (bytes, mime) => {
+    const ext = MIME_EXTENSIONS[mime];
+    if (!ext) throw new Error(`Not an image type assets can hold: ${mime}`);
+    const hash = crypto.createHash('sha256').update(bytes).digest('hex');
+    const fileName = `${hash}.${ext}`;
+    const assetPath = path.join(assetsDir, fileName);
+
+    if (!(await fileExists(assetPath))) {
+      await writeFileAtomic(assetPath, bytes);
+    }
+    return fileName;
+  };
+
+  // Asset file name for an embedded image, or null if it isn't a data URL
+  // of an image type that may be uploaded. Like uploads, the bytes decide
+  // the type, not the declared one.
+  const storeDataUrl = async (dataUrl) => {
+    if (assetRefCache.has(dataUrl)) return assetRefCache.get(dataUrl);
+
+    const match = DATA_URL_PATTERN.exec(dataUrl);
+    if (!match) return null;
+    const bytes = Buffer.from(match[1], 'base64');
+    const type = sniffImageType(bytes);
+    const fileName = type && UPLOAD_MIME_TYPES.includes(type) ? await storeAsset(bytes, type) : null;
+    assetRefCache.set(dataUrl, fileName);
+    return fileName;
+  };
+
+  // Path of a stored asset, or null for anything that isn't an asset name
+  const getAssetPath = (fileName) => (
+    ASSET_FILE_PATTERN.test(fileName) ? path.join(assetsDir, fileName) : null
+  );
+
+  // Apply an async transform to the `image` field of every image shape;
+  // shapes it returns null for are dropped
+  const mapImages = async (pages, transform) => Promise.all(pages.map(async (page) => {
+    const shapes = await Promise.all((page.shapes || []).map(async (shape) => {
+      if (shape.type !== 'image' || typeof shape.image !== 'string') return shape;
+      const image = await transform(shape.image);
+      return image === null ? null : { ...shape, image };
+    }));
+    return { ...page, shapes: shapes.filter(Boolean) };
+  }));
+
+  // Asset file name for an embedded image, or null if it can't be one
+  const storeEmbeddedImage = async (dataUrl) => {
+    const fileName = await storeDataUrl(dataUrl);
+    if (!fileName) console.warn('Dropping an embedded image that isn\'t PNG, JPEG, GIF or WebP');
+    return fileName;
+  };
+
+  // Replace embedded images with asset URLs
+  const externalizeImages = (pages) => mapImages(pages, async (image) => {
+    if (!image.startsWith('data:')) return image;
+    const fileName = await storeEmbeddedImage(image);
+    return fileName ? getAssetUrl(fileName) : null;
+  });
+
+  const saveBoard = async (board) => {
+    const pages = await mapImages(board.pages, async (image) => {
+      if (image.startsWith('data:')) {
+        const fileName = await storeEmbeddedImage(image);
+        return fileName ? ASSET_REF_PREFIX + fileName : null;
+      }
+      const fileName = getAssetFileName(image);
+      return fileName ? ASSET_REF_PREFIX + fileName : image;
+    });
+    const record = {
+      id: board.id,
+      name: board.name,
+      createdAt: board.createdAt,
+      teacherToken: board.teacherToken,
+      locked: board.locked,
+      lockedPages: board.lockedPages,
+      pages,
+    };
+    await writeFileAtomic(boardPath(board.id), JSON.stringify(record));
+  };
+
+  const loadBoard = async (id) => {
+    let raw;
+    try {
+      raw = await fs.readFile(boardPath(id), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    const record = JSON.parse(raw);
+    const pages = await mapImages(record.pages || [], async (image) => {
+      if (!image.startsWith(ASSET_REF_PREFIX)) return image;
+      const fileName = path.basename(image.slice(ASSET_REF_PREFIX.length));
+      if (!ASSET_FILE_PATTERN.test(fileName)) {
+        // Stored by an older version, which kept any embedded type
+        console.warn(`Dropping asset ${image} of board ${id}: not an image type that can be uploaded`);
+        return null;
+      }
+      if (!(await fileExists(path.join(assetsDir, fileName)))) {
+        console.error(`Missing asset ${image} for board ${id}`);
+      }
+      return getAssetUrl(fileName);
+    });
+    // Boards can still hold embedded images from older versions
+    return { ...record, pages: await externalizeImages(pages) };
+  };
+
+  const listBoardIds = async () => {
+    const files = await fs.readdir(boardsDir);
+    return files.filter(f => f.endsWith('.json')).map(f => f.slice(0, -'.json'.length));
+  };
+
+  const deleteBoard = async (id) => {
+    await fs.rm(boardPath(id), { force: true });
+  };
+
+  return {
+    init,
+    saveBoard,
+    loadBoard,
+    listBoardIds,
+    deleteBoard,
+    storeAsset,
+    getAssetPath,
+    externalizeImages,
+  };
+};
+
+// Coalesces bursts of changes (e.g. a stroke being drawn) into one write per
+// board every `delay` ms
+const createDebouncedSaver = (storage, delay = 1000) => {
+  const timers = new Map();
+  const pending = new Map();
+
+  const save = async (boardId) => {
+    timers.delete(boardId);
+    const board = pending.get(boardId);
+    pending.delete(boardId);
+    if (!board) return;
+    try {
+      await storage.saveBoard(board);
+    } catch (err) {
+      console.error(`Failed to save board ${boardId}:`, err);
+    }
+  };
+
+  const schedule = (board) => {
+    pending.set(board.id, board);
+    if (!timers.has(board.id)) {
+      timers.set(board.id, setTimeout(() => save(board.id), delay));
+    }
+  };
+
+  const cancel = (boardId) => {
+    clearTimeout(timers.get(boardId));
+    timers.delete(boardId);
+    pending.delete(boardId);
+  };
+
+  // Write everything that is still pending, e.g. before shutting down
+  const flush = async () => {
+    const ids = Array.from(pending.keys());
+    ids.forEach(id => clearTimeout(timers.get(id)));
+    await Promise.all(ids.map(save));
+  };
+
+  return { schedule, cancel, flush };
+};
+
+module.exports = {
+  sniffImageType,
+  createFileStorage,
+  createDebouncedSaver,
+};
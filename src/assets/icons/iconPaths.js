@@ -1,13 +1,15 @@
 import circle from './circle.png';
 import color from './color.png';
 import eraser from './eraser.png';
+import eraserPrecise from './eraser-precise.svg';
 import exportIcon from './export.png';
 import fill from './fill.png';
 import page from './page.png';
 import image from './image.png';
 import line from './line.png';
+import lock from './lock.svg';
 import outline from './outline.png';
-import pan from './pan.png';
+import pan from './pan.svg';
 import pen from './pen.png';
 import pointer from './pointer.png';
 import rectangle from './rectangle.png';
@@ -20,16 +22,19 @@ import stroke from './stroke.png';
 import text from './text.png';
 import trash from './trash.png';
 import undo from './undo.png';
+import unlock from './unlock.svg';
 
 const iconPaths = {
   circle,
   color,
   eraser,
+  eraserPrecise,
   export: exportIcon,
   fill,
   page,
   image,
   line,
+  lock,
   outline,
   pan,
   pen,
@@ -43,7 +48,8 @@ const iconPaths = {
   stroke,
   text,
   trash,
-  undo
+  undo,
+  unlock
 };
 
 export default iconPaths;
\ No newline at end of file
@@ -0,0 +1,137 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { navigateToBoard } from '../utils/boardRoute';
+import { getBoardToken, getTeacherLink, setBoardToken } from '../utils/boardTokens';
+
+// --- Board list / create / delete menu ---
+// Talks to the REST endpoints in server.js; joining a board is just a
+// navigation to /board/:id, which the Whiteboard picks up on load. Boards we
+// hold the teacher token for can be deleted, and the current one shared as a
+// teacher link.
+const BoardMenu = ({ serverUrl, boardId, teacherToken }) => {
+  const [open, setOpen] = useState(false);
+  const [boards, setBoards] = useState([]);
+  const [newBoardName, setNewBoardName] = useState('');
+  const [error, setError] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  const fetchBoards = useCallback(async () => {
+    try {
+      const res = await fetch(`${serverUrl}/api/boards`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      setBoards(data.boards || []);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load boards:', err);
+      setError('Could not load boards');
+    }
+  }, [serverUrl]);
+
+  useEffect(() => {
+    if (open) fetchBoards();
+  }, [open, fetchBoards]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await fetch(`${serverUrl}/api/boards`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newBoardName }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setBoardToken(data.board.id, data.teacherToken);
+      setNewBoardName('');
+      navigateToBoard(data.board.id);
+    } catch (err) {
+      console.error('Failed to create board:', err);
+      setError('Could not create board');
+    }
+  };
+
+  const handleDelete = async (board) => {
+    if (!window.confirm(`Delete board "${board.name}"? This cannot be undone.`)) return;
+    try {
+      const res = await fetch(`${serverUrl}/api/boards/${encodeURIComponent(board.id)}`, {
+        method: 'DELETE',
+        headers: { 'X-Board-Token': getBoardToken(board.id) || '' },
+      });
+      if (!res.ok && res.status !== 404) throw new Error(`HTTP ${res.status}`);
+      fetchBoards();
+    } catch (err) {
+      console.error('Failed to delete board:', err);
+      setError('Could not delete board');
+    }
+  };
+
+  // Anyone who opens the link becomes a teacher of this board
+  const copyTeacherLink = async () => {
+    const link = getTeacherLink(boardId, teacherToken);
+    try {
+      await navigator.clipboard.writeText(link);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      window.prompt('Teacher link for this board', link);
+    }
+  };
+
+  return (
+    <div style={{ position: 'fixed', top: 15, right: 15, zIndex: 10 }}>
+      <button
+        onClick={() => setOpen(!open)}
+        style={{
+          padding: '8px 12px', backgroundColor: 'rgba(240, 240, 240, 0.9)', border: '1px solid #ccc',
+          borderRadius: '8px', cursor: 'pointer', boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+        }}
+        title="Boards"
+      >
+        Board: {boardId}
+      </button>
+      {open && (
+        <div style={{
+          position: 'absolute', top: '110%', right: 0, width: 260,
+          backgroundColor: 'white', border: '1px solid #ccc', padding: 10, borderRadius: '4px',
+          boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+        }}>
+          {error && <div style={{ color: '#c00', marginBottom: 8 }}>{error}</div>}
+          <ul style={{ listStyle: 'none', margin: 0, padding: 0, maxHeight: 240, overflowY: 'auto' }}>
+            {boards.map((board) => (
+              <li key={board.id} style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '4px 0' }}>
+                <button
+                  onClick={() => navigateToBoard(board.id)}
+                  disabled={board.id === boardId}
+                  style={{ flex: 1, textAlign: 'left', background: 'none', border: 'none', cursor: 'pointer', fontWeight: board.id === boardId ? 'bold' : 'normal' }}
+                >
+                  {board.name} <span style={{ color: '#888' }}>({board.pageCount} p.)</span>
+                </button>
+                {getBoardToken(board.id) && (
+                  <button onClick={() => handleDelete(board)} title="Delete board" style={{ cursor: 'pointer' }}>
+                    &times;
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          <form onSubmit={handleCreate} style={{ display: 'flex', gap: 6, marginTop: 8 }}>
+            <input
+              value={newBoardName}
+              onChange={(e) => setNewBoardName(e.target.value)}
+              placeholder="New board name"
+              style={{ flex: 1, minWidth: 0 }}
+            />
+            <button type="submit">Create</button>
+          </form>
+          {teacherToken && (
+            <button onClick={copyTeacherLink} style={{ width: '100%', marginTop: 8, cursor: 'pointer' }} title="Anyone with this link can manage and lock this board">
+              {linkCopied ? 'Link copied' : 'Copy teacher link'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BoardMenu;
@@ -0,0 +1,22 @@
+import React, { useEffect, useState } from 'react';
+import { Image } from 'react-konva';
+import { getLoadedImage, loadImage } from '../utils/imageCache';
+
+// Konva <Image> for an image shape; loads `src` through the shared cache and
+// renders nothing until it is ready.
+const CanvasImage = ({ src, ...props }) => {
+  const [image, setImage] = useState(() => getLoadedImage(src));
+
+  useEffect(() => {
+    let cancelled = false;
+    setImage(getLoadedImage(src));
+    loadImage(src)
+      .then((img) => { if (!cancelled) setImage(img); })
+      .catch((err) => console.error(err.message));
+    return () => { cancelled = true; };
+  }, [src]);
+
+  return image ? <Image {...props} image={image} /> : null;
+};
+
+export default CanvasImage;
@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react';
+import { hexToHsv, hsvToHex, normalizeHex } from '../utils/color';
+
+export const presetColors = [
+  '#000000', '#FF0000', '#00FF00', '#0000FF',
+  '#FFFF00', '#FF00FF', '#00FFFF', '#800000',
+  '#008000', '#000080', '#808000', '#800080',
+  '#008080', '#808080', '#C0C0C0', '#FFFFFF'
+];
+
+const swatchStyle = (color, active) => ({
+  width: 25, height: 25, backgroundColor: color, cursor: 'pointer', padding: 0,
+  border: active ? '2px solid #007bff' : '1px solid #ccc', borderRadius: '3px',
+});
+
+const labelStyle = { fontSize: 12, color: '#555', margin: '8px 0 4px' };
+
+// --- Color popover: presets, recent colors and a custom HSV/hex picker ---
+// onChange(color, done): `done` is true for a swatch click, false while the
+// custom color is being adjusted. `color` is null for "None" (allowNone).
+const ColorPicker = ({ color, recentColors = [], allowNone = false, onChange, style }) => {
+  const [hsv, setHsv] = useState(() => hexToHsv(color || '#000000'));
+  const [hexText, setHexText] = useState(color || '');
+  const [draggingSv, setDraggingSv] = useState(false);
+
+  // Follow changes made elsewhere (e.g. selecting another shape)
+  useEffect(() => {
+    if (!color) return;
+    setHsv(current => (hsvToHex(current) === color ? current : hexToHsv(color)));
+    setHexText(color);
+  }, [color]);
+
+  const draftColor = hsvToHex(hsv);
+
+  const commitDraft = (next = draftColor) => {
+    if (next !== color) onChange(next, false);
+  };
+
+  const updateSv = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const s = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    const v = Math.min(1, Math.max(0, 1 - (e.clientY - rect.top) / rect.height));
+    const next = { ...hsv, s, v };
+    setHsv(next);
+    setHexText(hsvToHex(next));
+    return next;
+  };
+
+  const commitHexText = () => {
+    const hex = normalizeHex(hexText);
+    if (!hex) {
+      setHexText(draftColor); // Not a color, put the current one back
+      return;
+    }
+    setHsv(hexToHsv(hex));
+    setHexText(hex);
+    commitDraft(hex);
+  };
+
+  return (
+    <div style={{
+      backgroundColor: 'white', border: '1px solid #ccc', padding: 8, zIndex: 11, width: 150,
+      borderRadius: '4px', boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+      ...style,
+    }}>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 6 }}>
+        {presetColors.map(preset => (
+          <button key={preset} style={swatchStyle(preset, preset === color)} title={preset} onClick={() => onChange(preset, true)} />
+        ))}
+      </div>
+
+      {recentColors.length > 0 && (
+        <>
+          <div style={labelStyle}>Recent</div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 6 }}>
+            {recentColors.map(recent => (
+              <button key={recent} style={swatchStyle(recent, recent === color)} title={recent} onClick={() => onChange(recent, true)} />
+            ))}
+          </div>
+        </>
+      )}
+
+      <div style={labelStyle}>Custom</div>
+      {/* Saturation (x) / value (y) square for the current hue */}
+      <div
+        style={{
+          position: 'relative', width: '100%', height: 90, borderRadius: '3px', cursor: 'crosshair', touchAction: 'none',
+          background: `linear-gradient(to top, #000, transparent), linear-gradient(to right, #fff, transparent), hsl(${hsv.h}, 100%, 50%)`,
+        }}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          setDraggingSv(true);
+          updateSv(e);
+        }}
+        onPointerMove={(e) => draggingSv && updateSv(e)}
+        onPointerUp={(e) => {
+          setDraggingSv(false);
+          commitDraft(hsvToHex(updateSv(e)));
+        }}
+      >
+        <div style={{
+          position: 'absolute', left: `${hsv.s * 100}%`, top: `${(1 - hsv.v) * 100}%`,
+          width: 10, height: 10, margin: '-6px 0 0 -6px', borderRadius: '50%',
+          border: '2px solid white', boxShadow: '0 0 2px black', pointerEvents: 'none',
+        }} />
+      </div>
+      <input
+        type="range"
+        min="0"
+        max="359"
+        value={Math.round(hsv.h)}
+        title="Hue"
+        onChange={(e) => {
+          const next = { ...hsv, h: Number(e.target.value) };
+          setHsv(next);
+          setHexText(hsvToHex(next));
+        }}
+        onPointerUp={() => commitDraft()}
+        onKeyUp={() => commitDraft()}
+        style={{ width: '100%', margin: '6px 0' }}
+      />
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+        <div style={{ ...swatchStyle(draftColor, false), cursor: 'default', flexShrink: 0 }} />
+        <input
+          value={hexText}
+          onChange={(e) => setHexText(e.target.value)}
+          onBlur={commitHexText}
+          onKeyDown={(e) => e.key === 'Enter' && commitHexText()}
+          placeholder="#RRGGBB"
+          title="Hex Color"
+          style={{ width: '100%', minWidth: 0, fontFamily: 'monospace' }}
+        />
+      </div>
+
+      {allowNone && (
+        <button
+          onClick={() => onChange(null, true)}
+          style={{ width: '100%', marginTop: 8, border: color ? '1px solid #ccc' : '2px solid #007bff', backgroundColor: 'white', borderRadius: '3px', cursor: 'pointer' }}
+        >
+          None
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ColorPicker;
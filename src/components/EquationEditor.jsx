@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { LIMITS } from '../shared/schema';
+import { getEquationError, getEquationImageSource, getEquationSize, isMathJaxLoaded } from '../utils/equation';
+
+const previewFontSize = 24;
+
+// --- Panel for typing an equation's LaTeX, with a live preview ---
+// Ctrl/Cmd+Enter or Apply commits, Escape or Cancel drops the change. The
+// Whiteboard loads the typesetter while the panel is open and re-renders it
+// once it's there.
+const EquationEditor = ({ initialLatex, color, onCommit, onCancel }) => {
+  const [latex, setLatex] = useState(initialLatex);
+  const loading = !isMathJaxLoaded();
+  const error = getEquationError(latex);
+  const preview = error ? null : getEquationSize(latex, previewFontSize);
+
+  const apply = () => {
+    if (!error) onCommit(latex);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel();
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      apply();
+    }
+  };
+
+  return (
+    <div
+      onKeyDown={handleKeyDown}
+      style={{
+        position: 'fixed',
+        top: 80,
+        right: 15,
+        zIndex: 20,
+        width: 320,
+        backgroundColor: 'white',
+        border: '1px solid #ccc',
+        borderRadius: '8px',
+        boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+        padding: 12,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 8,
+      }}
+    >
+      <strong>Equation (LaTeX)</strong>
+      <textarea
+        value={latex}
+        onChange={(e) => setLatex(e.target.value)}
+        maxLength={LIMITS.maxLatexLength}
+        placeholder="\int_0^1 x^2 \, dx"
+        rows={3}
+        autoFocus
+        spellCheck={false}
+        style={{ fontFamily: 'monospace', resize: 'vertical', borderColor: error && latex.trim() && !loading ? '#dc3545' : undefined }}
+      />
+      <div style={{ minHeight: 48, maxHeight: 160, overflow: 'auto', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        {preview
+          ? <img src={getEquationImageSource({ latex, color })} alt={latex} width={preview.width} height={preview.height} />
+          : <span style={{ color: latex.trim() && !loading ? '#dc3545' : '#888', fontSize: 12 }}>{error}</span>}
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+        <button onClick={onCancel}>Cancel</button>
+        <button onClick={apply} disabled={Boolean(error)}>Apply</button>
+      </div>
+    </div>
+  );
+};
+
+export default EquationEditor;
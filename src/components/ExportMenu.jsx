@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import exportIcon from '../assets/icons/export.png';
+import { exportResolutions } from '../utils/exportBoard';
+
+// --- Export popover: PNG/SVG of the current page, PDF/SVG of all pages ---
+const ExportMenu = ({ buttonStyle, onExportPng, onExportPdf, onExportSvg }) => {
+  const [open, setOpen] = useState(false);
+  const [pixelRatio, setPixelRatio] = useState(2);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (exportFn) => {
+    setBusy(true);
+    try {
+      await exportFn(pixelRatio);
+      setOpen(false);
+    } catch (err) {
+      console.error('Export failed:', err);
+      alert('Export failed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const itemStyle = {
+    display: 'block', width: '100%', padding: '6px 8px', textAlign: 'left',
+    background: 'none', border: 'none', cursor: busy ? 'wait' : 'pointer',
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button onClick={() => setOpen(!open)} style={buttonStyle} title="Export">
+        <img src={exportIcon} alt="Export" width="24" height="24" />
+      </button>
+      {open && (
+        <div style={{
+          position: 'absolute', top: '110%', left: 0, // Open below the action bar
+          backgroundColor: 'white', border: '1px solid #ccc', padding: 8, zIndex: 11, width: 180,
+          borderRadius: '4px', boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+        }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '0 8px 6px' }}>
+            Resolution
+            <select value={pixelRatio} onChange={(e) => setPixelRatio(Number(e.target.value))}>
+              {exportResolutions.map(r => <option key={r.pixelRatio} value={r.pixelRatio}>{r.label}</option>)}
+            </select>
+          </label>
+          <button style={itemStyle} disabled={busy} onClick={() => run(onExportPng)}>
+            Current page as PNG
+          </button>
+          <button style={itemStyle} disabled={busy} onClick={() => run(() => onExportSvg(false))}>
+            Current page as SVG
+          </button>
+          <button style={itemStyle} disabled={busy} onClick={() => run(onExportPdf)}>
+            All pages as PDF
+          </button>
+          <button style={itemStyle} disabled={busy} onClick={() => run(() => onExportSvg(true))}>
+            All pages as SVG
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { LIMITS } from '../shared/schema';
+import { graphColors } from '../utils/graph';
+import { compileExpression } from '../utils/mathExpression';
+
+// Problem with an expression, or null if it parses
+const getExpressionError = (expression) => {
+  try {
+    compileExpression(expression);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+// --- Panel for a graph's functions, domain and range ---
+// Changes apply together on Apply (or Enter); Escape or Cancel drops them.
+const GraphEditor = ({ graph, onCommit, onCancel }) => {
+  const [functions, setFunctions] = useState(() => graph.functions.map((f, i) => ({
+    expression: f.expression,
+    color: f.color || graphColors[i % graphColors.length],
+  })));
+  const [bounds, setBounds] = useState({
+    xMin: String(graph.domain[0]), xMax: String(graph.domain[1]),
+    yMin: String(graph.range[0]), yMax: String(graph.range[1]),
+  });
+
+  const errors = functions.map(f => getExpressionError(f.expression));
+  const keys = ['xMin', 'xMax', 'yMin', 'yMax'];
+  const [xMin, xMax, yMin, yMax] = keys.map(key => Number(bounds[key]));
+  const boundsError = keys.some(key => bounds[key].trim() === '' || !Number.isFinite(Number(bounds[key])))
+    ? 'Enter numbers for the axes'
+    : (xMin >= xMax || yMin >= yMax ? 'Each axis needs its minimum below its maximum' : null);
+  const canApply = !boundsError && errors.every(e => !e);
+
+  const updateFunction = (index, patch) => {
+    setFunctions(functions.map((f, i) => (i === index ? { ...f, ...patch } : f)));
+  };
+
+  const apply = () => {
+    if (!canApply) return;
+    onCommit({ functions, domain: [xMin, xMax], range: [yMin, yMax] });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      apply();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel();
+    }
+  };
+
+  const numberInput = key => (
+    <input
+      value={bounds[key]}
+      onChange={(e) => setBounds({ ...bounds, [key]: e.target.value })}
+      inputMode="decimal"
+      style={{ width: 56 }}
+    />
+  );
+
+  return (
+    <div
+      onKeyDown={handleKeyDown}
+      style={{
+        position: 'fixed',
+        top: 80,
+        right: 15,
+        zIndex: 20,
+        width: 280,
+        backgroundColor: 'white',
+        border: '1px solid #ccc',
+        borderRadius: '8px',
+        boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+        padding: 12,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 8,
+      }}
+    >
+      <strong>Graph</strong>
+      {functions.map((f, i) => (
+        <div key={i}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <input
+              type="color"
+              value={f.color}
+              onChange={(e) => updateFunction(i, { color: e.target.value.toUpperCase() })}
+              title="Curve color"
+              style={{ width: 28, height: 28, padding: 0, border: 'none' }}
+            />
+            <span>y =</span>
+            <input
+              value={f.expression}
+              onChange={(e) => updateFunction(i, { expression: e.target.value })}
+              maxLength={LIMITS.maxExpressionLength}
+              placeholder="e.g. x^2 - 2x"
+              autoFocus={i === 0}
+              style={{ flex: 1, minWidth: 0, borderColor: errors[i] ? '#dc3545' : undefined }}
+            />
+            <button onClick={() => setFunctions(functions.filter((_, k) => k !== i))} title="Remove function">×</button>
+          </div>
+          {errors[i] && <div style={{ color: '#dc3545', fontSize: 12, marginTop: 2 }}>{errors[i]}</div>}
+        </div>
+      ))}
+      <button
+        onClick={() => setFunctions([...functions, { expression: '', color: graphColors[functions.length % graphColors.length] }])}
+        disabled={functions.length >= LIMITS.maxGraphFunctions}
+        style={{ alignSelf: 'flex-start' }}
+      >
+        Add function
+      </button>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+        x from {numberInput('xMin')} to {numberInput('xMax')}
+      </label>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+        y from {numberInput('yMin')} to {numberInput('yMax')}
+      </label>
+      {boundsError && <div style={{ color: '#dc3545', fontSize: 12 }}>{boundsError}</div>}
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+        <button onClick={onCancel}>Cancel</button>
+        <button onClick={apply} disabled={!canApply}>Apply</button>
+      </div>
+    </div>
+  );
+};
+
+export default GraphEditor;
@@ -0,0 +1,145 @@
+import React from 'react';
+import { Circle, Group, Label, Layer, Line, Rect, Shape, Tag, Text, Wedge } from 'react-konva';
+import {
+  formatAngle,
+  formatLength,
+  getCompassPencil,
+  pixelsPerCm,
+  protractorRadius,
+  rulerLength,
+  rulerWidth,
+} from '../utils/instruments';
+
+const bodyFill = 'rgba(219, 234, 254, 0.75)';
+const bodyStroke = '#1D4ED8';
+const markColor = '#1E3A8A';
+const knobFill = '#F59E0B';
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// Millimeter marks along the ruler's drawing edge
+const drawRulerMarks = (context, shape) => {
+  context.beginPath();
+  for (let mm = 0; mm <= 150; mm += 1) {
+    const x = (mm / 10) * pixelsPerCm;
+    const length = mm % 10 === 0 ? 18 : mm % 5 === 0 ? 12 : 7;
+    context.moveTo(x, 0);
+    context.lineTo(x, length);
+  }
+  context.strokeShape(shape);
+};
+
+// Degree marks inside the protractor's rim
+const drawProtractorMarks = (context, shape) => {
+  context.beginPath();
+  for (let degree = 0; degree <= 180; degree += 1) {
+    const length = degree % 10 === 0 ? 16 : degree % 5 === 0 ? 11 : 6;
+    const cos = Math.cos(toRadians(degree));
+    const sin = -Math.sin(toRadians(degree));
+    context.moveTo(cos * protractorRadius, sin * protractorRadius);
+    context.lineTo(cos * (protractorRadius - length), sin * (protractorRadius - length));
+  }
+  context.strokeShape(shape);
+};
+
+// --- Ruler, protractor and compass on the current page ---
+// Shared with the whole room but not part of the board (see
+// utils/instruments.js). Pressing a handle calls `onHandleDown(kind,
+// handle)`, where handle is 'move', 'rotate', 'angle' (the protractor's
+// arm), 'open' (the compass's hinge) or 'draw' (its pencil); the whiteboard
+// follows the pointer from there. Handles keep their on-screen size at any
+// `scale`. `readout` ({ x, y, text }) labels a stroke ruled along the
+// ruler, and `arc` is the compass arc being drawn.
+const Instruments = ({ instruments, pageId, scale, listening, readout, arc, arcColor, arcWidth, onHandleDown }) => {
+  const handle = (kind, name) => {
+    const down = (e) => {
+      e.cancelBubble = true; // Not a click on the board
+      onHandleDown(kind, name);
+    };
+    return { onMouseDown: down, onTouchStart: down };
+  };
+  const knobRadius = 9 / scale;
+  const { ruler, protractor, compass } = instruments;
+
+  return (
+    <Layer listening={listening}>
+      {ruler && ruler.pageId === pageId && (
+        <Group x={ruler.x} y={ruler.y} rotation={ruler.rotation}>
+          <Rect width={rulerLength} height={rulerWidth} fill={bodyFill} stroke={bodyStroke} strokeWidth={1 / scale} cornerRadius={3} {...handle('ruler', 'move')} />
+          <Shape sceneFunc={drawRulerMarks} stroke={markColor} strokeWidth={1 / scale} listening={false} />
+          {Array.from({ length: 16 }, (_, cm) => (
+            <Text key={cm} x={cm * pixelsPerCm - 10} y={21} width={20} align="center" text={String(cm)} fontSize={11} fill={markColor} listening={false} />
+          ))}
+          <Text x={rulerLength / 2 - 30} y={rulerWidth - 18} width={60} align="center" text={formatAngle(-ruler.rotation)} fontSize={12} fill={markColor} listening={false} />
+          <Circle x={rulerLength - 18} y={rulerWidth / 2} radius={knobRadius} fill={knobFill} stroke="white" strokeWidth={1.5 / scale} {...handle('ruler', 'rotate')} />
+        </Group>
+      )}
+
+      {protractor && protractor.pageId === pageId && (
+        <Group x={protractor.x} y={protractor.y} rotation={protractor.rotation}>
+          <Wedge radius={protractorRadius} angle={180} rotation={180} fill={bodyFill} stroke={bodyStroke} strokeWidth={1 / scale} {...handle('protractor', 'move')} />
+          <Shape sceneFunc={drawProtractorMarks} stroke={markColor} strokeWidth={1 / scale} listening={false} />
+          {Array.from({ length: 19 }, (_, i) => (
+            <Text
+              key={i}
+              x={Math.cos(toRadians(i * 10)) * (protractorRadius - 28)}
+              y={-Math.sin(toRadians(i * 10)) * (protractorRadius - 28)}
+              width={30}
+              offsetX={15}
+              offsetY={6}
+              align="center"
+              text={String(i * 10)}
+              fontSize={11}
+              fill={markColor}
+              listening={false}
+            />
+          ))}
+          <Line
+            points={[0, 0, Math.cos(toRadians(protractor.angle)) * (protractorRadius + 20), -Math.sin(toRadians(protractor.angle)) * (protractorRadius + 20)]}
+            stroke={knobFill}
+            strokeWidth={2 / scale}
+            listening={false}
+          />
+          <Circle
+            x={Math.cos(toRadians(protractor.angle)) * (protractorRadius + 20)}
+            y={-Math.sin(toRadians(protractor.angle)) * (protractorRadius + 20)}
+            radius={knobRadius}
+            fill={knobFill}
+            stroke="white"
+            strokeWidth={1.5 / scale}
+            {...handle('protractor', 'angle')}
+          />
+          <Text x={-30} y={-44} width={60} align="center" text={`${protractor.angle}°`} fontSize={16} fontStyle="bold" fill={markColor} listening={false} />
+          <Circle x={protractorRadius + 16 / scale} y={0} radius={knobRadius} fill={bodyStroke} stroke="white" strokeWidth={1.5 / scale} {...handle('protractor', 'rotate')} />
+        </Group>
+      )}
+
+      {compass && compass.pageId === pageId && (() => {
+        const pencil = getCompassPencil(compass);
+        const hinge = { x: (compass.x + pencil.x) / 2, y: (compass.y + pencil.y) / 2 };
+        return (
+          <Group>
+            {arc && <Line points={arc} stroke={arcColor} strokeWidth={arcWidth} lineCap="round" lineJoin="round" listening={false} />}
+            <Line points={[compass.x, compass.y, pencil.x, pencil.y]} stroke="#6B7280" strokeWidth={3 / scale} listening={false} />
+            <Circle x={compass.x} y={compass.y} radius={knobRadius * 0.8} fill="#374151" stroke="white" strokeWidth={1.5 / scale} {...handle('compass', 'move')} />
+            <Circle x={hinge.x} y={hinge.y} radius={knobRadius * 0.8} fill="white" stroke="#374151" strokeWidth={1.5 / scale} {...handle('compass', 'open')} />
+            <Circle x={pencil.x} y={pencil.y} radius={knobRadius} fill={knobFill} stroke="white" strokeWidth={1.5 / scale} {...handle('compass', 'draw')} />
+            <Label x={hinge.x} y={hinge.y} offsetY={-14} scaleX={1 / scale} scaleY={1 / scale} listening={false}>
+              <Tag fill="rgba(255, 255, 255, 0.85)" cornerRadius={3} />
+              <Text text={`r = ${formatLength(compass.radius)}`} fontSize={12} padding={3} fill="#374151" />
+            </Label>
+          </Group>
+        );
+      })()}
+
+      {readout && (
+        <Label x={readout.x} y={readout.y} offsetX={-12} offsetY={28} scaleX={1 / scale} scaleY={1 / scale} listening={false}>
+          <Tag fill={markColor} cornerRadius={3} />
+          <Text text={readout.text} fontSize={12} padding={4} fill="white" />
+        </Label>
+      )}
+    </Layer>
+  );
+};
+
+export default Instruments;
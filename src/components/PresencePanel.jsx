@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+
+// --- Who is on this board, and who teaches; your own entry can be renamed and recolored ---
+const PresencePanel = ({ participants, selfId, presenterId, onUserChange }) => {
+  const [open, setOpen] = useState(true);
+  const self = participants.find(p => p.id === selfId);
+
+  const rename = () => {
+    const name = window.prompt('Your display name', self?.name || '');
+    if (name && name.trim()) onUserChange({ name: name.trim() });
+  };
+
+  return (
+    <div style={{
+      position: 'fixed', top: 65, right: 15, width: 180, zIndex: 10,
+      backgroundColor: 'rgba(240, 240, 240, 0.9)', borderRadius: '8px', boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+    }}>
+      <button
+        onClick={() => setOpen(!open)}
+        style={{ width: '100%', padding: '6px 10px', textAlign: 'left', background: 'none', border: 'none', cursor: 'pointer' }}
+        title={open ? 'Hide participants' : 'Show participants'}
+      >
+        {open ? '▾' : '▸'} On this board ({participants.length})
+      </button>
+      {open && (
+        <ul style={{ listStyle: 'none', margin: 0, padding: '0 10px 8px', maxHeight: 200, overflowY: 'auto' }}>
+          {participants.map(participant => {
+            const isSelf = participant.id === selfId;
+            return (
+              <li key={participant.id} style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '3px 0' }}>
+                {isSelf ? (
+                  // Native color input styled as the dot
+                  <input
+                    type="color"
+                    value={participant.color}
+                    onChange={(e) => onUserChange({ color: e.target.value.toUpperCase() })}
+                    title="Change your color"
+                    style={{ width: 14, height: 14, padding: 0, border: 'none', borderRadius: '50%', cursor: 'pointer', background: 'none' }}
+                  />
+                ) : (
+                  <span style={{ width: 12, height: 12, borderRadius: '50%', backgroundColor: participant.color, flexShrink: 0 }} />
+                )}
+                <span
+                  onClick={isSelf ? rename : undefined}
+                  title={isSelf ? 'Click to rename' : undefined}
+                  style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', cursor: isSelf ? 'pointer' : 'default' }}
+                >
+                  {participant.name}{isSelf && <span style={{ color: '#888' }}> (you)</span>}
+                  {participant.role === 'teacher' && <span style={{ color: '#007bff' }}> · teacher</span>}
+                  {participant.id === presenterId && <span style={{ color: '#007bff' }}> · presenting</span>}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PresencePanel;
@@ -0,0 +1,52 @@
+import React from 'react';
+
+// --- Presenter mode: start/stop presenting, or follow the presenter ---
+// Followers' page and view track the presenter's; they can break away and
+// rejoin. `presenterName` is null when nobody else is presenting.
+const PresenterBadge = ({ presenterName, isPresenting, following, canPresent, onPresent, onFollow }) => {
+  if (!isPresenting && !presenterName && !canPresent) return null;
+
+  const buttonStyle = {
+    height: 28, padding: '0 8px', backgroundColor: 'white',
+    border: '1px solid #ccc', borderRadius: '4px', cursor: 'pointer',
+  };
+
+  let label = null;
+  let action;
+  if (isPresenting) {
+    label = 'You are presenting';
+    action = <button onClick={() => onPresent(false)} style={buttonStyle}>Stop</button>;
+  } else if (presenterName) {
+    label = following ? `You are following ${presenterName}` : `${presenterName} is presenting`;
+    action = following
+      ? <button onClick={() => onFollow(false)} style={buttonStyle} title="Move around on your own">Stop following</button>
+      : <button onClick={() => onFollow(true)} style={buttonStyle} title="Go back to the presenter's view">Follow</button>;
+  } else {
+    action = (
+      <button onClick={() => onPresent(true)} style={buttonStyle} title="Everyone on the board follows your page and view">
+        Present
+      </button>
+    );
+  }
+
+  return (
+    <div style={{
+      position: 'fixed',
+      left: 15,
+      bottom: 20,
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      backgroundColor: isPresenting || (presenterName && following) ? 'rgba(224, 240, 255, 0.95)' : 'rgba(240, 240, 240, 0.9)',
+      padding: '6px 10px',
+      borderRadius: '8px',
+      boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+      zIndex: 10,
+    }}>
+      {label && <span style={{ color: '#333' }}>{label}</span>}
+      {action}
+    </div>
+  );
+};
+
+export default PresenterBadge;
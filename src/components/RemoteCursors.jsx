@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from 'react';
+import { Group, Label, Layer, Line, Tag, Text } from 'react-konva';
+
+// Arrow pointer outline, tip at (0, 0)
+const pointerPoints = [0, 0, 0, 16, 4.5, 12, 8, 19, 10.5, 18, 7, 11, 12, 11];
+
+// --- Labeled pointers of the other participants on the current page ---
+// Listens to 'cursor' events itself, so frequent pointer updates only
+// re-render this layer. `scale` is the stage zoom; pointers keep their
+// on-screen size at any zoom.
+const RemoteCursors = ({ socket, participants, pageId, scale }) => {
+  const [cursors, setCursors] = useState({}); // socket id -> { pageId, x, y }
+
+  useEffect(() => {
+    if (!socket) return undefined;
+    const handleCursor = ({ id, cursor }) => {
+      setCursors((current) => {
+        const next = { ...current };
+        if (cursor) next[id] = cursor;
+        else delete next[id];
+        return next;
+      });
+    };
+    socket.on('cursor', handleCursor);
+    return () => socket.off('cursor', handleCursor);
+  }, [socket]);
+
+  // Forget the pointers of participants who left
+  useEffect(() => {
+    setCursors((current) => {
+      const present = new Set(participants.map(p => p.id));
+      const stale = Object.keys(current).filter(id => !present.has(id));
+      if (stale.length === 0) return current;
+      const next = { ...current };
+      stale.forEach((id) => { delete next[id]; });
+      return next;
+    });
+  }, [participants]);
+
+  return (
+    <Layer listening={false}>
+      {participants.map((participant) => {
+        const cursor = cursors[participant.id];
+        if (!cursor || cursor.pageId !== pageId) return null;
+        return (
+          <Group key={participant.id} x={cursor.x} y={cursor.y} scaleX={1 / scale} scaleY={1 / scale}>
+            <Line points={pointerPoints} closed fill={participant.color} stroke="white" strokeWidth={1} />
+            <Label x={12} y={18}>
+              <Tag fill={participant.color} cornerRadius={3} />
+              <Text text={participant.name} fill="white" fontSize={12} padding={3} />
+            </Label>
+          </Group>
+        );
+      })}
+    </Layer>
+  );
+};
+
+export default RemoteCursors;
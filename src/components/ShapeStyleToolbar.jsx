@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react';
+import ColorPicker from './ColorPicker';
+import fillIcon from '../assets/icons/fill.png';
+import outlineIcon from '../assets/icons/outline.png';
+
+export const dashStyles = [
+  { value: 'solid', label: 'Solid' },
+  { value: 'dashed', label: 'Dashed' },
+  { value: 'dotted', label: 'Dotted' },
+];
+
+// --- Fill, outline style and opacity for shapes ---
+// onChange(patch) with any of { fill, dash, opacity }; fill is null for none
+const ShapeStyleToolbar = ({ fill, dash, opacity, showFill, recentColors, onChange }) => {
+  const [showFillPicker, setShowFillPicker] = useState(false);
+  const [draftOpacity, setDraftOpacity] = useState(opacity);
+
+  useEffect(() => setDraftOpacity(opacity), [opacity]);
+
+  const commitOpacity = () => {
+    if (draftOpacity !== opacity) onChange({ opacity: draftOpacity });
+  };
+
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      backgroundColor: 'rgba(240, 240, 240, 0.9)',
+      padding: '6px 12px',
+      borderRadius: '8px',
+      boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+    }}>
+      {showFill && (
+        <div style={{ position: 'relative' }}>
+          <button
+            onClick={() => setShowFillPicker(!showFillPicker)}
+            title="Fill Color"
+            style={{
+              width: 32, height: 32, padding: 0, cursor: 'pointer', borderRadius: '4px', border: '1px solid #ccc',
+              display: 'flex', alignItems: 'center', justifyContent: 'center',
+              // Diagonal stripe for "no fill"
+              background: fill || 'repeating-linear-gradient(45deg, #fff, #fff 4px, #ddd 4px, #ddd 8px)',
+            }}
+          >
+            <img src={fillIcon} alt="Fill" width="20" height="20" style={{ filter: 'drop-shadow(0 0 1px white)' }} />
+          </button>
+          {showFillPicker && (
+            <ColorPicker
+              color={fill}
+              recentColors={recentColors}
+              allowNone
+              style={{ position: 'absolute', top: '110%', left: 0 }} // Open below the toolbar
+              onChange={(color, done) => {
+                onChange({ fill: color });
+                if (done) setShowFillPicker(false);
+              }}
+            />
+          )}
+        </div>
+      )}
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: 4 }} title="Outline Style">
+        <img src={outlineIcon} alt="Outline" width="20" height="20" />
+        <select value={dash} onChange={(e) => onChange({ dash: e.target.value })} style={{ height: 32 }}>
+          {dashStyles.map(style => <option key={style.value} value={style.value}>{style.label}</option>)}
+        </select>
+      </label>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 13 }} title="Opacity">
+        Opacity
+        <input
+          type="range"
+          min="0.1"
+          max="1"
+          step="0.05"
+          value={draftOpacity}
+          onChange={(e) => setDraftOpacity(Number(e.target.value))}
+          onPointerUp={commitOpacity}
+          onKeyUp={commitOpacity}
+          style={{ width: 80 }}
+        />
+        <span style={{ width: 36, textAlign: 'right' }}>{Math.round(draftOpacity * 100)}%</span>
+      </label>
+    </div>
+  );
+};
+
+export default ShapeStyleToolbar;
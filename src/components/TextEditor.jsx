@@ -0,0 +1,80 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Textarea laid over the stage for typing into a text shape. Commits on blur
+// or Ctrl/Cmd+Enter, cancels on Escape. Position and size are in screen
+// pixels; the caller converts from stage coordinates.
+const TextEditor = ({ initialText, x, y, scale, fontSize, fontStyle, color, rotation, onCommit, onCancel }) => {
+  const [text, setText] = useState(initialText);
+  const textareaRef = useRef(null);
+  const doneRef = useRef(false); // Escape triggers a blur too; only finish once
+
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+  }, []);
+
+  // Grow with the content instead of scrolling
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    textarea.style.height = 'auto';
+    textarea.style.height = `${textarea.scrollHeight}px`;
+    textarea.style.width = 'auto';
+    textarea.style.width = `${Math.max(40, textarea.scrollWidth + 4)}px`;
+  }, [text]);
+
+  const finish = (commit) => {
+    if (doneRef.current) return;
+    doneRef.current = true;
+    if (commit) onCommit(text);
+    else onCancel();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      finish(false);
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      finish(true);
+    }
+  };
+
+  return (
+    <textarea
+      ref={textareaRef}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onKeyDown={handleKeyDown}
+      onBlur={() => finish(true)}
+      rows={1}
+      wrap="off"
+      style={{
+        position: 'absolute',
+        left: x,
+        top: y,
+        zIndex: 20,
+        margin: 0,
+        padding: 0,
+        border: '1px dashed #007bff',
+        outline: 'none',
+        resize: 'none',
+        overflow: 'hidden',
+        background: 'transparent',
+        color,
+        fontFamily: 'Arial', // Konva's default font family
+        fontSize: fontSize * scale,
+        fontWeight: fontStyle.includes('bold') ? 'bold' : 'normal',
+        fontStyle: fontStyle.includes('italic') ? 'italic' : 'normal',
+        lineHeight: 1, // Matches Konva.Text's default lineHeight
+        transform: rotation ? `rotate(${rotation}deg)` : undefined,
+        transformOrigin: 'left top',
+        whiteSpace: 'pre',
+      }}
+    />
+  );
+};
+
+export default TextEditor;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+export const fontSizes = [12, 16, 20, 24, 32, 40, 48, 64, 80];
+
+// Konva's fontStyle string for the given flags
+export const toFontStyle = ({ bold, italic }) => {
+  if (bold && italic) return 'italic bold';
+  if (bold) return 'bold';
+  if (italic) return 'italic';
+  return 'normal';
+};
+
+export const fromFontStyle = (fontStyle = 'normal') => ({
+  bold: fontStyle.includes('bold'),
+  italic: fontStyle.includes('italic'),
+});
+
+// --- Font size / bold / italic controls for the text tool ---
+const TextToolbar = ({ fontSize, bold, italic, onChange }) => {
+  const toggleStyle = (active) => ({
+    width: 32, height: 32, cursor: 'pointer',
+    border: active ? '2px solid #007bff' : '1px solid #ccc',
+    backgroundColor: active ? '#e0f0ff' : 'white',
+    borderRadius: '4px',
+  });
+
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      backgroundColor: 'rgba(240, 240, 240, 0.9)',
+      padding: '6px 12px',
+      borderRadius: '8px',
+      boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+    }}>
+      <select
+        value={fontSize}
+        onChange={(e) => onChange({ fontSize: Number(e.target.value) })}
+        title="Font Size"
+        style={{ height: 32 }}
+      >
+        {/* Sizes set through the Transformer may not be in the list */}
+        {Array.from(new Set([...fontSizes, fontSize])).sort((a, b) => a - b).map(size => (
+          <option key={size} value={size}>{size}px</option>
+        ))}
+      </select>
+      <button onClick={() => onChange({ bold: !bold })} style={{ ...toggleStyle(bold), fontWeight: 'bold' }} title="Bold">
+        B
+      </button>
+      <button onClick={() => onChange({ italic: !italic })} style={{ ...toggleStyle(italic), fontStyle: 'italic' }} title="Italic">
+        I
+      </button>
+    </div>
+  );
+};
+
+export default TextToolbar;
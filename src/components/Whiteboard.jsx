@@ -1,36 +1,183 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
-import { Ellipse, Image, Layer, Line, Rect, Stage, Transformer } from 'react-konva';
+import Konva from 'konva';
+import { Arrow, Circle, Ellipse, Layer, Line, Path, Rect, Shape, Stage, Text, Transformer } from 'react-konva';
 import io from 'socket.io-client';
+import BoardMenu from './BoardMenu';
+import ColorPicker from './ColorPicker';
+import CanvasImage from './CanvasImage';
+import EquationEditor from './EquationEditor';
+import ExportMenu from './ExportMenu';
+import GraphEditor from './GraphEditor';
+import Instruments from './Instruments';
+import PresencePanel from './PresencePanel';
+import PresenterBadge from './PresenterBadge';
+import RemoteCursors from './RemoteCursors';
+import ShapeStyleToolbar from './ShapeStyleToolbar';
+import TextEditor from './TextEditor';
+import TextToolbar, { fromFontStyle, toFontStyle } from './TextToolbar';
+import ZoomControls from './ZoomControls';
+import { serverUrl } from '../config';
+import { uploadImage } from '../utils/assets';
+import { getBoardIdFromLocation } from '../utils/boardRoute';
+import { setBoardToken, takeTokenFromLocation } from '../utils/boardTokens';
+import { expandBounds, getLinePoints, getPageBounds } from '../utils/bounds';
+import { findErasedObjects, getSplitOps } from '../utils/erase';
+import { selectInLasso, selectInRect } from '../utils/selection';
+import { importBoardFile, saveBoardToFile } from '../utils/boardFile';
+import { exportPageAsPng, exportPagesAsPdf, exportPagesAsSvg } from '../utils/exportBoard';
+import { createHistory } from '../utils/history';
+import { defaultEquationFontSize, getEquationSize, isMathJaxLoaded, loadMathJax } from '../utils/equation';
+import { graphColors } from '../utils/graph';
+import {
+  angleDelta,
+  createInstrument,
+  formatLength,
+  getArcPoints,
+  getProtractorAngle,
+  isNearRulerEdge,
+  moveInstrument,
+  openCompassTo,
+  projectOntoRuler,
+  rotateProtractorTowards,
+  rotateRulerTowards,
+  rulerSnapDistance,
+} from '../utils/instruments';
+import { recognizeShape } from '../utils/shapeRecognition';
+import { loadImage } from '../utils/imageCache';
+import { createThrottle } from '../utils/throttle';
+import { loadAuthorKey, loadUser, saveUser } from '../utils/userIdentity';
+import { backgroundOptions, defaultGridSpacing, drawBackground, getGridSpacing, gridSpacingOptions, snapPointToGrid, snapToGrid } from '../utils/pageBackground';
+import { getLineConfig, getShapeConfig, getShapeImageSource } from '../utils/shapeConfig';
+import { defaultPressure, simplifyStroke, smoothInput } from '../utils/stroke';
+import { OP_TYPES, createId, createPage, findObject, invertOp, normalizePages } from '../shared/ops';
+import { createSyncClient } from '../shared/sync';
+import { parseBoardFile } from '../shared/boardFormat';
+import { canChangeObject, canEditPage, checkOp, setCreatedBy } from '../shared/permissions';
+import { POINT_SHAPE_TYPES } from '../shared/schema';
 
 // --- Icon Imports ---
 // Make sure these paths are correct relative to this file
 import circleIcon from '../assets/icons/circle.png';
 import clearIcon from '../assets/icons/clear.png';
+import deleteIcon from '../assets/icons/delete.png';
 import colorPaletteIcon from '../assets/icons/palette.png';
+import compassIcon from '../assets/icons/compass.svg';
+import equationIcon from '../assets/icons/equation.svg';
 import eraserIcon from '../assets/icons/eraser.png';
+import graphIcon from '../assets/icons/graph.svg';
+import preciseEraserIcon from '../assets/icons/eraser-precise.svg';
 import imageIcon from '../assets/icons/image.png';
 import lineIcon from '../assets/icons/line.png';
+import lockIcon from '../assets/icons/lock.svg';
+import panIcon from '../assets/icons/pan.svg';
 import penIcon from '../assets/icons/pen.png';
+import protractorIcon from '../assets/icons/protractor.svg';
 import rectangleIcon from '../assets/icons/rectangle.png';
-import selectIcon from '../assets/icons/select.png';
+import redoIcon from '../assets/icons/redo.png';
+import rulerIcon from '../assets/icons/ruler.svg';
+import saveIcon from '../assets/icons/save.png';
+import selectLassoIcon from '../assets/icons/select—lasso.png';
+import selectRectIcon from '../assets/icons/select—rect.png';
+import shapeAssistIcon from '../assets/icons/shapes.png';
+import snapIcon from '../assets/icons/snap.svg';
+import textIcon from '../assets/icons/text.png';
+import undoIcon from '../assets/icons/undo.png';
+import unlockIcon from '../assets/icons/unlock.svg';
+import uploadIcon from '../assets/icons/upload.png';
 // import logo from '../assets/logo/logo.png'; // Logo import currently unused in rendering logic
 
 // --- Constants ---
-const colors = [
-  '#000000', '#FF0000', '#00FF00', '#0000FF',
-  '#FFFF00', '#FF00FF', '#00FFFF', '#800000',
-  '#008000', '#000080', '#808000', '#800080',
-  '#008080', '#808080', '#C0C0C0', '#FFFFFF'
-];
+// Recently used colors are kept per browser
+const recentColorsKey = 'whiteboard.recentColors';
+const maxRecentColors = 8;
+const loadRecentColors = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(recentColorsKey));
+    return Array.isArray(stored) ? stored.filter(c => typeof c === 'string').slice(0, maxRecentColors) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+// Shape types that have an outline style, and those that can be filled
+const outlinedShapeTypes = ['line', 'arrow', 'triangle', 'rectangle', 'circle'];
+const filledShapeTypes = ['triangle', 'rectangle', 'circle'];
+
+// react-konva components for the Konva class names used by getShapeConfig
+const shapeComponents = { Arrow, Ellipse, Line, Rect, Shape, Text };
+const lineComponents = { Line, Path };
 
 const strokeWidths = Array.from({ length: 16 }, (_, i) => i + 1); // Widths 1 to 16
 
+// Zoom limits, and the factor the zoom buttons step by
+const minScale = 0.1;
+const maxScale = 8;
+const zoomStep = 1.25;
+const clampScale = (scale) => Math.min(maxScale, Math.max(minScale, scale));
+
+// The part of the world a viewport shows on a stage of `stageSize`
+const getViewportArea = (viewport, stageSize) => ({
+  x: -viewport.x / viewport.scale,
+  y: -viewport.y / viewport.scale,
+  width: stageSize.width / viewport.scale,
+  height: stageSize.height / viewport.scale,
+});
+
+// Viewport showing all of `area`, centered, with `margin` screen pixels around it
+const fitViewport = (area, stageSize, margin = 0) => {
+  const scale = clampScale(Math.min(
+    (stageSize.width - margin * 2) / Math.max(area.width, 1),
+    (stageSize.height - margin * 2) / Math.max(area.height, 1),
+  ));
+  return {
+    scale,
+    x: stageSize.width / 2 - (area.x + area.width / 2) * scale,
+    y: stageSize.height / 2 - (area.y + area.height / 2) * scale,
+  };
+};
+
+const isTypingTarget = (target) => (
+  target instanceof HTMLElement && Boolean(target.closest('input, textarea, [contenteditable="true"]'))
+);
+
+// Width of a single-line Konva.Text, so new text shapes start unwrapped
+const measureTextWidth = (text, fontSize, fontStyle) => (
+  new Konva.Text({ text, fontSize, fontStyle }).width()
+);
+
+const cursorInterval = 50; // Minimum ms between cursor updates sent to the server
+const presenterViewInterval = 100; // Same for the presenter's view
+const instrumentInterval = 50; // Same for instruments being moved
+const instrumentButtons = [
+  { kind: 'ruler', label: 'Ruler', icon: rulerIcon, hint: 'pen strokes started beside its edge follow it' },
+  { kind: 'protractor', label: 'Protractor', icon: protractorIcon, hint: 'drag the orange knob to measure an angle' },
+  { kind: 'compass', label: 'Compass', icon: compassIcon, hint: 'drag the pencil to draw, the hinge to open it' },
+];
+
+const noticeDuration = 3000; // ms a notice (e.g. a refused edit) stays up
+
+// Tools that change the page; blocked where we can't edit
+const editingTools = ['pen', 'eraser', 'preciseEraser', 'line', 'rectangle', 'circle', 'text'];
+
+// The stroke eraser removes whole objects, the precise one cuts strokes (see utils/erase.js)
+const eraserTools = ['eraser', 'preciseEraser'];
+const minEraserRadius = 4; // World units; otherwise the stroke width picker sets the size
+
+// Screen pixels a finished stroke may move when it is simplified
+const strokeSimplifyTolerance = 0.5;
+const roundPressure = pressure => Math.round(pressure * 100) / 100; // Plenty of levels, shorter messages
+
 // --- Component ---
 const Whiteboard = () => {
+  // Board (socket.io room) to join, taken from /board/:id
+  const [boardId] = useState(() => getBoardIdFromLocation());
+  // Makes us the board's teacher; from a teacher link, or from creating the board
+  const [teacherToken, setTeacherToken] = useState(() => takeTokenFromLocation(boardId));
+
   // --- State ---
-  const [pages, setPages] = useState([{ id: 1, lines: [], shapes: [] }]);
+  const [pages, setPages] = useState(() => [createPage(1)]);
   const [currentPage, setCurrentPage] = useState(1);
-  const [selectedId, setSelectedId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]); // Shapes and freehand strokes on the current page
   const [tool, setTool] = useState('pen');
   const [isDrawing, setIsDrawing] = useState(false);
   const [startPos, setStartPos] = useState({ x: 0, y: 0 });
@@ -38,6 +185,38 @@ const Whiteboard = () => {
   const [selectedStrokeWidth, setSelectedStrokeWidth] = useState(5);
   const [showColorPicker, setShowColorPicker] = useState(false);
   const [showStrokePicker, setShowStrokePicker] = useState(false);
+  const [draftShape, setDraftShape] = useState(null); // Line/rect/circle being dragged out, local only
+  const [selectionArea, setSelectionArea] = useState(null); // Marquee { x, y, width, height } or lasso { points } being dragged out
+  const [historyState, setHistoryState] = useState({ canUndo: false, canRedo: false });
+  const [textStyle, setTextStyle] = useState({ fontSize: 24, bold: false, italic: false });
+  const [shapeStyle, setShapeStyle] = useState({ fill: null, dash: 'solid', opacity: 1 }); // For new shapes
+  const [recentColors, setRecentColors] = useState(loadRecentColors);
+  const [user, setUser] = useState(loadUser); // Our display name and color
+  const [socket, setSocket] = useState(null); // Same as socketRef, for child components
+  const [selfId, setSelfId] = useState(null); // Our socket id, changes on reconnect
+  const [participants, setParticipants] = useState([]); // Everyone on this board, including us
+  const [role, setRole] = useState('student'); // 'teacher' or 'student', as the server decided on join
+  const [authorId, setAuthorId] = useState(null); // Stamped on what we add, from the server on join
+  const [boardSettings, setBoardSettings] = useState({ locked: false, lockedPages: [] }); // Locks set by the teacher
+  const [notice, setNotice] = useState(null); // Short message, e.g. why an edit was refused
+  const [presenter, setPresenter] = useState(null); // { id, view } of whoever is presenting
+  const [following, setFollowing] = useState(true); // Whether our view tracks the presenter's
+  const [editingText, setEditingText] = useState(null); // Text shape being typed into (new or existing)
+  const [editingGraph, setEditingGraph] = useState(null); // { pageId, id } of the graph whose editor is open
+  const [editingEquation, setEditingEquation] = useState(null); // { pageId, id, latex, color }; no id for a new one
+  const [mathJaxLoaded, setMathJaxLoaded] = useState(isMathJaxLoaded); // Equations can be typeset
+  const [stageSize, setStageSize] = useState({ width: window.innerWidth, height: window.innerHeight });
+  // Pan/zoom of this user's view; the board itself is in world coordinates
+  const [viewport, setViewport] = useState({ x: 0, y: 0, scale: 1 });
+  const [isPanning, setIsPanning] = useState(false);
+  const [eraserPointer, setEraserPointer] = useState(null); // Where to draw the eraser outline
+  const [shapeAssist, setShapeAssist] = useState(false); // Turn pen strokes into shapes they look like
+  const [snapEnabled, setSnapEnabled] = useState(false); // Snap new shapes, moves and resizes to the page grid
+  const [instruments, setInstruments] = useState({}); // Ruler, protractor and compass out on the board (room state)
+  const [showInstrumentPicker, setShowInstrumentPicker] = useState(false);
+  const [rulerReadout, setRulerReadout] = useState(null); // { x, y, text } length of the stroke being ruled
+  const [compassArc, setCompassArc] = useState(null); // Points of the arc the compass is drawing
+  const [spacePressed, setSpacePressed] = useState(false); // Space-drag pans with any tool
   // const [logoImage] = useState(new window.Image()); // State for logo if needed later
 
   // --- Refs ---
@@ -45,24 +224,98 @@ const Whiteboard = () => {
   const stageRef = useRef(null);
   const socketRef = useRef(null);
   const isDrawingRef = useRef(false); // Ref to track drawing state for async updates
+  const drawingLineRef = useRef(null); // { pageId, id, hasPressure, last, lastRaw } of the freehand line being drawn
+  const penInputRef = useRef(null); // { pressure } of a stylus on the board, null for mouse and touch
+  const unsentPointsRef = useRef(0); // Number of points of that line not yet sent to the server
+  const eraseRef = useRef(null); // { pageId, last, inverses, unsent } while an eraser is dragged
+  const panRef = useRef(null); // { pointer, viewport } at the start of a pan
+  const pinchRef = useRef(null); // { center, distance, viewport } at the start of a two-finger gesture
+  const additiveSelectRef = useRef(false); // Shift held when the marquee/lasso started
+  const draggedNodesRef = useRef([]); // Nodes whose drag ended in this tick
+  const instrumentsRef = useRef(instruments); // Latest instruments, ahead of renders while one is dragged
+  const instrumentDragRef = useRef(null); // { kind, handle, last, startAngle?, sweep? } while an instrument handle is dragged
+  const userRef = useRef(user); // For (re)joining from the socket handlers
+  userRef.current = user;
+  const teacherTokenRef = useRef(teacherToken);
+  teacherTokenRef.current = teacherToken;
+  const authorKeyRef = useRef(null); // Proves to the server which objects are ours
+  if (!authorKeyRef.current) {
+    authorKeyRef.current = loadAuthorKey();
+  }
+  const noticeTimerRef = useRef(null);
+  // Throttled senders for our pointer and, while presenting, our view
+  const sendCursorRef = useRef(null);
+  if (!sendCursorRef.current) {
+    sendCursorRef.current = createThrottle((cursor) => {
+      if (socketRef.current?.connected) socketRef.current.emit('cursor', cursor);
+    }, cursorInterval);
+  }
+  const sendPresenterViewRef = useRef(null);
+  if (!sendPresenterViewRef.current) {
+    sendPresenterViewRef.current = createThrottle((view) => {
+      if (socketRef.current?.connected) socketRef.current.emit('presenter-view', view);
+    }, presenterViewInterval);
+  }
+  const sendInstrumentRef = useRef(null); // One throttle per kind, so moving one doesn't drop another's last position
+  if (!sendInstrumentRef.current) {
+    sendInstrumentRef.current = {};
+    instrumentButtons.forEach(({ kind }) => {
+      sendInstrumentRef.current[kind] = createThrottle((instrument) => {
+        if (socketRef.current?.connected) socketRef.current.emit('set-instrument', { kind, instrument });
+      }, instrumentInterval);
+    });
+  }
+  // Confirmed board state plus our own unacknowledged ops (see shared/sync.js);
+  // `pages` is always the sync client's current view
+  const syncRef = useRef(null);
+  if (!syncRef.current) {
+    syncRef.current = createSyncClient({ clientId: createId(), pages: [createPage(1)] });
+  }
+  const historyRef = useRef(null); // This user's own undo/redo steps
+  if (!historyRef.current) {
+    historyRef.current = createHistory();
+  }
+
+  // --- Emit Updates Helpers ---
+  // Send every local op the server hasn't seen yet. While offline they stay
+  // queued and are sent after the next join.
+  const sendPendingOps = useCallback(() => {
+    if (socketRef.current && socketRef.current.connected) {
+      syncRef.current.flush().forEach(op => socketRef.current.emit('op', op));
+    }
+  }, []);
 
+  const showNotice = useCallback((message) => {
+    setNotice(message);
+    clearTimeout(noticeTimerRef.current);
+    noticeTimerRef.current = setTimeout(() => setNotice(null), noticeDuration);
+  }, []);
+
+  useEffect(() => () => clearTimeout(noticeTimerRef.current), []);
 
   // --- Socket Connection and Event Handling ---
   useEffect(() => {
     // Connect to the socket server
-    const serverUrl = process.env.REACT_APP_SERVER_URL || 'http://localhost:5000';
     socketRef.current = io(serverUrl, {
       transports: ['websocket'],
       // secure: true, // Uncomment if server uses HTTPS/WSS
       reconnectionAttempts: 5,
     });
+    setSocket(socketRef.current);
 
     console.log('Attempting to connect to socket server:', serverUrl);
 
     socketRef.current.on('connect', () => {
       console.log('Socket connected:', socketRef.current.id);
-      // Optional: Request initial state from server upon connection if needed
-      // socketRef.current.emit('request-initial-state');
+      setSelfId(socketRef.current.id);
+      // Join (or re-join after a reconnect) this board's room; the server
+      // replies with our role, the board's current state and the participant list
+      socketRef.current.emit('join-board', {
+        boardId,
+        user: userRef.current,
+        token: teacherTokenRef.current,
+        authorKey: authorKeyRef.current,
+      });
     });
 
     socketRef.current.on('connect_error', (err) => {
@@ -72,69 +325,247 @@ const Whiteboard = () => {
 
     socketRef.current.on('disconnect', (reason) => {
       console.log('Socket disconnected:', reason);
+      setParticipants([]);
+      setPresenter(null);
     });
 
-    // Handler for receiving drawing updates
+    // Full board snapshot: sent by the server on join and on resync
     const handleDrawUpdate = (data) => {
       console.log('Received draw-update');
       if (data.pages) {
-        const pagesWithImages = data.pages.map(page => ({
-          ...page,
-          shapes: page.shapes.map(shape => {
-            // Recreate Image objects for Konva if they don't exist
-            if (shape.type === 'image' && shape.image && !shape.imageObj) {
-              try {
-                const img = new window.Image();
-                img.crossOrigin = 'anonymous'; // Important for potential canvas operations later
-                img.src = shape.image; // Base64 data URL
-                // Konva's <Image> component handles loading internally
-                return { ...shape, imageObj: img };
-              } catch (error) {
-                console.error("Error creating image object from received data:", error);
-                return shape; // Return original shape on error
-              }
-            }
-            return shape;
-          })
-        }));
-        setPages(pagesWithImages);
+        setPages(syncRef.current.reset({ ...data, pages: normalizePages(data.pages) }));
+        sendPendingOps(); // Resend whatever the server didn't get before
+      }
+    };
+
+    // A sequenced operation from the server, made by us or another client
+    const handleOp = (op) => {
+      const nextPages = op && OP_TYPES.includes(op.type) ? syncRef.current.receive(op) : null;
+      if (!nextPages) {
+        console.warn('Missed or unknown op, requesting resync:', op);
+        socketRef.current?.emit('resync');
+        return;
+      }
+      setPages(nextPages);
+    };
+
+    // The server refused one of our ops
+    const handleBoardError = (data) => {
+      console.error('Board error:', data.error);
+      if (data.opId) setPages(syncRef.current.reject(data.opId));
+      showNotice(data.error);
+    };
+
+    const handlePresence = (data) => setParticipants(data.participants || []);
+
+    // Joining a board that didn't exist yet makes us its teacher
+    const handleRole = (data) => {
+      setRole(data.role);
+      setAuthorId(data.authorId || null);
+      if (data.teacherToken) {
+        setBoardToken(boardId, data.teacherToken);
+        setTeacherToken(data.teacherToken);
       }
     };
 
+    const handleBoardSettings = (data) => setBoardSettings({ locked: !!data.locked, lockedPages: data.lockedPages || [] });
+
+    const handlePresenter = (data) => setPresenter(data.presenter || null);
+
+    const handleInstruments = (data) => {
+      instrumentsRef.current = data.instruments || {};
+      setInstruments(instrumentsRef.current);
+    };
+
     socketRef.current.on('draw-update', handleDrawUpdate);
+    socketRef.current.on('op', handleOp);
+    socketRef.current.on('board-error', handleBoardError);
+    socketRef.current.on('presence', handlePresence);
+    socketRef.current.on('role', handleRole);
+    socketRef.current.on('board-settings', handleBoardSettings);
+    socketRef.current.on('presenter', handlePresenter);
+    socketRef.current.on('instruments', handleInstruments);
+
+    socketRef.current.on('board-deleted', () => {
+      alert('This board has been deleted.');
+      syncRef.current = createSyncClient({ clientId: createId(), pages: [createPage(1)] });
+      historyRef.current = createHistory();
+      setHistoryState({ canUndo: false, canRedo: false });
+      setPages(syncRef.current.view());
+      setCurrentPage(1);
+      setParticipants([]);
+      setBoardSettings({ locked: false, lockedPages: [] });
+      setPresenter(null);
+      handleInstruments({});
+    });
 
     // --- Cleanup on component unmount ---
     return () => {
       console.log('Disconnecting socket...');
       if (socketRef.current) {
         socketRef.current.off('draw-update', handleDrawUpdate);
+        socketRef.current.off('op', handleOp);
+        socketRef.current.off('board-error', handleBoardError);
+        socketRef.current.off('presence', handlePresence);
+        socketRef.current.off('role', handleRole);
+        socketRef.current.off('board-settings', handleBoardSettings);
+        socketRef.current.off('presenter', handlePresenter);
+        socketRef.current.off('instruments', handleInstruments);
         socketRef.current.disconnect();
         socketRef.current = null;
       }
     };
-  }, []); // Empty dependency array ensures this runs only once on mount
+  }, [boardId, sendPendingOps, showNotice]); // None change after mount, so this runs once
 
-  // --- Emit Updates Helper ---
-  const emitDrawUpdate = useCallback((updatedPages) => {
-    if (socketRef.current && socketRef.current.connected) {
-      // Create a serializable version (remove non-serializable Image objects)
-      const serializablePages = updatedPages.map(page => ({
-        ...page,
-        shapes: page.shapes.map(shape => {
-          if (shape.type === 'image') {
-            // eslint-disable-next-line no-unused-vars
-            const { imageObj, ...rest } = shape; // Remove imageObj
-            return rest; // Send only serializable data
-          }
-          return shape;
-        })
-      }));
-      socketRef.current.emit('draw-update', { pages: serializablePages });
-    } else {
-      console.warn('Socket not connected, cannot emit update.');
+  // Keep the current page index valid when pages are removed remotely
+  useEffect(() => {
+    if (currentPage > pages.length) {
+      setCurrentPage(Math.max(1, pages.length));
+    }
+  }, [pages.length, currentPage]);
+
+  const updateHistoryState = useCallback(() => {
+    setHistoryState({ canUndo: historyRef.current.canUndo(), canRedo: historyRef.current.canRedo() });
+  }, []);
+
+  // Apply an op locally right away and send it to the server, which
+  // sequences it and relays it to the other clients on this board.
+  // Undoable ops are recorded in this user's history first. Ops the server
+  // would refuse for our role are dropped here with a notice. What we add
+  // is marked as ours right away, as the server will. `onRefused` runs if
+  // the op is refused, here or later by the server.
+  const applyLocalOp = useCallback((localOp, { undoable = true, onRefused } = {}) => {
+    const op = setCreatedBy(localOp, authorId, { keep: true });
+    const denied = checkOp(role, boardSettings, op, syncRef.current.view(), authorId);
+    if (denied) {
+      showNotice(denied);
+      if (onRefused) onRefused();
+      return;
+    }
+    if (undoable) {
+      historyRef.current.recordOp(syncRef.current.view(), op);
+      updateHistoryState();
     }
-  }, []); // No dependencies, uses refs and state captured at definition time
+    setPages(syncRef.current.local(op, onRefused));
+    sendPendingOps();
+  }, [role, authorId, boardSettings, sendPendingOps, showNotice, updateHistoryState]);
+
+  // --- Presence ---
+  const handleUserChange = (patch) => {
+    const nextUser = { ...user, ...patch };
+    setUser(nextUser);
+    saveUser(nextUser);
+    socketRef.current?.emit('set-user', nextUser);
+  };
+
+  // Our pointer in world coordinates, or null when it leaves the board
+  const sendCursor = sendCursorRef.current;
+
+  useEffect(() => () => {
+    sendCursorRef.current.cancel();
+    sendPresenterViewRef.current.cancel();
+    Object.values(sendInstrumentRef.current).forEach(send => send.cancel());
+  }, []);
+
+  // --- Undo / Redo ---
+  // A step that is refused (e.g. its page was locked since) goes back on
+  // its stack, to be tried again later
+  const applyHistoryStep = useCallback((op) => {
+    const history = historyRef.current;
+    if (op) {
+      applyLocalOp(op, {
+        undoable: false,
+        onRefused: () => {
+          history.putBack(op);
+          updateHistoryState();
+        },
+      });
+    }
+    updateHistoryState();
+  }, [applyLocalOp, updateHistoryState]);
+
+  const undo = useCallback(() => {
+    applyHistoryStep(historyRef.current.undo(syncRef.current.view()));
+  }, [applyHistoryStep]);
 
+  const redo = useCallback(() => {
+    applyHistoryStep(historyRef.current.redo(syncRef.current.view()));
+  }, [applyHistoryStep]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // Leave shortcuts alone while typing in a form field
+      if (isTypingTarget(e.target)) return;
+      if (!(e.ctrlKey || e.metaKey)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // --- Viewport: resize, space-drag, zoom ---
+  useEffect(() => {
+    const handleResize = () => setStageSize({ width: window.innerWidth, height: window.innerHeight });
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code !== 'Space' || isTypingTarget(e.target)) return;
+      e.preventDefault(); // Don't scroll or press the focused button
+      setSpacePressed(true);
+    };
+    const handleKeyUp = (e) => {
+      if (e.code !== 'Space') return;
+      if (!isTypingTarget(e.target)) e.preventDefault();
+      setSpacePressed(false);
+    };
+    const handleBlur = () => setSpacePressed(false);
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, []);
+
+  // Konva's mouse and touch events don't carry stylus pressure, so read it
+  // from the Pointer Events that come before them
+  useEffect(() => {
+    const container = stageRef.current?.container();
+    if (!container) return undefined;
+    const handlePointer = (e) => {
+      penInputRef.current = e.pointerType === 'pen' ? { pressure: e.pressure } : null;
+    };
+    container.addEventListener('pointerdown', handlePointer, true);
+    container.addEventListener('pointermove', handlePointer, true);
+    return () => {
+      container.removeEventListener('pointerdown', handlePointer, true);
+      container.removeEventListener('pointermove', handlePointer, true);
+    };
+  }, []);
+
+  // Zoom keeping the world point under `point` (screen pixels) in place
+  const zoomAt = useCallback((point, getScale) => {
+    setViewport((vp) => {
+      const scale = clampScale(getScale(vp.scale));
+      const world = { x: (point.x - vp.x) / vp.scale, y: (point.y - vp.y) / vp.scale };
+      return { scale, x: point.x - world.x * scale, y: point.y - world.y * scale };
+    });
+  }, []);
+
+  const isSelectTool = tool === 'select' || tool === 'lasso';
 
   // --- Transformer Attachment Logic ---
   useEffect(() => {
@@ -142,24 +573,141 @@ const Whiteboard = () => {
 
     const tr = transformerRef.current;
     const stage = stageRef.current;
-    let node = null;
+    const nodes = isSelectTool
+      ? selectedIds.map(id => stage.findOne('#' + id)).filter(Boolean)
+      : [];
+    tr.nodes(nodes);
 
-    if (selectedId && tool === 'select') {
-      node = stage.findOne('#' + selectedId);
+    const layer = tr.getLayer();
+    if (layer) {
+      layer.batchDraw(); // Update the layer containing the transformer
     }
 
-    if (node) {
-      tr.nodes([node]);
-    } else {
-      tr.nodes([]); // Deselect if node not found or no ID selected
+  }, [selectedIds, pages, currentPage, isSelectTool]); // Re-run when selection, data, page, or tool changes
+
+  // Selections don't carry over to other pages or tools
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [currentPage, isSelectTool]);
+
+  const currentPageData = pages[currentPage - 1] || null;
+  const isTeacher = role === 'teacher';
+  const canEditCurrentPage = Boolean(currentPageData) && canEditPage(role, boardSettings, currentPageData.id);
+  // Students may only move, edit or erase their own objects
+  const canChange = object => canChangeObject(role, authorId, object);
+  const isCurrentPageLocked = Boolean(currentPageData) && boardSettings.lockedPages.includes(currentPageData.id);
+  const lockedMessage = boardSettings.locked ? 'The board is locked by the teacher' : 'This page is locked by the teacher';
+  // Selected objects that still exist; others may have been deleted remotely
+  const selectedShapes = currentPageData?.shapes.filter(s => selectedIds.includes(s.id)) || [];
+  const selectedLines = currentPageData?.lines.filter(l => selectedIds.includes(l.id)) || [];
+  const selectedTextShapes = selectedShapes.filter(s => s.type === 'text');
+  const selectedText = selectedTextShapes[0] || null; // Drives the text toolbar
+
+  // The equation typesetter is loaded once a page or the editor needs it;
+  // equations show up when it's there
+  const needsMathJax = Boolean(editingEquation) || Boolean(currentPageData?.shapes.some(s => s.type === 'equation'));
+  useEffect(() => {
+    if (!needsMathJax || mathJaxLoaded) return;
+    loadMathJax().then(
+      () => setMathJaxLoaded(true),
+      () => showNotice('Could not load the equation typesetter'),
+    );
+  }, [needsMathJax, mathJaxLoaded, showNotice]);
+
+  // Several ops made by one gesture are sent, and undone, as one change
+  const applyLocalOps = (ops) => {
+    if (ops.length === 0) return;
+    applyLocalOp(ops.length === 1 ? ops[0] : { type: 'batch', ops });
+  };
+
+  const deleteSelection = () => {
+    if (!currentPageData) return;
+    applyLocalOps([...selectedShapes, ...selectedLines].map(object => (
+      { type: 'delete-object', pageId: currentPageData.id, id: object.id }
+    )));
+    setSelectedIds([]);
+  };
+
+  // Delete/Backspace removes the selection, Escape drops it
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target) || selectedIds.length === 0) return;
+      if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        deleteSelection();
+      } else if (e.key === 'Escape') {
+        setSelectedIds([]);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // The part of the world currently on screen
+  const getVisibleArea = () => getViewportArea(viewport, stageSize);
+
+  const screenCenter = () => ({ x: stageSize.width / 2, y: stageSize.height / 2 });
+
+  const fitToContent = () => {
+    breakAway();
+    const bounds = currentPageData && getPageBounds(currentPageData);
+    if (!bounds) {
+      setViewport({ x: 0, y: 0, scale: 1 });
+      return;
     }
+    setViewport(fitViewport(bounds, stageSize, 60)); // Keep content clear of the toolbars
+  };
 
-    const layer = tr.getLayer();
-    if (layer) {
-      layer.batchDraw(); // Update the layer containing the transformer
+  // --- Presenter Mode ---
+  // The presenter sends its page and visible area; everyone else's view
+  // follows until they move around on their own
+  const isPresenting = Boolean(presenter && selfId && presenter.id === selfId);
+  const followedView = presenter && !isPresenting && following ? presenter.view : null;
+  const currentPageId = currentPageData?.id;
+
+  // A new presenter is followed again, even by those who broke away before
+  useEffect(() => {
+    setFollowing(true);
+  }, [presenter?.id]);
+
+  useEffect(() => {
+    if (isPresenting && currentPageId !== undefined) {
+      sendPresenterViewRef.current({ pageId: currentPageId, ...getViewportArea(viewport, stageSize) });
     }
+  }, [isPresenting, currentPageId, viewport, stageSize]);
 
-  }, [selectedId, pages, currentPage, tool]); // Re-run when selection, data, page, or tool changes
+  useEffect(() => {
+    if (!followedView) return;
+    const index = pages.findIndex(page => page.id === followedView.pageId);
+    if (index >= 0) setCurrentPage(index + 1);
+  }, [followedView, pages]);
+
+  useEffect(() => {
+    if (followedView) setViewport(fitViewport(followedView, stageSize));
+  }, [followedView, stageSize]);
+
+  // Panning, zooming or changing page ourselves stops following
+  const breakAway = () => setFollowing(false);
+
+  const handlePresent = (start) => {
+    socketRef.current?.emit(start ? 'start-presenting' : 'stop-presenting');
+  };
+
+  const presenterName = presenter && !isPresenting
+    ? participants.find(p => p.id === presenter.id)?.name || 'The presenter'
+    : null;
+
+  const handleWheel = (e) => {
+    e.evt.preventDefault();
+    breakAway();
+    const pointer = stageRef.current?.getPointerPosition();
+    if (!pointer) return;
+    // Trackpad pinches arrive as ctrl+wheel with small deltas; Firefox
+    // reports mouse wheels in lines rather than pixels
+    const delta = e.evt.deltaY * (e.evt.deltaMode === 1 ? 16 : 1);
+    const factor = Math.exp(-delta * (e.evt.ctrlKey ? 0.01 : 0.002));
+    zoomAt(pointer, scale => scale * factor);
+  };
 
   // --- Logo Loading (if needed) ---
   // useEffect(() => {
@@ -171,7 +719,136 @@ const Whiteboard = () => {
   const getPointerPos = (e) => {
     const stage = e.target.getStage();
     if (!stage) return null;
-    return stage.getPointerPosition();
+    return stage.getRelativePointerPosition(); // World coordinates, whatever the pan/zoom
+  };
+
+  // Where new shapes start and end: the nearest grid point when snapping
+  const snapToPageGrid = pos => (snapEnabled ? snapPointToGrid(pos, getGridSpacing(currentPageData)) : pos);
+
+  // Center and spread of a two-finger touch, in screen pixels
+  const getTouchGesture = (touches) => {
+    const rect = stageRef.current.container().getBoundingClientRect();
+    const [a, b] = [touches[0], touches[1]];
+    return {
+      center: { x: (a.clientX + b.clientX) / 2 - rect.left, y: (a.clientY + b.clientY) / 2 - rect.top },
+      distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+    };
+  };
+
+  const eraserRadius = Math.max(selectedStrokeWidth, minEraserRadius);
+
+  // Erase along the pointer's path from its last position to `pos`. The ops
+  // show up locally right away and go to the server in small batches, like
+  // a pen stroke's points.
+  const eraseTo = (pos) => {
+    const erase = eraseRef.current;
+    const page = syncRef.current.view().find(p => p.id === erase.pageId);
+    const segment = [erase.last.x, erase.last.y, pos.x, pos.y];
+    erase.last = pos;
+    if (!page) return;
+
+    const ops = tool === 'eraser'
+      ? findErasedObjects(page, segment, eraserRadius, canChange).map(id => ({ type: 'delete-object', pageId: page.id, id }))
+      : getSplitOps(page, segment, eraserRadius, createId, canChange);
+    if (ops.length === 0) return;
+    const op = setCreatedBy(ops.length === 1 ? ops[0] : { type: 'batch', ops }, authorId, { keep: true });
+    const denied = checkOp(role, boardSettings, op, syncRef.current.view(), authorId);
+    if (denied) {
+      showNotice(denied);
+      return;
+    }
+
+    const inverse = invertOp(syncRef.current.view(), op);
+    if (inverse) erase.inverses.unshift(inverse);
+    setPages(syncRef.current.local(op));
+    erase.unsent += 1;
+    if (erase.unsent >= 4) {
+      erase.unsent = 0;
+      sendPendingOps();
+    }
+  };
+
+  // Everything one drag of the eraser removed is a single undo step
+  const finishErasing = () => {
+    const erase = eraseRef.current;
+    eraseRef.current = null;
+    if (!erase) return;
+    sendPendingOps();
+    if (erase.inverses.length === 0) return;
+    historyRef.current.record(erase.inverses.length === 1 ? erase.inverses[0] : { type: 'batch', ops: erase.inverses });
+    updateHistoryState();
+  };
+
+  // Extend the freehand line being drawn. Input is smoothed on the way in,
+  // and stylus pressure is kept per point.
+  const appendStrokePoint = (line, point) => {
+    line.last = point;
+    const op = { type: 'append-points', pageId: line.pageId, id: line.id, points: [point.x, point.y] };
+    if (line.hasPressure) op.pressures = [roundPressure(point.pressure)];
+    setPages(syncRef.current.local(op));
+  };
+
+  // End the stroke where the pointer left off, drop the points that make no
+  // visible difference (see utils/stroke.js), and make it one undo step.
+  // With shape assist on, a stroke that looks like a shape is then replaced
+  // by it (see utils/shapeRecognition.js) in a second step, so undo brings
+  // the ink back.
+  const finishStroke = (line, { assist = shapeAssist } = {}) => {
+    if (line.lastRaw && (line.lastRaw.x !== line.last.x || line.lastRaw.y !== line.last.y)) {
+      appendStrokePoint(line, line.lastRaw);
+    }
+    const drawn = syncRef.current.view().find(p => p.id === line.pageId)?.lines.find(l => l.id === line.id);
+    const shape = drawn && assist ? recognizeShape(getLinePoints(drawn)) : null;
+    if (drawn && !shape) {
+      const simplified = simplifyStroke(drawn.points, drawn.pressures, strokeSimplifyTolerance / viewport.scale, drawn.strokeWidth);
+      if (simplified.points.length < drawn.points.length) {
+        const props = drawn.pressures ? simplified : { points: simplified.points };
+        applyLocalOp({ type: 'update-object', pageId: line.pageId, id: line.id, props }, { undoable: false });
+      }
+    }
+    sendPendingOps();
+    historyRef.current.record({ type: 'delete-object', pageId: line.pageId, id: line.id });
+    updateHistoryState();
+
+    if (shape) {
+      applyLocalOp({
+        type: 'batch',
+        ops: [
+          { type: 'delete-object', pageId: line.pageId, id: line.id },
+          {
+            type: 'add-shape',
+            pageId: line.pageId,
+            shape: {
+              id: createId(),
+              ...shape,
+              color: drawn.color,
+              strokeWidth: drawn.strokeWidth,
+              ...getNewShapeStyle(shape.type),
+            },
+          },
+        ],
+      });
+    }
+  };
+
+  // A second finger turns a touch into a pan/zoom gesture. Drop a stroke the
+  // first finger only just started, and any shape being dragged out.
+  const abortDrawing = () => {
+    if (!isDrawingRef.current) return;
+    isDrawingRef.current = false;
+    setIsDrawing(false);
+    setDraftShape(null);
+    finishErasing();
+
+    const line = drawingLineRef.current;
+    drawingLineRef.current = null;
+    if (!line) return;
+    const drawn = pages.find(p => p.id === line.pageId)?.lines.find(l => l.id === line.id);
+    if (drawn && drawn.points.length <= 8) {
+      applyLocalOp({ type: 'delete-object', pageId: line.pageId, id: line.id }, { undoable: false });
+    } else {
+      finishStroke(line, { assist: false });
+    }
   };
 
   const handleMouseDown = (e) => {
@@ -180,80 +857,186 @@ const Whiteboard = () => {
          e.evt.preventDefault();
      }
 
+    const touches = e.evt?.touches;
+    if (touches && touches.length >= 2) {
+      abortDrawing();
+      breakAway();
+      panRef.current = null;
+      instrumentDragRef.current = null;
+      setCompassArc(null);
+      pinchRef.current = { ...getTouchGesture(touches), viewport };
+      return;
+    }
+
+    // Pan tool, space-drag or middle mouse button
+    if (tool === 'pan' || spacePressed || e.evt?.button === 1) {
+      const pointer = stageRef.current?.getPointerPosition();
+      if (!pointer) return;
+      breakAway();
+      panRef.current = { pointer, viewport };
+      setIsPanning(true);
+      return;
+    }
+
     const pos = getPointerPos(e);
     if (!pos) return;
 
+    if (editingTools.includes(tool) && !canEditCurrentPage) {
+      showNotice(lockedMessage);
+      return;
+    }
+
+    if (tool === 'text') {
+      // Keep the browser from moving focus away from the editor we're opening
+      if (e.evt && e.evt.preventDefault) e.evt.preventDefault();
+      if (editingText || !currentPageData) return; // The open editor commits on blur
+      const clickedText = currentPageData.shapes.find(s => s.id === e.target.id() && s.type === 'text' && canChange(s));
+      if (clickedText) {
+        startEditingText(clickedText);
+      } else {
+        setEditingText({
+          pageId: currentPageData.id,
+          id: null,
+          x: pos.x,
+          y: pos.y,
+          rotation: 0,
+          text: '',
+          fontSize: textStyle.fontSize,
+          fontStyle: toFontStyle(textStyle),
+          color: selectedColor,
+        });
+      }
+      return;
+    }
+
     isDrawingRef.current = true; // Use ref for drawing state check in async events
     setIsDrawing(true); // State for UI feedback if needed
     setStartPos(pos);
 
-    const currentPageIndex = currentPage - 1;
-    if (currentPageIndex < 0 || currentPageIndex >= pages.length) return;
-
-    if (tool === 'pen' || tool === 'eraser') {
-      // Start a new line
+    if (!currentPageData) return;
+
+    if (tool === 'pen') {
+      // Start a new line; a stylus draws with pressure. Strokes started
+      // beside the ruler's edge run along it.
+      const pressure = penInputRef.current ? roundPressure(penInputRef.current.pressure) : defaultPressure;
+      const { ruler } = instrumentsRef.current;
+      const rulerForStroke = ruler && ruler.pageId === currentPageData.id && isNearRulerEdge(ruler, pos, rulerSnapDistance / viewport.scale)
+        ? ruler
+        : null;
+      const start = rulerForStroke ? projectOntoRuler(rulerForStroke, pos) : pos;
       const newLine = {
+        id: createId(),
         tool,
-        points: [pos.x, pos.y, pos.x, pos.y], // Start with a tiny line segment
-        color: tool === 'eraser' ? '#FFFFFF' : selectedColor, // Eraser uses background usually
+        points: [start.x, start.y, start.x, start.y], // Start with a tiny line segment
+        color: selectedColor,
         strokeWidth: selectedStrokeWidth,
         tension: 0.5, // Default tension for smoother curves
         lineCap: 'round',
         lineJoin: 'round',
-        globalCompositeOperation: tool === 'eraser' ? 'destination-out' : 'source-over',
+        globalCompositeOperation: 'source-over',
+      };
+      if (penInputRef.current) newLine.pressures = [pressure, pressure];
+
+      drawingLineRef.current = {
+        pageId: currentPageData.id,
+        id: newLine.id,
+        hasPressure: Boolean(newLine.pressures),
+        last: { ...start, pressure },
+        lastRaw: null,
+        ruler: rulerForStroke,
+        start,
       };
+      if (rulerForStroke) setRulerReadout({ ...start, text: formatLength(0) });
+      unsentPointsRef.current = 0;
+      // The stroke becomes one undo step once it's finished (see handleMouseUp)
+      applyLocalOp({ type: 'add-line', pageId: currentPageData.id, line: newLine }, { undoable: false });
+    } else if (eraserTools.includes(tool)) {
+      eraseRef.current = { pageId: currentPageData.id, last: pos, inverses: [], unsent: 0 };
+      eraseTo(pos); // A click erases too
+    } else if (isSelectTool) {
+      // Clicks on the transformer (its handles or the selection area) leave
+      // the selection alone, so the whole selection can be dragged
+      let target = e.target;
+      while (target && target.getParent() && target.getParent().className !== 'Stage') {
+        if (target.getParent().className === 'Transformer') return;
+        target = target.getParent();
+      }
 
-      const updatedPages = pages.map((page, index) =>
-        index === currentPageIndex
-          ? { ...page, lines: [...page.lines, newLine] }
-          : page
-      );
-      setPages(updatedPages);
-      // Emit update later on mouse move/up
-    } else if (tool === 'select') {
-      const clickedOnEmpty = e.target === e.target.getStage();
-      if (clickedOnEmpty) {
-        setSelectedId(null);
-      } else {
-        // Check if clicked target or its parent is the transformer handle
-        let target = e.target;
-        while (target && target.getParent() && target.getParent().className !== 'Stage') {
-          if (target.getParent().className === 'Transformer') {
-            // Clicked on transformer, do nothing regarding selection change
-            return;
-          }
-          target = target.getParent();
-        }
-        // If clicked on a shape (and not the transformer itself)
-        if (e.target.id()) {
-           setSelectedId(e.target.id());
-        } else {
-           setSelectedId(null); // Clicked on something without ID (like background maybe)
+      const additive = Boolean(e.evt?.shiftKey);
+      const clickedId = e.target !== e.target.getStage() ? e.target.id() : '';
+      const clicked = clickedId && currentPageData ? findObject(currentPageData, clickedId) : null;
+      if (clicked && canChange(clicked)) {
+        // Shift-click toggles; a plain click on an unselected object selects
+        // only it, while one on a selected object keeps the group for dragging
+        if (additive) {
+          setSelectedIds(ids => (ids.includes(clickedId) ? ids.filter(id => id !== clickedId) : [...ids, clickedId]));
+        } else if (!selectedIds.includes(clickedId)) {
+          setSelectedIds([clickedId]);
         }
+        isDrawingRef.current = false;
+        return;
       }
+
+      // Empty space: drag out a marquee or lasso
+      additiveSelectRef.current = additive;
+      if (!additive) setSelectedIds([]);
+      setSelectionArea(tool === 'lasso' ? { points: [pos.x, pos.y] } : { x: pos.x, y: pos.y, width: 0, height: 0 });
     } else if (['line', 'rectangle', 'circle'].includes(tool)) {
+        const start = snapToPageGrid(pos);
+        setStartPos(start);
         // Create temporary shape for visual feedback during drawing
-        const tempShape = {
+        setDraftShape({
             id: 'temp',
             type: tool,
             color: selectedColor,
             strokeWidth: selectedStrokeWidth,
-            x: pos.x,
-            y: pos.y,
+            ...getNewShapeStyle(tool),
+            x: start.x,
+            y: start.y,
             width: 0,
             height: 0,
-            points: [pos.x, pos.y, pos.x, pos.y] // For line
-        };
-        const updatedPages = pages.map((page, index) =>
-            index === currentPageIndex
-                ? { ...page, shapes: [...page.shapes, tempShape] }
-                : page
-        );
-        setPages(updatedPages);
+            points: [start.x, start.y, start.x, start.y] // For line
+        });
     }
   };
 
   const handleMouseMove = (e) => {
+    const pointer = stageRef.current?.getRelativePointerPosition();
+    if (pointer && currentPageData) sendCursor({ pageId: currentPageData.id, x: pointer.x, y: pointer.y });
+    if (eraserTools.includes(tool)) setEraserPointer(pointer || null);
+
+    const touches = e.evt?.touches;
+    if (pinchRef.current && touches && touches.length >= 2) {
+      e.evt.preventDefault();
+      const start = pinchRef.current;
+      const gesture = getTouchGesture(touches);
+      const scale = clampScale(start.viewport.scale * (gesture.distance / Math.max(start.distance, 1)));
+      // The world point under the fingers' starting center follows the fingers
+      const world = {
+        x: (start.center.x - start.viewport.x) / start.viewport.scale,
+        y: (start.center.y - start.viewport.y) / start.viewport.scale,
+      };
+      setViewport({ scale, x: gesture.center.x - world.x * scale, y: gesture.center.y - world.y * scale });
+      return;
+    }
+
+    if (instrumentDragRef.current) {
+      if (pointer) dragInstrument(pointer);
+      return;
+    }
+
+    if (panRef.current) {
+      const pointer = stageRef.current?.getPointerPosition();
+      if (!pointer) return;
+      const start = panRef.current;
+      setViewport({
+        ...start.viewport,
+        x: start.viewport.x + pointer.x - start.pointer.x,
+        y: start.viewport.y + pointer.y - start.pointer.y,
+      });
+      return;
+    }
+
     if (!isDrawingRef.current) return; // Use ref here
 
      // Prevent default behavior for touch events
@@ -264,242 +1047,708 @@ const Whiteboard = () => {
     const pos = getPointerPos(e);
     if (!pos) return;
 
-    const currentPageIndex = currentPage - 1;
-    if (currentPageIndex < 0 || currentPageIndex >= pages.length) return;
-
-    if (tool === 'pen' || tool === 'eraser') {
-      // Update the last line's points
-      const updatedPages = pages.map((page, index) => {
-        if (index === currentPageIndex && page.lines.length > 0) {
-          const lastLine = page.lines[page.lines.length - 1];
-          const newPoints = lastLine.points.concat([pos.x, pos.y]);
-          const updatedLine = { ...lastLine, points: newPoints };
-          return { ...page, lines: [...page.lines.slice(0, -1), updatedLine] };
-        }
-        return page;
-      });
-      setPages(updatedPages); // Update React state
-
-      // Throttle socket emissions during drawing for performance
-       const lastLineLength = updatedPages[currentPageIndex]?.lines?.[updatedPages[currentPageIndex].lines.length - 1]?.points?.length;
-       if (lastLineLength && lastLineLength % 16 === 0) { // Emit every 8 points (16 numbers)
-         emitDrawUpdate(updatedPages);
-       }
+    if (eraserTools.includes(tool)) {
+      if (eraseRef.current) eraseTo(pos);
+    } else if (tool === 'pen') {
+      // Extend the line being drawn locally right away
+      const line = drawingLineRef.current;
+      if (!line) return;
+      const point = line.ruler ? projectOntoRuler(line.ruler, pos) : pos;
+      if (line.ruler) setRulerReadout({ ...point, text: formatLength(Math.hypot(point.x - line.start.x, point.y - line.start.y)) });
+      line.lastRaw = { ...point, pressure: penInputRef.current ? penInputRef.current.pressure : defaultPressure };
+      appendStrokePoint(line, smoothInput(line.last, line.lastRaw));
+
+      // Throttle socket emissions during drawing for performance; the sync
+      // client merges the queued points into a single op
+      unsentPointsRef.current += 1;
+      if (unsentPointsRef.current >= 8) { // Emit every 8 points
+        unsentPointsRef.current = 0;
+        sendPendingOps();
+      }
 
+    } else if (isSelectTool) {
+      if (!selectionArea) return;
+      if (tool === 'lasso') {
+        setSelectionArea(area => ({ points: [...area.points, pos.x, pos.y] }));
+      } else {
+        setSelectionArea({
+          x: Math.min(startPos.x, pos.x),
+          y: Math.min(startPos.y, pos.y),
+          width: Math.abs(pos.x - startPos.x),
+          height: Math.abs(pos.y - startPos.y),
+        });
+      }
     } else if (['line', 'rectangle', 'circle'].includes(tool)) {
-      // Update the 'temp' shape
-      const updatedPages = pages.map((page, index) => {
-        if (index === currentPageIndex) {
-          const shapesWithoutTemp = page.shapes.filter(s => s.id !== 'temp');
-          let updatedTempShape;
-           if (tool === 'line') {
-               updatedTempShape = {
-                   id: 'temp', type: tool, color: selectedColor, strokeWidth: selectedStrokeWidth,
-                   points: [startPos.x, startPos.y, pos.x, pos.y],
-                   // Konva lines don't use x/y/width/height directly when points are set
-                   x: 0, y: 0, width: 0, height: 0
-               };
-           } else { // Rectangle or Circle
-               updatedTempShape = {
-                   id: 'temp', type: tool, color: selectedColor, strokeWidth: selectedStrokeWidth,
-                   x: Math.min(startPos.x, pos.x),
-                   y: Math.min(startPos.y, pos.y),
-                   width: Math.abs(pos.x - startPos.x),
-                   height: Math.abs(pos.y - startPos.y)
-               };
-           }
-          return { ...page, shapes: [...shapesWithoutTemp, updatedTempShape] };
-        }
-        return page;
-      });
-      setPages(updatedPages);
-      // Optionally throttle emits here too if needed, or emit on mouse up
+      // Update the draft shape
+      const end = snapToPageGrid(pos);
+      if (tool === 'line') {
+          setDraftShape({
+              id: 'temp', type: tool, color: selectedColor, strokeWidth: selectedStrokeWidth,
+              ...getNewShapeStyle(tool),
+              points: [startPos.x, startPos.y, end.x, end.y],
+              // Konva lines don't use x/y/width/height directly when points are set
+              x: 0, y: 0, width: 0, height: 0
+          });
+      } else { // Rectangle or Circle
+          setDraftShape({
+              id: 'temp', type: tool, color: selectedColor, strokeWidth: selectedStrokeWidth,
+              ...getNewShapeStyle(tool),
+              x: Math.min(startPos.x, end.x),
+              y: Math.min(startPos.y, end.y),
+              width: Math.abs(end.x - startPos.x),
+              height: Math.abs(end.y - startPos.y)
+          });
+      }
     }
   };
 
-  const handleMouseUp = () => {
+  const handleMouseUp = (e) => {
+    if (pinchRef.current) {
+      // Lifting one finger ends the gesture; the other one doesn't start drawing
+      if (!e?.evt?.touches || e.evt.touches.length < 2) pinchRef.current = null;
+      return;
+    }
+    if (panRef.current) {
+      panRef.current = null;
+      setIsPanning(false);
+      return;
+    }
+    if (instrumentDragRef.current) {
+      finishInstrumentDrag();
+      return;
+    }
+
     if (!isDrawingRef.current) return; // Check ref before proceeding
     isDrawingRef.current = false;
     setIsDrawing(false);
 
 
-    const currentPageIndex = currentPage - 1;
-    if (currentPageIndex < 0 || currentPageIndex >= pages.length) return;
-
-    let finalPages = pages; // Start with the current state
-
-    if (['line', 'rectangle', 'circle'].includes(tool)) {
-      // Finalize the shape: remove 'temp' and add permanent shape with unique ID
-      finalPages = pages.map((page, index) => {
-        if (index === currentPageIndex) {
-          const tempShape = page.shapes.find(s => s.id === 'temp');
-          if (tempShape && (tempShape.width > 0 || tempShape.height > 0 || (tempShape.points && tempShape.points.length >=4 && (tempShape.points[0] !== tempShape.points[2] || tempShape.points[1] !== tempShape.points[3]) ) ) ) {
-             // Only finalize if the shape has size or line has length
-            const finalShape = { ...tempShape, id: Date.now().toString() + Math.random() }; // More unique ID
-            return { ...page, shapes: [...page.shapes.filter(s => s.id !== 'temp'), finalShape] };
-          } else {
-            // If temp shape is invalid (e.g., just a click), remove it
-            return { ...page, shapes: page.shapes.filter(s => s.id !== 'temp') };
-          }
-        }
-        return page;
-      });
-      setPages(finalPages); // Update state immediately
+    if (eraserTools.includes(tool)) {
+      finishErasing();
+    } else if (tool === 'pen') {
+      const line = drawingLineRef.current;
+      drawingLineRef.current = null;
+      setRulerReadout(null);
+      // Ruled strokes are already straight lines
+      if (line) finishStroke(line, line.ruler ? { assist: false } : undefined);
+    } else if (isSelectTool) {
+      const area = selectionArea;
+      setSelectionArea(null);
+      if (!area || !currentPageData) return;
+      const picked = (area.points ? selectInLasso(currentPageData, area.points) : selectInRect(currentPageData, area))
+        .filter(id => canChange(findObject(currentPageData, id)));
+      setSelectedIds(ids => (
+        additiveSelectRef.current ? [...ids, ...picked.filter(id => !ids.includes(id))] : picked
+      ));
+    } else if (['line', 'rectangle', 'circle'].includes(tool)) {
+      // Finalize the shape: replace the draft with a permanent shape with a unique ID
+      const tempShape = draftShape;
+      setDraftShape(null);
+      if (currentPageData && tempShape && (tempShape.width > 0 || tempShape.height > 0 || (tempShape.points && tempShape.points.length >=4 && (tempShape.points[0] !== tempShape.points[2] || tempShape.points[1] !== tempShape.points[3]) ) ) ) {
+        // Only finalize if the shape has size or line has length
+        applyLocalOp({ type: 'add-shape', pageId: currentPageData.id, shape: { ...tempShape, id: createId() } });
+      }
     }
-
-    // Always emit the final state after drawing stops for any tool
-    // This ensures the last segment of pen/eraser or the final shape is sent
-    emitDrawUpdate(finalPages);
   };
 
-  const handleImageUpload = (e) => {
+  // The image goes to the server as an asset; the shape only holds its URL
+  const handleImageUpload = async (e) => {
     const file = e.target.files?.[0];
+    e.target.value = ''; // Reset file input after selection
     if (!file || !file.type.startsWith('image/')) {
       alert('Please upload a valid image file.');
-      e.target.value = ''; // Reset file input
+      return;
+    }
+    if (!canEditCurrentPage) {
+      showNotice(lockedMessage);
       return;
     }
 
-    const reader = new FileReader();
-    reader.onload = () => {
-      const imageObj = new window.Image();
-      imageObj.crossOrigin = 'anonymous';
-      imageObj.onload = () => {
-        // Calculate initial size (e.g., max width 300px, maintain aspect ratio)
-        const maxWidth = 300;
-        const ratio = Math.min(maxWidth / imageObj.width, 1); // Don't scale up
-        const width = imageObj.width * ratio;
-        const height = imageObj.height * ratio;
-
-        // Position near center (adjust as needed)
-        const stageWidth = stageRef.current?.width() || window.innerWidth;
-        const stageHeight = stageRef.current?.height() || window.innerHeight;
-        const x = (stageWidth / 2) - (width / 2);
-        const y = (stageHeight / 2) - (height / 2);
-
-        const newShape = {
-          id: Date.now().toString() + Math.random(),
-          type: 'image',
-          x: x,
-          y: y,
-          width: width,
-          height: height,
-          image: reader.result, // Base64 data URL for serialization
-          imageObj: imageObj,    // Image object for Konva rendering
-          rotation: 0,
-        };
+    const pageId = currentPageData?.id;
+    try {
+      const url = await uploadImage(file);
+      const imageObj = await loadImage(url);
+      // Calculate initial size (e.g., max width 300px, maintain aspect ratio)
+      const maxWidth = 300;
+      const ratio = Math.min(maxWidth / imageObj.width, 1); // Don't scale up
+      const width = imageObj.width * ratio;
+      const height = imageObj.height * ratio;
+
+      // Center it in the visible part of the board
+      const visible = getVisibleArea();
+      const x = visible.x + (visible.width / 2) - (width / 2);
+      const y = visible.y + (visible.height / 2) - (height / 2);
+
+      const newShape = {
+        id: createId(),
+        type: 'image',
+        x: x,
+        y: y,
+        width: width,
+        height: height,
+        image: url, // Asset URL, loaded into an Image element when rendered
+        rotation: 0,
+      };
 
-        const currentPageIndex = currentPage - 1;
-        const updatedPages = pages.map((page, index) =>
-          index === currentPageIndex
-            ? { ...page, shapes: [...page.shapes, newShape] }
-            : page
-        );
+      applyLocalOp({ type: 'add-shape', pageId, shape: newShape });
+    } catch (err) {
+      console.error('Failed to upload image:', err);
+      alert(`Failed to upload image: ${err.message}`);
+    }
+  };
 
-        setPages(updatedPages);
-        emitDrawUpdate(updatedPages);
-      };
-      imageObj.onerror = () => {
-          alert('Failed to load image.');
-      };
-      imageObj.src = reader.result;
-    };
-    reader.onerror = () => {
-        alert('Failed to read file.');
+  // --- Graphs ---
+  // New graphs show sin(x) with equal units on both axes, centered in view
+  const handleAddGraph = () => {
+    if (!currentPageData) return;
+    if (!canEditCurrentPage) {
+      showNotice(lockedMessage);
+      return;
+    }
+    const [width, height] = [400, 300];
+    const visible = getVisibleArea();
+    const graph = {
+      id: createId(),
+      type: 'graph',
+      x: visible.x + (visible.width / 2) - (width / 2),
+      y: visible.y + (visible.height / 2) - (height / 2),
+      width,
+      height,
+      rotation: 0,
+      strokeWidth: 2,
+      domain: [-10, 10],
+      range: [-7.5, 7.5],
+      functions: [{ expression: 'sin(x)', color: graphColors[0] }],
     };
-    reader.readAsDataURL(file);
-    e.target.value = ''; // Reset file input after selection
+    applyLocalOp({ type: 'add-shape', pageId: currentPageData.id, shape: graph });
+    setEditingGraph({ pageId: currentPageData.id, id: graph.id });
   };
 
-  const handleDragEnd = (e) => {
-    const shapeNode = e.target;
-    const id = shapeNode.id();
-
-    const updatedPages = pages.map(page => {
-      if (page.id === currentPage) {
-        const newShapes = page.shapes.map(s =>
-          s.id === id
-            ? { ...s, x: shapeNode.x(), y: shapeNode.y(), rotation: shapeNode.rotation() }
-            : s
-        );
-        return { ...page, shapes: newShapes };
+  const commitGraphEdit = (definition) => {
+    const editing = editingGraph;
+    setEditingGraph(null);
+    const graph = pages.find(p => p.id === editing?.pageId)?.shapes.find(s => s.id === editing.id);
+    if (!graph) return;
+    const props = {};
+    Object.keys(definition).forEach((key) => {
+      if (JSON.stringify(definition[key]) !== JSON.stringify(graph[key])) props[key] = definition[key];
+    });
+    if (Object.keys(props).length > 0) {
+      applyLocalOp({ type: 'update-object', pageId: editing.pageId, id: editing.id, props });
+    }
+  };
+
+  // --- Equations ---
+  const handleAddEquation = () => {
+    if (!currentPageData) return;
+    if (!canEditCurrentPage) {
+      showNotice(lockedMessage);
+      return;
+    }
+    setEditingEquation({ pageId: currentPageData.id, id: null, latex: '', color: selectedColor });
+  };
+
+  const startEditingEquation = (shape) => {
+    if (!currentPageData || !canEditCurrentPage || !canChange(shape)) return;
+    setEditingEquation({ pageId: currentPageData.id, id: shape.id, latex: shape.latex, color: shape.color });
+  };
+
+  // New equations are centered in view; edited ones keep their position
+  // and scale, so resizing one sticks when its LaTeX changes
+  const commitEquationEdit = (latex) => {
+    const editing = editingEquation;
+    setEditingEquation(null);
+    if (!editing) return;
+
+    if (!editing.id) {
+      const { width, height } = getEquationSize(latex);
+      const visible = getVisibleArea();
+      applyLocalOp({
+        type: 'add-shape',
+        pageId: editing.pageId,
+        shape: {
+          id: createId(),
+          type: 'equation',
+          x: visible.x + (visible.width / 2) - (width / 2),
+          y: visible.y + (visible.height / 2) - (height / 2),
+          width,
+          height,
+          rotation: 0,
+          latex,
+          color: editing.color,
+        },
+      });
+      return;
+    }
+
+    const shape = pages.find(p => p.id === editing.pageId)?.shapes.find(s => s.id === editing.id);
+    if (!shape || latex === shape.latex) return;
+    let fontSize = defaultEquationFontSize;
+    let stretch = 1; // Width over height, relative to the typeset equation
+    try {
+      const previous = getEquationSize(shape.latex, 1);
+      fontSize = shape.height / previous.height;
+      stretch = (shape.width / previous.width) / fontSize;
+    } catch (err) {
+      // The old LaTeX doesn't typeset; start over at the default size
+    }
+    const { width, height } = getEquationSize(latex, fontSize);
+    applyLocalOp({ type: 'update-object', pageId: editing.pageId, id: editing.id, props: { latex, width: width * stretch, height } });
+  };
+
+  // --- Geometry Instruments ---
+  // Changes show here at once and go to the others throttled; the server
+  // keeps them for the room, not on the board (see utils/instruments.js)
+  const updateInstrument = (kind, instrument) => {
+    const next = { ...instrumentsRef.current };
+    if (instrument) next[kind] = instrument;
+    else delete next[kind];
+    instrumentsRef.current = next;
+    setInstruments(next);
+    sendInstrumentRef.current[kind](instrument);
+  };
+
+  // Put an instrument out in the middle of the view, or away if it's
+  // already out on this page
+  const toggleInstrument = (kind) => {
+    if (!currentPageData) return;
+    if (!canEditCurrentPage) {
+      showNotice(lockedMessage);
+      return;
+    }
+    const current = instrumentsRef.current[kind];
+    if (current && current.pageId === currentPageData.id) {
+      updateInstrument(kind, null);
+      return;
+    }
+    const visible = getVisibleArea();
+    const center = { x: visible.x + visible.width / 2, y: visible.y + visible.height / 2 };
+    updateInstrument(kind, createInstrument(kind, currentPageData.id, center));
+  };
+
+  const handleInstrumentHandleDown = (kind, handle) => {
+    const pos = stageRef.current?.getRelativePointerPosition();
+    const instrument = instrumentsRef.current[kind];
+    if (!pos || !instrument) return;
+    instrumentDragRef.current = { kind, handle, last: pos };
+    if (handle === 'draw') Object.assign(instrumentDragRef.current, { startAngle: instrument.angle, sweep: 0 });
+  };
+
+  // Follow the pointer with the handle being dragged
+  const dragInstrument = (pos) => {
+    const drag = instrumentDragRef.current;
+    const instrument = instrumentsRef.current[drag.kind];
+    if (!instrument) return;
+    let next;
+    switch (drag.handle) {
+      case 'move':
+        next = moveInstrument(instrument, pos.x - drag.last.x, pos.y - drag.last.y);
+        break;
+      case 'rotate':
+        next = drag.kind === 'ruler' ? rotateRulerTowards(instrument, pos) : rotateProtractorTowards(instrument, pos);
+        break;
+      case 'angle':
+        next = { ...instrument, angle: getProtractorAngle(instrument, pos) };
+        break;
+      case 'open':
+        // The hinge is halfway along the arm
+        next = openCompassTo(instrument, { x: 2 * pos.x - instrument.x, y: 2 * pos.y - instrument.y });
+        break;
+      default: { // 'draw': the pencil turns about the pivot at the same radius
+        const { angle } = openCompassTo(instrument, pos);
+        drag.sweep += angleDelta(instrument.angle, angle);
+        next = { ...instrument, angle };
+        setCompassArc(getArcPoints(instrument, drag.startAngle, drag.sweep));
+      }
+    }
+    drag.last = pos;
+    updateInstrument(drag.kind, next);
+  };
+
+  // The arc a compass drew becomes a pen stroke, one undo step
+  const finishInstrumentDrag = () => {
+    const drag = instrumentDragRef.current;
+    instrumentDragRef.current = null;
+    setCompassArc(null);
+    const { compass } = instrumentsRef.current;
+    if (drag.handle !== 'draw' || !compass || Math.abs(drag.sweep) < 1) return;
+    applyLocalOp({
+      type: 'add-line',
+      pageId: compass.pageId,
+      line: {
+        id: createId(),
+        tool: 'pen',
+        points: getArcPoints(compass, drag.startAngle, drag.sweep),
+        color: selectedColor,
+        strokeWidth: selectedStrokeWidth,
+        tension: 0,
+        lineCap: 'round',
+        lineJoin: 'round',
+        globalCompositeOperation: 'source-over',
+      },
+    });
+  };
+
+  // --- Text Editing ---
+  const startEditingText = (shape) => {
+    if (!currentPageData || !canChange(shape)) return;
+    setSelectedIds([]);
+    setEditingText({
+      pageId: currentPageData.id,
+      id: shape.id,
+      x: shape.x,
+      y: shape.y,
+      rotation: shape.rotation || 0,
+      text: shape.text,
+      fontSize: shape.fontSize,
+      fontStyle: shape.fontStyle || 'normal',
+      color: shape.color,
+    });
+  };
+
+  const commitTextEdit = (text) => {
+    const editing = editingText;
+    setEditingText(null);
+    if (!editing) return;
+
+    if (!editing.id) {
+      if (!text.trim()) return; // Nothing typed
+      applyLocalOp({
+        type: 'add-shape',
+        pageId: editing.pageId,
+        shape: {
+          id: createId(),
+          type: 'text',
+          x: editing.x,
+          y: editing.y,
+          rotation: 0,
+          text,
+          fontSize: editing.fontSize,
+          fontStyle: editing.fontStyle,
+          color: editing.color,
+          width: Math.ceil(measureTextWidth(text, editing.fontSize, editing.fontStyle)) + 2,
+        },
+      });
+    } else if (!text.trim()) {
+      // Emptying a text box deletes it
+      applyLocalOp({ type: 'delete-object', pageId: editing.pageId, id: editing.id });
+    } else if (text !== editing.text) {
+      const shape = pages.find(p => p.id === editing.pageId)?.shapes.find(s => s.id === editing.id);
+      const width = Math.max(shape?.width || 0, Math.ceil(measureTextWidth(text, editing.fontSize, editing.fontStyle)) + 2);
+      applyLocalOp({ type: 'update-object', pageId: editing.pageId, id: editing.id, props: { text, width } });
+    }
+  };
+
+  // Font size / bold / italic apply to new text and to the selected text shapes
+  const handleTextStyleChange = (patch) => {
+    const nextStyle = { ...textStyle, ...patch };
+    setTextStyle(nextStyle);
+    if (!currentPageData) return;
+    applyLocalOps(selectedTextShapes.map(shape => ({
+      type: 'update-object',
+      pageId: currentPageData.id,
+      id: shape.id,
+      props: { fontSize: nextStyle.fontSize, fontStyle: toFontStyle(nextStyle) },
+    })));
+  };
+
+  const addRecentColor = (color) => {
+    setRecentColors((current) => {
+      const next = [color, ...current.filter(c => c !== color)].slice(0, maxRecentColors);
+      try {
+        window.localStorage.setItem(recentColorsKey, JSON.stringify(next));
+      } catch (err) {
+        // Storage may be unavailable (private mode); recent colors just won't persist
       }
-      return page;
+      return next;
     });
+  };
+
+  // Picking a color also recolors the selection (images have no color)
+  const handleColorSelect = (color) => {
+    setSelectedColor(color);
+    addRecentColor(color);
+    if (!currentPageData) return;
+    const recolored = [...selectedShapes.filter(s => s.type !== 'image'), ...selectedLines];
+    applyLocalOps(recolored.map(object => ({
+      type: 'update-object', pageId: currentPageData.id, id: object.id, props: { color },
+    })));
+  };
 
-    setPages(updatedPages);
-    emitDrawUpdate(updatedPages);
+  // Picking a width also restyles the selected strokes and outlined shapes
+  const handleStrokeWidthSelect = (strokeWidth) => {
+    setSelectedStrokeWidth(strokeWidth);
+    if (!currentPageData) return;
+    const restyled = [...selectedShapes.filter(s => outlinedShapeTypes.includes(s.type)), ...selectedLines];
+    applyLocalOps(restyled.map(object => ({
+      type: 'update-object', pageId: currentPageData.id, id: object.id, props: { strokeWidth },
+    })));
   };
 
-  const handleTransformEnd = (e) => {
-    const node = e.target;
+  // Keep the text toolbar in sync with the selected text shape
+  useEffect(() => {
+    if (selectedText) {
+      setTextStyle({ fontSize: selectedText.fontSize, ...fromFontStyle(selectedText.fontStyle) });
+    }
+  }, [selectedText]);
+
+  // Style props for a new shape of `type`
+  const getNewShapeStyle = (type) => ({
+    dash: shapeStyle.dash,
+    opacity: shapeStyle.opacity,
+    ...(shapeStyle.fill && filledShapeTypes.includes(type) ? { fill: shapeStyle.fill } : {}),
+  });
+
+  // Fill, outline style and opacity apply to new shapes and to the selected
+  // shapes that support them. A null fill removes it.
+  const handleShapeStyleChange = (patch) => {
+    setShapeStyle({ ...shapeStyle, ...patch });
+    if (patch.fill) addRecentColor(patch.fill);
+    if (!currentPageData) return;
+
+    applyLocalOps(selectedShapes.map((shape) => {
+      const props = {};
+      if ('fill' in patch && filledShapeTypes.includes(shape.type)) props.fill = patch.fill;
+      if ('dash' in patch && outlinedShapeTypes.includes(shape.type)) props.dash = patch.dash;
+      if ('opacity' in patch) props.opacity = patch.opacity;
+      return Object.keys(props).length > 0
+        ? { type: 'update-object', pageId: currentPageData.id, id: shape.id, props }
+        : null;
+    }).filter(Boolean));
+  };
+
+  // Keep the style toolbar in sync with the selected shape
+  const selectedStyledShape = selectedShapes.find(s => outlinedShapeTypes.includes(s.type)) || selectedShapes[0] || null;
+  useEffect(() => {
+    if (selectedStyledShape) {
+      setShapeStyle(current => ({
+        fill: selectedStyledShape.fill || null,
+        dash: selectedStyledShape.dash || (outlinedShapeTypes.includes(selectedStyledShape.type) ? 'solid' : current.dash),
+        opacity: selectedStyledShape.opacity !== undefined ? selectedStyledShape.opacity : 1,
+      }));
+    }
+  }, [selectedStyledShape]);
+
+  // --- Move / Transform ---
+  // The update for a dragged or transformed node. Konva leaves the new
+  // position, rotation and scale on the node; they are baked into the
+  // object's props and the node's scale is reset. With snapping on, moves
+  // and resizes (but not plain rotations) land on the page grid.
+  const getNodeUpdate = (node, pageId, { dragged = false } = {}) => {
     const id = node.id();
     const scaleX = node.scaleX();
     const scaleY = node.scaleY();
     const rotation = node.rotation();
+    const spacing = getGridSpacing(currentPageData);
+    const snap = value => snapToGrid(value, spacing);
+
+    const line = currentPageData.lines.find(l => l.id === id);
+    if (line) {
+      // Freehand strokes keep their points and store the node's transform
+      const scaled = scaleX !== (line.scaleX ?? 1) || scaleY !== (line.scaleY ?? 1);
+      if (snapEnabled && (dragged || scaled)) node.position({ x: snap(node.x()), y: snap(node.y()) });
+      return {
+        type: 'update-object',
+        pageId,
+        id,
+        props: { x: node.x(), y: node.y(), rotation, scaleX, scaleY },
+      };
+    }
+
+    const shape = currentPageData.shapes.find(s => s.id === id);
+    if (!shape) return null;
 
     // Reset scale on the node itself, new size/points are stored in state
     node.scaleX(1);
     node.scaleY(1);
 
-    const updatedPages = pages.map(page => {
-      if (page.id === currentPage) {
-        const newShapes = page.shapes.map(shape => {
-          if (shape.id === id) {
-            let updatedShape = { ...shape };
-
-            if (shape.type === 'line') {
-                // For lines, transform the relative end point based on scale
-                const points = shape.points || [0, 0, 0, 0];
-                // Assume line points are relative [0, 0, endX, endY]
-                const relativeEndX = points[2] || 0;
-                const relativeEndY = points[3] || 0;
-                const newRelativeEndX = relativeEndX * scaleX;
-                const newRelativeEndY = relativeEndY * scaleY;
-
-                updatedShape = {
-                    ...shape,
-                    x: node.x(), // New absolute position
-                    y: node.y(),
-                    points: [0, 0, newRelativeEndX, newRelativeEndY], // New relative points
-                    rotation: rotation,
-                    // Update width/height if used for bounding box calculations elsewhere
-                    width: Math.abs(newRelativeEndX),
-                    height: Math.abs(newRelativeEndY),
-                };
-
-            } else { // Rect, Ellipse, Image
-              updatedShape = {
-                ...shape,
-                x: node.x(),
-                y: node.y(),
-                // Apply scale to dimensions, prevent zero/negative sizes
-                width: Math.max(5, shape.width * scaleX),
-                height: Math.max(5, shape.height * scaleY),
-                rotation: rotation,
-              };
-            }
-             return updatedShape;
-          }
-          return shape;
-        });
-        return { ...page, shapes: newShapes };
+    let props;
+    if (POINT_SHAPE_TYPES.includes(shape.type)) {
+        // Konva scales line points around the node origin, so bake the
+        // scale into the points themselves
+        const points = (shape.points || [0, 0, 0, 0]).map((value, i) => (
+            i % 2 === 0 ? value * scaleX : value * scaleY
+        ));
+        props = {
+            x: node.x(), // New absolute position
+            y: node.y(),
+            points,
+            rotation: rotation,
+        };
+    } else if (shape.type === 'text') {
+      // Scale the font rather than stretching the glyphs; width controls wrapping
+      props = {
+        x: node.x(),
+        y: node.y(),
+        width: Math.max(20, shape.width * scaleX),
+        fontSize: Math.max(6, Math.round(shape.fontSize * scaleY)),
+        rotation: rotation,
+      };
+    } else { // Rect, Ellipse, Image
+      // Apply scale to dimensions, prevent zero/negative sizes
+      const width = Math.max(5, shape.width * scaleX);
+      const height = Math.max(5, shape.height * scaleY);
+      // Ellipse nodes sit at their center, shapes store the top-left corner
+      const isEllipse = shape.type === 'circle';
+      props = {
+        x: isEllipse ? node.x() - width / 2 : node.x(),
+        y: isEllipse ? node.y() - height / 2 : node.y(),
+        width,
+        height,
+        rotation: rotation,
+      };
+    }
+
+    const scaled = scaleX !== 1 || scaleY !== 1;
+    if (snapEnabled && (dragged || scaled)) {
+      props.x = snap(props.x);
+      props.y = snap(props.y);
+      if (scaled && shape.type !== 'text' && !props.points) {
+        props.width = Math.max(spacing, snap(props.width));
+        props.height = Math.max(spacing, snap(props.height));
       }
-      return page;
+      // Points are relative to the node, so they only line up with the grid unrotated
+      if (scaled && props.points && !rotation) props.points = props.points.map(snap);
+      // The node may be left where the snapped props already were, so React wouldn't move it
+      const isEllipse = shape.type === 'circle';
+      node.position({
+        x: isEllipse ? props.x + props.width / 2 : props.x,
+        y: isEllipse ? props.y + props.height / 2 : props.y,
+      });
+    }
+
+    return { type: 'update-object', pageId, id, props };
+  };
+
+  const commitNodeChanges = (nodes, options) => {
+    if (!currentPageData) return;
+    applyLocalOps(nodes.map(node => getNodeUpdate(node, currentPageData.id, options)).filter(Boolean));
+  };
+
+  // Dragging a selection ends the drag of every node in it at once; collect
+  // them so the move is a single change
+  const handleDragEnd = (e) => {
+    draggedNodesRef.current.push(e.target);
+    if (draggedNodesRef.current.length > 1) return;
+    queueMicrotask(() => {
+      const nodes = draggedNodesRef.current;
+      draggedNodesRef.current = [];
+      commitNodeChanges(nodes, { dragged: true });
     });
+  };
 
-    setPages(updatedPages);
-    emitDrawUpdate(updatedPages);
+  const handleTransformEnd = () => {
+    commitNodeChanges(transformerRef.current?.nodes() || []);
   };
 
   const clearCanvas = () => {
+    if (!currentPageData) return;
     if (window.confirm("Are you sure you want to clear the current page?")) {
-      const updatedPages = pages.map(page =>
-        page.id === currentPage ? { ...page, lines: [], shapes: [] } : page
-      );
-      setPages(updatedPages);
-      setSelectedId(null); // Deselect any selected item
-      emitDrawUpdate(updatedPages);
+      setSelectedIds([]); // Deselect any selected item
+      applyLocalOp({ type: 'clear-page', pageId: currentPageData.id });
+    }
+  };
+
+  const addPage = () => {
+    applyLocalOp({ type: 'add-page', page: createPage() });
+    setCurrentPage(pages.length + 1); // Go to the new page
+  };
+
+  const removeCurrentPage = () => {
+    if (!currentPageData || pages.length <= 1) return;
+    if (window.confirm(`Delete page ${currentPage}?`)) {
+      setSelectedIds([]);
+      applyLocalOp({ type: 'remove-page', pageId: currentPageData.id });
+      setCurrentPage(Math.max(1, currentPage - 1));
+    }
+  };
+
+  // Page backgrounds are page settings, so only the teacher changes them
+  const setCurrentPageBackground = (background) => {
+    if (!currentPageData) return;
+    applyLocalOp({ type: 'update-page', pageId: currentPageData.id, props: { background } });
+  };
+
+  // --- Locks (teacher only) ---
+  // The server applies them and sends the new settings to everyone
+  const setBoardLocked = (locked) => {
+    socketRef.current?.emit('set-lock', { locked });
+  };
+
+  const setCurrentPageLocked = (locked) => {
+    if (currentPageData) socketRef.current?.emit('set-lock', { pageId: currentPageData.id, locked });
+  };
+
+  // --- Export ---
+  // Pages are exported at their content bounds; empty pages as the visible area
+  const getExportArea = (page) => {
+    const bounds = expandBounds(getPageBounds(page), 20) || getVisibleArea();
+    const x = Math.floor(bounds.x);
+    const y = Math.floor(bounds.y);
+    return {
+      x,
+      y,
+      width: Math.ceil(bounds.x + bounds.width) - x,
+      height: Math.ceil(bounds.y + bounds.height) - y,
+    };
+  };
+
+  const handleExportPng = (pixelRatio) => {
+    if (!currentPageData) return Promise.resolve();
+    return exportPageAsPng(currentPageData, {
+      area: getExportArea(currentPageData),
+      pixelRatio,
+      fileName: `${boardId}-page-${currentPage}.png`,
+    });
+  };
+
+  const handleExportPdf = (pixelRatio) => exportPagesAsPdf(pages, {
+    getArea: getExportArea,
+    pixelRatio,
+    fileName: `${boardId}.pdf`,
+  });
+
+  // Vector export, no resolution; one file per page
+  const handleExportSvg = (allPages) => {
+    if (!allPages) {
+      if (!currentPageData) return Promise.resolve();
+      return exportPagesAsSvg([currentPageData], {
+        getArea: getExportArea,
+        fileName: () => `${boardId}-page-${currentPage}.svg`,
+      });
+    }
+    return exportPagesAsSvg(pages, {
+      getArea: getExportArea,
+      fileName: (i) => `${boardId}-page-${i + 1}.svg`,
+    });
+  };
+
+  // --- Save / Open Board File ---
+  const handleSaveToFile = () => {
+    saveBoardToFile({ name: boardId, pages, fileName: `${boardId}.board.json` })
+      .catch((err) => {
+        console.error('Failed to save board:', err);
+        alert('Failed to save board.');
+      });
+  };
+
+  const handleOpenFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Reset file input so the same file can be opened again
+    if (!file) return;
+
+    try {
+      const board = parseBoardFile(await file.text());
+      if (!window.confirm(`Replace the contents of this board with "${file.name}"? Everyone on the board will see the change.`)) return;
+      await importBoardFile(serverUrl, boardId, board, teacherToken);
+      // Our undo steps refer to the old contents
+      historyRef.current = createHistory();
+      updateHistoryState();
+      setSelectedIds([]);
+      setCurrentPage(1);
+    } catch (err) {
+      console.error('Failed to open board file:', err);
+      alert(err.message);
     }
   };
 
@@ -519,7 +1768,7 @@ const Whiteboard = () => {
       zIndex: 10, // Ensure it's above the canvas
     }}>
       <button
-        onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+        onClick={() => { breakAway(); setCurrentPage(Math.max(1, currentPage - 1)); }}
         disabled={currentPage === 1}
         style={{ /* ... button styles ... */ }}
       >
@@ -527,27 +1776,60 @@ const Whiteboard = () => {
       </button>
       <span style={{ padding: '8px 10px', alignSelf: 'center', color: '#333' }}>
         Page {currentPage} / {pages.length}
+        {isCurrentPageLocked && !isTeacher && <img src={lockIcon} alt="Locked" title="Locked by the teacher" width="14" height="14" style={{ marginLeft: 6, verticalAlign: 'middle' }} />}
       </span>
       <button
-        onClick={() => setCurrentPage(Math.min(pages.length, currentPage + 1))}
+        onClick={() => { breakAway(); setCurrentPage(Math.min(pages.length, currentPage + 1)); }}
         disabled={currentPage === pages.length}
         style={{ /* ... button styles ... */ }}
       >
         Next
       </button>
-      <button
-        onClick={() => {
-          const newPageId = pages.length > 0 ? Math.max(...pages.map(p => p.id)) + 1 : 1;
-          const newPage = { id: newPageId, lines: [], shapes: [] };
-          const updatedPages = [...pages, newPage];
-          setPages(updatedPages);
-          setCurrentPage(newPage.id); // Go to the new page
-          emitDrawUpdate(updatedPages); // Notify others about the new page structure
-        }}
-        style={{ marginLeft: '15px', /* ... button styles ... */ }}
-      >
-        Add Page
-      </button>
+      {isTeacher && (
+        <>
+          <button
+            onClick={addPage}
+            style={{ marginLeft: '15px', /* ... button styles ... */ }}
+          >
+            Add Page
+          </button>
+          <button
+            onClick={removeCurrentPage}
+            disabled={pages.length <= 1}
+            title="Delete Current Page"
+            style={{ display: 'flex', alignItems: 'center' }}
+          >
+            <img src={deleteIcon} alt="Delete Page" width="16" height="16" />
+          </button>
+          <button
+            onClick={() => setCurrentPageLocked(!isCurrentPageLocked)}
+            title={isCurrentPageLocked ? 'Unlock Page for Students' : 'Lock Page for Students'}
+            style={{ display: 'flex', alignItems: 'center', backgroundColor: isCurrentPageLocked ? '#e0f0ff' : undefined }}
+          >
+            <img src={isCurrentPageLocked ? lockIcon : unlockIcon} alt={isCurrentPageLocked ? 'Unlock Page' : 'Lock Page'} width="16" height="16" />
+          </button>
+          <select
+            value={currentPageData?.background?.type || ''}
+            onChange={(e) => setCurrentPageBackground(e.target.value
+              ? { type: e.target.value, spacing: currentPageData?.background?.spacing || defaultGridSpacing }
+              : null)}
+            title="Page Background"
+          >
+            {backgroundOptions.map(option => <option key={option.label} value={option.type || ''}>{option.label}</option>)}
+          </select>
+          {currentPageData?.background && (
+            <select
+              value={currentPageData.background.spacing}
+              onChange={(e) => setCurrentPageBackground({ ...currentPageData.background, spacing: Number(e.target.value) })}
+              title="Grid Spacing"
+            >
+              {[...new Set([...gridSpacingOptions, currentPageData.background.spacing])].sort((a, b) => a - b).map(spacing => (
+                <option key={spacing} value={spacing}>{spacing}px</option>
+              ))}
+            </select>
+          )}
+        </>
+      )}
     </div>
   );
 
@@ -574,7 +1856,19 @@ const Whiteboard = () => {
    };
 
   // --- Render ---
-  const currentPageData = pages.find(p => p.id === currentPage) || { lines: [], shapes: [] };
+  const visibleShapes = [...(currentPageData?.shapes || []), ...(draftShape ? [draftShape] : [])];
+  const visibleLines = currentPageData?.lines || [];
+
+  // Where the text editor overlay goes, in screen pixels
+  const editedGraph = editingGraph
+    ? pages.find(p => p.id === editingGraph.pageId)?.shapes.find(shape => shape.id === editingGraph.id)
+    : null;
+
+  const textEditorPosition = {
+    x: (editingText?.x || 0) * viewport.scale + viewport.x,
+    y: (editingText?.y || 0) * viewport.scale + viewport.y,
+    scale: viewport.scale,
+  };
 
   return (
     <div className="whiteboard-container" style={{ height: '100vh', width: '100vw', overflow: 'hidden', position: 'relative', backgroundColor: '#f0f0f0' }}>
@@ -597,8 +1891,17 @@ const Whiteboard = () => {
         <button onClick={() => setTool('pen')} style={tool === 'pen' ? activeButtonStyle : baseButtonStyle} title="Pen">
           <img src={penIcon} alt="Pen" width="24" height="24" />
         </button>
-        <button onClick={() => setTool('eraser')} style={tool === 'eraser' ? activeButtonStyle : baseButtonStyle} title="Eraser">
-          <img src={eraserIcon} alt="Eraser" width="24" height="24" />
+        <button onClick={() => setShapeAssist(!shapeAssist)} style={shapeAssist ? activeButtonStyle : baseButtonStyle} title={`Shape Assist: ${shapeAssist ? 'on' : 'off'} (turns pen strokes into lines, arrows and shapes)`}>
+          <img src={shapeAssistIcon} alt="Shape Assist" width="24" height="24" />
+        </button>
+        <button onClick={() => setSnapEnabled(!snapEnabled)} style={snapEnabled ? activeButtonStyle : baseButtonStyle} title={`Snap to Grid: ${snapEnabled ? 'on' : 'off'} (new lines and shapes, moves and resizes)`}>
+          <img src={snapIcon} alt="Snap to Grid" width="24" height="24" />
+        </button>
+        <button onClick={() => setTool('eraser')} style={tool === 'eraser' ? activeButtonStyle : baseButtonStyle} title="Stroke Eraser (removes whole strokes and shapes)">
+          <img src={eraserIcon} alt="Stroke Eraser" width="24" height="24" />
+        </button>
+        <button onClick={() => setTool('preciseEraser')} style={tool === 'preciseEraser' ? activeButtonStyle : baseButtonStyle} title="Precise Eraser (cuts through strokes)">
+          <img src={preciseEraserIcon} alt="Precise Eraser" width="24" height="24" />
         </button>
         <button onClick={() => setTool('line')} style={tool === 'line' ? activeButtonStyle : baseButtonStyle} title="Line">
           <img src={lineIcon} alt="Line" width="24" height="24" />
@@ -609,8 +1912,17 @@ const Whiteboard = () => {
         <button onClick={() => setTool('circle')} style={tool === 'circle' ? activeButtonStyle : baseButtonStyle} title="Circle">
           <img src={circleIcon} alt="Circle" width="24" height="24" />
         </button>
-        <button onClick={() => setTool('select')} style={tool === 'select' ? activeButtonStyle : baseButtonStyle} title="Select/Transform">
-          <img src={selectIcon} alt="Select" width="24" height="24" />
+        <button onClick={() => setTool('text')} style={tool === 'text' ? activeButtonStyle : baseButtonStyle} title="Text">
+          <img src={textIcon} alt="Text" width="24" height="24" />
+        </button>
+        <button onClick={() => setTool('select')} style={tool === 'select' ? activeButtonStyle : baseButtonStyle} title="Select (click or drag a box; Shift adds)">
+          <img src={selectRectIcon} alt="Select" width="24" height="24" />
+        </button>
+        <button onClick={() => setTool('lasso')} style={tool === 'lasso' ? activeButtonStyle : baseButtonStyle} title="Lasso Select (Shift adds)">
+          <img src={selectLassoIcon} alt="Lasso Select" width="24" height="24" />
+        </button>
+        <button onClick={() => setTool('pan')} style={tool === 'pan' ? activeButtonStyle : baseButtonStyle} title="Pan (or hold Space and drag)">
+          <img src={panIcon} alt="Pan" width="24" height="24" />
         </button>
 
         {/* Separator */}
@@ -621,27 +1933,20 @@ const Whiteboard = () => {
           <button
             onClick={() => setShowColorPicker(!showColorPicker)}
             style={{ ...baseButtonStyle, backgroundColor: selectedColor }}
-            title="Select Color"
+            title="Outline / Ink Color"
           >
             <img src={colorPaletteIcon} alt="Color Palette" width="24" height="24" style={{ filter: 'invert(1) drop-shadow(0 0 1px black)' }}/>
           </button>
           {showColorPicker && (
-            <div style={{
-              position: 'absolute', top: 0, left: '110%', // Position to the right
-              backgroundColor: 'white', border: '1px solid #ccc', padding: 8, zIndex: 11,
-              display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 6, borderRadius: '4px', boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
-            }}>
-              {colors.map((color) => (
-                <div
-                  key={color}
-                  style={{
-                    width: 25, height: 25, backgroundColor: color, cursor: 'pointer',
-                    border: '1px solid #ccc', borderRadius: '3px',
-                  }}
-                  onClick={() => { setSelectedColor(color); setShowColorPicker(false); }}
-                />
-              ))}
-            </div>
+            <ColorPicker
+              color={selectedColor}
+              recentColors={recentColors}
+              style={{ position: 'absolute', top: 0, left: '110%' }} // Position to the right
+              onChange={(color, done) => {
+                handleColorSelect(color);
+                if (done) setShowColorPicker(false);
+              }}
+            />
           )}
         </div>
 
@@ -671,7 +1976,7 @@ const Whiteboard = () => {
                     border: selectedStrokeWidth === width ? '2px solid #007bff' : '1px solid #eee',
                     borderRadius: '4px', padding: '2px', backgroundColor: selectedStrokeWidth === width ? '#e0f0ff' : 'transparent',
                   }}
-                  onClick={() => { setSelectedStrokeWidth(width); setShowStrokePicker(false); }}
+                  onClick={() => { handleStrokeWidthSelect(width); setShowStrokePicker(false); }}
                 >
                   <div style={{ width: Math.min(16, width), height: Math.min(16, width), backgroundColor: 'black', borderRadius: '50%' }}/>
                 </div>
@@ -687,7 +1992,7 @@ const Whiteboard = () => {
         <div style={{ position: 'relative' }}>
           <input
             type="file"
-            accept="image/*"
+            accept="image/png,image/jpeg,image/gif,image/webp"
             onChange={handleImageUpload}
             style={{ opacity: 0, position: 'absolute', width: '100%', height: '100%', left: 0, top: 0, cursor: 'pointer', zIndex: 1 }}
             title="Upload Image"
@@ -697,10 +2002,119 @@ const Whiteboard = () => {
           </button>
         </div>
 
+        {/* Equation */}
+        <button onClick={handleAddEquation} style={baseButtonStyle} title="Add Equation (LaTeX; double-click an equation to edit it)">
+          <img src={equationIcon} alt="Add Equation" width="24" height="24" />
+        </button>
+
+        {/* Function Graph */}
+        <button onClick={handleAddGraph} style={baseButtonStyle} title="Add Graph (double-click a graph to edit it)">
+          <img src={graphIcon} alt="Add Graph" width="24" height="24" />
+        </button>
+
+        {/* Geometry Instruments */}
+        <div style={{ position: 'relative' }}>
+          <button
+            onClick={() => setShowInstrumentPicker(!showInstrumentPicker)}
+            style={baseButtonStyle}
+            title="Ruler, Protractor and Compass"
+          >
+            <img src={rulerIcon} alt="Instruments" width="24" height="24" />
+          </button>
+          {showInstrumentPicker && (
+            <div style={{
+              position: 'absolute', top: 0, left: '110%', // Position to the right
+              backgroundColor: 'white', border: '1px solid #ccc', padding: 8, zIndex: 11,
+              display: 'flex', gap: 8, borderRadius: '4px', boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+            }}>
+              {instrumentButtons.map(({ kind, label, icon, hint }) => {
+                const isOut = instruments[kind]?.pageId === currentPageData?.id;
+                return (
+                  <button
+                    key={kind}
+                    onClick={() => toggleInstrument(kind)}
+                    style={isOut ? activeButtonStyle : baseButtonStyle}
+                    title={`${isOut ? 'Put Away' : 'Show'} ${label} (${hint})`}
+                  >
+                    <img src={icon} alt={label} width="24" height="24" />
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {/* Delete Selection */}
+        <button
+          onClick={deleteSelection}
+          disabled={selectedIds.length === 0}
+          style={{ ...baseButtonStyle, opacity: selectedIds.length ? 1 : 0.4 }}
+          title="Delete Selection (Del)"
+        >
+          <img src={deleteIcon} alt="Delete Selection" width="24" height="24" />
+        </button>
+
         {/* Clear Canvas */}
-        <button onClick={clearCanvas} style={baseButtonStyle} title="Clear Current Page">
-          <img src={clearIcon} alt="Clear Page" width="24" height="24" />
+        {isTeacher && (
+          <button onClick={clearCanvas} style={baseButtonStyle} title="Clear Current Page">
+            <img src={clearIcon} alt="Clear Page" width="24" height="24" />
+          </button>
+        )}
+      </div>
+
+      {/* Action bar: history, file and export */}
+      <div style={{
+        position: 'fixed',
+        left: 15,
+        top: 15,
+        display: 'flex',
+        gap: '10px',
+        backgroundColor: 'rgba(240, 240, 240, 0.9)',
+        padding: '10px',
+        borderRadius: '8px',
+        boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+        zIndex: 10,
+      }}>
+        {/* Undo / Redo */}
+        <button onClick={undo} disabled={!historyState.canUndo} style={{ ...baseButtonStyle, opacity: historyState.canUndo ? 1 : 0.4 }} title="Undo (Ctrl+Z)">
+          <img src={undoIcon} alt="Undo" width="24" height="24" />
+        </button>
+        <button onClick={redo} disabled={!historyState.canRedo} style={{ ...baseButtonStyle, opacity: historyState.canRedo ? 1 : 0.4 }} title="Redo (Ctrl+Shift+Z)">
+          <img src={redoIcon} alt="Redo" width="24" height="24" />
+        </button>
+
+        {/* Save / Open Board File */}
+        <button onClick={handleSaveToFile} style={baseButtonStyle} title="Save Board to File">
+          <img src={saveIcon} alt="Save Board" width="24" height="24" />
         </button>
+        {isTeacher && (
+          <div style={{ position: 'relative' }}>
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={handleOpenFile}
+              style={{ opacity: 0, position: 'absolute', width: '100%', height: '100%', left: 0, top: 0, cursor: 'pointer', zIndex: 1 }}
+              title="Open Board File"
+            />
+            <button style={baseButtonStyle}>
+              <img src={uploadIcon} alt="Open Board File" width="24" height="24" />
+            </button>
+          </div>
+        )}
+
+        {/* Export */}
+        <ExportMenu buttonStyle={baseButtonStyle} onExportPng={handleExportPng} onExportPdf={handleExportPdf} onExportSvg={handleExportSvg} />
+
+        {/* Read-only board for students */}
+        {isTeacher && (
+          <button
+            onClick={() => setBoardLocked(!boardSettings.locked)}
+            style={boardSettings.locked ? activeButtonStyle : baseButtonStyle}
+            title={boardSettings.locked ? 'Unlock Board for Students' : 'Lock Board (read-only for students)'}
+          >
+            <img src={boardSettings.locked ? lockIcon : unlockIcon} alt={boardSettings.locked ? 'Unlock Board' : 'Lock Board'} width="24" height="24" />
+          </button>
+        )}
       </div>
 
       {/* Konva Stage */}
@@ -709,117 +2123,175 @@ const Whiteboard = () => {
                 // Close popovers if clicking outside toolbar
                 setShowColorPicker(false);
                 setShowStrokePicker(false);
+                setShowInstrumentPicker(false);
             }}
       >
         <Stage
           ref={stageRef}
-          width={window.innerWidth}
-          height={window.innerHeight}
+          width={stageSize.width}
+          height={stageSize.height}
+          x={viewport.x}
+          y={viewport.y}
+          scaleX={viewport.scale}
+          scaleY={viewport.scale}
+          onWheel={handleWheel}
+          onMouseLeave={() => {
+            sendCursor(null);
+            setEraserPointer(null);
+          }}
           onMouseDown={handleMouseDown}
           onMouseMove={handleMouseMove}
           onMouseUp={handleMouseUp}
           onTouchStart={handleMouseDown}
           onTouchMove={handleMouseMove}
           onTouchEnd={handleMouseUp}
-          style={{ backgroundColor: 'white', touchAction: 'none' }} // touchAction: 'none' prevents browser default touch actions like scroll/zoom
+          style={{
+            backgroundColor: 'white',
+            touchAction: 'none', // Prevents browser default touch actions like scroll/zoom
+            cursor: isPanning ? 'grabbing' : (tool === 'pan' || spacePressed ? 'grab' : 'default'),
+          }}
         >
+          {/* Page background (grid, lines, axes); can't be picked or erased */}
+          <Layer listening={false}>
+            {currentPageData?.background && (
+              <Shape sceneFunc={context => drawBackground(context, currentPageData.background, getVisibleArea(), viewport.scale)} />
+            )}
+          </Layer>
+
           {/* Layer for Shapes (Rect, Circle, Image, Lines drawn as shapes) */}
           <Layer>
-            {currentPageData.shapes.map((shape) => {
-              const isSelected = shape.id === selectedId && tool === 'select';
-              const commonProps = {
-                key: shape.id,
-                id: shape.id,
-                x: shape.x,
-                y: shape.y,
-                rotation: shape.rotation || 0,
-                draggable: tool === 'select',
+            {visibleShapes.map((shape) => {
+              const shapeConfig = getShapeConfig(shape);
+              if (!shapeConfig) return null;
+
+              const isSelected = isSelectTool && selectedIds.includes(shape.id);
+              const props = {
+                ...shapeConfig.config,
+                draggable: isSelectTool && !spacePressed && canEditCurrentPage && canChange(shape),
                 onDragEnd: handleDragEnd,
-                onTransformEnd: handleTransformEnd,
-                onClick: () => tool === 'select' && setSelectedId(shape.id),
-                 onTap: () => tool === 'select' && setSelectedId(shape.id), // For touch devices
                 // Visual feedback for selection (optional)
                 shadowColor: isSelected ? 'rgba(0, 123, 255, 0.7)' : undefined,
                 shadowBlur: isSelected ? 10 : 0,
                 shadowOpacity: isSelected ? 0.9 : 0,
               };
 
-              switch (shape.type) {
-                case 'image':
-                  return shape.imageObj ? ( // Render only if imageObj is loaded
-                    <Image
-                      {...commonProps}
-                      image={shape.imageObj}
-                      width={shape.width}
-                      height={shape.height}
+              switch (shapeConfig.className) {
+                case 'Image': {
+                  const src = getShapeImageSource(shape);
+                  if (!src) return null;
+                  return shape.type === 'equation' ? (
+                    <CanvasImage
+                      key={shape.id}
+                      {...props}
+                      src={src}
+                      onDblClick={() => startEditingEquation(shape)}
+                      onDblTap={() => startEditingEquation(shape)}
                     />
-                  ) : null; // Or a placeholder
-                case 'line':
-                     return (
-                         <Line
-                             {...commonProps}
-                             points={shape.points}
-                             stroke={shape.color}
-                             strokeWidth={shape.strokeWidth}
-                             lineCap="round"
-                             lineJoin="round"
-                             tension={0} // Straight line segments defined by points
-                             perfectDrawEnabled={false} // Usually not needed for straight lines
-                         />
-                     );
-                case 'rectangle':
+                  ) : <CanvasImage key={shape.id} {...props} src={src} />;
+                }
+                case 'Text':
                   return (
-                    <Rect
-                      {...commonProps}
-                      width={shape.width}
-                      height={shape.height}
-                      stroke={shape.color}
-                      strokeWidth={shape.strokeWidth}
-                      fillEnabled={false} // Assuming only outline is desired
+                    <Text
+                      key={shape.id}
+                      {...props}
+                      // Hidden while its text is being edited in the overlay
+                      visible={editingText?.id !== shape.id}
+                      onDblClick={() => startEditingText(shape)}
+                      onDblTap={() => startEditingText(shape)}
                     />
                   );
-                case 'circle': // Use Ellipse for circles/ovals
+                case 'Shape': // Graphs
                   return (
-                    <Ellipse
-                      {...commonProps}
-                      // Konva Ellipse uses center x/y and radius x/y
-                      x={shape.x + shape.width / 2}
-                      y={shape.y + shape.height / 2}
-                      radiusX={shape.width / 2}
-                      radiusY={shape.height / 2}
-                      stroke={shape.color}
-                      strokeWidth={shape.strokeWidth}
-                      fillEnabled={false} // Assuming only outline is desired
+                    <Shape
+                      key={shape.id}
+                      {...props}
+                      onDblClick={() => canEditCurrentPage && canChange(shape) && setEditingGraph({ pageId: currentPageData.id, id: shape.id })}
+                      onDblTap={() => canEditCurrentPage && canChange(shape) && setEditingGraph({ pageId: currentPageData.id, id: shape.id })}
                     />
                   );
-                default:
-                  return null;
+                default: {
+                  const ShapeComponent = shapeComponents[shapeConfig.className];
+                  return <ShapeComponent key={shape.id} {...props} />;
+                }
               }
             })}
           </Layer>
 
-          {/* Layer for Freehand Drawing (Pen/Eraser) */}
+          {/* Layer for Freehand Drawing (pen strokes, and eraser strokes from older boards) */}
           <Layer className="drawing-layer">
-            {currentPageData.lines.map((line, i) => (
-              <Line
-                key={`line-${page.id}-${i}`} // Make key more specific if needed
-                points={line.points}
-                stroke={line.color}
-                strokeWidth={line.strokeWidth}
-                tension={line.tension !== undefined ? line.tension : 0.5}
-                lineCap="round"
-                lineJoin="round"
-                globalCompositeOperation={line.globalCompositeOperation}
-                listening={false} // Pen lines usually aren't selectable/draggable
-                perfectDrawEnabled={false} // Can improve performance for complex lines
-              />
-            ))}
+            {visibleLines.map((line) => {
+              // Eraser strokes from older boards can't be picked
+              const isInk = line.globalCompositeOperation !== 'destination-out';
+              const isSelected = isSelectTool && selectedIds.includes(line.id);
+              const lineConfig = getLineConfig(line);
+              const LineComponent = lineComponents[lineConfig.className];
+              return (
+                <LineComponent
+                  key={line.id}
+                  {...lineConfig.config}
+                  listening={isSelectTool && isInk}
+                  hitStrokeWidth={Math.max(line.strokeWidth, 10 / viewport.scale)} // Thin strokes are still easy to click
+                  draggable={isSelectTool && isInk && !spacePressed && canEditCurrentPage && canChange(line)}
+                  onDragEnd={handleDragEnd}
+                  shadowColor={isSelected ? 'rgba(0, 123, 255, 0.7)' : undefined}
+                  shadowBlur={isSelected ? 10 : 0}
+                  shadowOpacity={isSelected ? 0.9 : 0}
+                />
+              );
+            })}
           </Layer>
 
-          {/* Layer for Transformer */}
+          {/* Ruler, protractor and compass, over the ink */}
+          <Instruments
+            instruments={instruments}
+            pageId={currentPageData?.id}
+            scale={viewport.scale}
+            listening={canEditCurrentPage && tool !== 'pan' && !spacePressed}
+            readout={rulerReadout}
+            arc={compassArc}
+            arcColor={selectedColor}
+            arcWidth={selectedStrokeWidth}
+            onHandleDown={handleInstrumentHandleDown}
+          />
+
+          {/* Layer for Transformer, the marquee/lasso and the eraser outline */}
           <Layer>
+            {eraserPointer && eraserTools.includes(tool) && canEditCurrentPage && (
+              <Circle
+                x={eraserPointer.x}
+                y={eraserPointer.y}
+                radius={eraserRadius}
+                stroke="#888888"
+                strokeWidth={1 / viewport.scale}
+                dash={tool === 'preciseEraser' ? [3 / viewport.scale, 3 / viewport.scale] : undefined}
+                fill="rgba(255, 255, 255, 0.5)"
+                listening={false}
+              />
+            )}
+            {selectionArea && (selectionArea.points ? (
+              <Line
+                points={selectionArea.points}
+                closed
+                stroke="#007bff"
+                strokeWidth={1 / viewport.scale}
+                dash={[4 / viewport.scale, 4 / viewport.scale]}
+                fill="rgba(0, 123, 255, 0.08)"
+                listening={false}
+              />
+            ) : (
+              <Rect
+                {...selectionArea}
+                stroke="#007bff"
+                strokeWidth={1 / viewport.scale}
+                dash={[4 / viewport.scale, 4 / viewport.scale]}
+                fill="rgba(0, 123, 255, 0.08)"
+                listening={false}
+              />
+            ))}
             <Transformer
               ref={transformerRef}
+              onTransformEnd={handleTransformEnd}
+              shouldOverdrawWholeArea={true} // Drag the selection from anywhere inside it
               boundBoxFunc={(oldBox, newBox) => {
                 // Minimum size constraint
                 if (newBox.width < 5 || newBox.height < 5) {
@@ -828,9 +2300,8 @@ const Whiteboard = () => {
                 return newBox;
               }}
                // Keep aspect ratio for images by default? Shift+Resize usually handles this.
-               // keepRatio={pages[currentPage - 1]?.shapes.find(s => s.id === selectedId)?.type === 'image'}
-              rotateEnabled={true}
-              resizeEnabled={true} // Enable resizing anchors
+              rotateEnabled={canEditCurrentPage}
+              resizeEnabled={canEditCurrentPage} // Enable resizing anchors
               anchorSize={10}
               anchorStroke="#007bff"
               anchorFill="#ffffff"
@@ -844,11 +2315,131 @@ const Whiteboard = () => {
               // enabledAnchors={['top-left', 'top-right', 'bottom-left', 'bottom-right']}
             />
           </Layer>
+
+          {/* Other participants' pointers */}
+          <RemoteCursors
+            socket={socket}
+            participants={participants.filter(p => p.id !== selfId)}
+            pageId={currentPageData?.id}
+            scale={viewport.scale}
+          />
         </Stage>
       </div>
 
+      {/* Inline text editor */}
+      {editingText && (
+        <TextEditor
+          key={editingText.id || 'new'}
+          initialText={editingText.text}
+          x={textEditorPosition.x}
+          y={textEditorPosition.y}
+          scale={textEditorPosition.scale}
+          fontSize={editingText.fontSize}
+          fontStyle={editingText.fontStyle}
+          color={editingText.color}
+          rotation={editingText.rotation}
+          onCommit={commitTextEdit}
+          onCancel={() => setEditingText(null)}
+        />
+      )}
+
+      {/* Equation editor */}
+      {editingEquation && (
+        <EquationEditor
+          key={editingEquation.id || 'new'}
+          initialLatex={editingEquation.latex}
+          color={editingEquation.color}
+          onCommit={commitEquationEdit}
+          onCancel={() => setEditingEquation(null)}
+        />
+      )}
+
+      {/* Graph editor; closes if the graph is deleted meanwhile */}
+      {editedGraph && (
+        <GraphEditor
+          key={editedGraph.id}
+          graph={editedGraph}
+          onCommit={commitGraphEdit}
+          onCancel={() => setEditingGraph(null)}
+        />
+      )}
+
+      {/* Text and shape style controls */}
+      <div style={{
+        position: 'fixed',
+        top: 15,
+        left: '50%',
+        transform: 'translateX(-50%)',
+        display: 'flex',
+        gap: '10px',
+        zIndex: 10,
+      }}>
+        {(tool === 'text' || selectedText) && (
+          <TextToolbar
+            fontSize={textStyle.fontSize}
+            bold={textStyle.bold}
+            italic={textStyle.italic}
+            onChange={handleTextStyleChange}
+          />
+        )}
+        {(outlinedShapeTypes.includes(tool) || selectedShapes.length > 0) && (
+          <ShapeStyleToolbar
+            fill={shapeStyle.fill}
+            dash={shapeStyle.dash}
+            opacity={shapeStyle.opacity}
+            showFill={filledShapeTypes.includes(tool) || selectedShapes.some(s => filledShapeTypes.includes(s.type))}
+            recentColors={recentColors}
+            onChange={handleShapeStyleChange}
+          />
+        )}
+      </div>
+
+      {/* Refused edits, and why students can't draw here */}
+      {(notice || (currentPageData && !canEditCurrentPage)) && (
+        <div style={{
+          position: 'fixed',
+          left: '50%',
+          bottom: 75,
+          transform: 'translateX(-50%)',
+          padding: '6px 12px',
+          backgroundColor: 'rgba(255, 243, 205, 0.95)',
+          border: '1px solid #e0c060',
+          borderRadius: '8px',
+          boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+          color: '#533f03',
+          zIndex: 10,
+        }}>
+          {notice || (boardSettings.locked ? 'View only: the teacher has locked this board' : 'View only: the teacher has locked this page')}
+        </div>
+      )}
+
       {/* Pagination Controls */}
       <PaginationControls />
+
+      {/* Zoom */}
+      <ZoomControls
+        scale={viewport.scale}
+        onZoomIn={() => { breakAway(); zoomAt(screenCenter(), scale => scale * zoomStep); }}
+        onZoomOut={() => { breakAway(); zoomAt(screenCenter(), scale => scale / zoomStep); }}
+        onReset={() => { breakAway(); zoomAt(screenCenter(), () => 1); }}
+        onFit={fitToContent}
+      />
+
+      {/* Presenter mode */}
+      <PresenterBadge
+        presenterName={presenterName}
+        isPresenting={isPresenting}
+        following={following}
+        canPresent={isTeacher}
+        onPresent={handlePresent}
+        onFollow={setFollowing}
+      />
+
+      {/* Who is here (before the board menu, whose list opens over it) */}
+      <PresencePanel participants={participants} selfId={selfId} presenterId={presenter?.id} onUserChange={handleUserChange} />
+
+      {/* Board switcher */}
+      <BoardMenu serverUrl={serverUrl} boardId={boardId} teacherToken={teacherToken} />
     </div>
   );
 };
@@ -0,0 +1,34 @@
+import React from 'react';
+
+// --- Zoom indicator: zoom out/in, reset to 100% and fit to content ---
+const ZoomControls = ({ scale, onZoomIn, onZoomOut, onReset, onFit }) => {
+  const buttonStyle = {
+    minWidth: 32, height: 28, padding: '0 6px', backgroundColor: 'white',
+    border: '1px solid #ccc', borderRadius: '4px', cursor: 'pointer',
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      right: 15,
+      bottom: 20,
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      backgroundColor: 'rgba(240, 240, 240, 0.9)',
+      padding: '6px 10px',
+      borderRadius: '8px',
+      boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+      zIndex: 10,
+    }}>
+      <button onClick={onZoomOut} style={buttonStyle} title="Zoom Out">−</button>
+      <button onClick={onReset} style={{ ...buttonStyle, minWidth: 56 }} title="Reset Zoom to 100%">
+        {Math.round(scale * 100)}%
+      </button>
+      <button onClick={onZoomIn} style={buttonStyle} title="Zoom In">+</button>
+      <button onClick={onFit} style={buttonStyle} title="Fit to Content">Fit</button>
+    </div>
+  );
+};
+
+export default ZoomControls;
@@ -0,0 +1,2 @@
+// Board server the app talks to (socket.io and the REST API)
+export const serverUrl = process.env.REACT_APP_SERVER_URL || 'http://localhost:5000';
@@ -0,0 +1,31 @@
+// Image assets. Uploaded images are stored once per content hash and served
+// by the board server under ASSET_URL_PREFIX; image shapes reference them by
+// that server-relative URL rather than carrying base64 data around.
+
+const ASSET_URL_PREFIX = '/api/assets/';
+
+// <sha256>.<ext>, for the upload types only
+const ASSET_FILE_PATTERN = /^[0-9a-f]{64}\.(png|jpg|gif|webp)$/;
+
+// Image types that may be uploaded. No SVG: it can carry scripts.
+const UPLOAD_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const isAssetUrl = (src) => typeof src === 'string' && src.startsWith(ASSET_URL_PREFIX);
+
+const getAssetUrl = (fileName) => ASSET_URL_PREFIX + fileName;
+
+// File name an asset URL points at, or null if it isn't one
+const getAssetFileName = (src) => {
+  if (!isAssetUrl(src)) return null;
+  const fileName = src.slice(ASSET_URL_PREFIX.length);
+  return ASSET_FILE_PATTERN.test(fileName) ? fileName : null;
+};
+
+module.exports = {
+  ASSET_URL_PREFIX,
+  ASSET_FILE_PATTERN,
+  UPLOAD_MIME_TYPES,
+  isAssetUrl,
+  getAssetUrl,
+  getAssetFileName,
+};
@@ -0,0 +1,106 @@
+// Versioned JSON file format for saving boards to disk and opening them
+// again. See docs/board-format.md for the full description.
+//
+// Version history:
+//   1 - unversioned `{ pages }` object (or bare pages array) as the first
+//       draw-update protocol sent it: lines have no IDs and image shapes may
+//       carry a non-serializable `imageObj`
+//   2 - `{ format, version, name, savedAt, pages }`; every page, line and
+//       shape has an ID
+//   3 - shape styles (`fill`, `dash`, `opacity`), stroke transforms and
+//       `pressures`, arrow/triangle/graph/equation shapes, page
+//       backgrounds and `createdBy`. All optional or new, so version 2
+//       files open unchanged.
+
+const { normalizePages } = require('./ops');
+const { FILE_LIMITS, validatePages } = require('./schema');
+
+const BOARD_FORMAT = 'hexlcc-board';
+const BOARD_FORMAT_VERSION = 3;
+
+const fail = (message) => {
+  throw new Error(`Invalid board file: ${message}`);
+};
+
+// --- Migrations: each one upgrades a document by exactly one version ---
+const migrations = {
+  1: (doc) => {
+    const pages = Array.isArray(doc) ? doc : doc.pages;
+    if (!Array.isArray(pages)) fail('no pages found');
+    const cleaned = pages.map(page => ({
+      ...page,
+      shapes: (page.shapes || []).map((shape) => {
+        const { imageObj, ...rest } = shape;
+        return rest;
+      }),
+    }));
+    return {
+      format: BOARD_FORMAT,
+      version: 2,
+      name: typeof doc.name === 'string' ? doc.name : undefined,
+      pages: normalizePages(cleaned),
+    };
+  },
+  2: doc => ({ ...doc, version: 3 }),
+};
+
+const detectVersion = (doc) => {
+  if (Array.isArray(doc)) return 1;
+  if (!doc || typeof doc !== 'object') fail('not a JSON object');
+  if (doc.format === undefined && doc.version === undefined) return 1;
+  if (doc.format !== BOARD_FORMAT) fail(`unknown format "${doc.format}"`);
+  if (!Number.isInteger(doc.version) || doc.version < 1) fail('missing version');
+  if (doc.version > BOARD_FORMAT_VERSION) {
+    fail(`version ${doc.version} is newer than this app supports (${BOARD_FORMAT_VERSION})`);
+  }
+  return doc.version;
+};
+
+// Pages, lines and shapes follow the same schema as ops (see schema.js)
+const validateCurrent = (doc) => {
+  try {
+    validatePages(doc.pages, FILE_LIMITS);
+  } catch (err) {
+    fail(err.message);
+  }
+};
+
+// Parse a board file (JSON string or already-parsed object), upgrading older
+// versions. Returns { name, pages } or throws with a readable message.
+const parseBoardFile = (input) => {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (err) {
+      fail('not valid JSON');
+    }
+  }
+
+  let version = detectVersion(doc);
+  while (version < BOARD_FORMAT_VERSION) {
+    doc = migrations[version](doc);
+    version = doc.version;
+  }
+
+  validateCurrent(doc);
+  return {
+    name: typeof doc.name === 'string' ? doc.name : undefined,
+    pages: normalizePages(doc.pages),
+  };
+};
+
+const serializeBoard = ({ name, pages }) => ({
+  format: BOARD_FORMAT,
+  version: BOARD_FORMAT_VERSION,
+  name,
+  savedAt: new Date().toISOString(),
+  pages,
+});
+
+module.exports = {
+  BOARD_FORMAT,
+  BOARD_FORMAT_VERSION,
+  parseBoardFile,
+  serializeBoard,
+};
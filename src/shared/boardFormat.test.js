@@ -0,0 +1,59 @@
+import { BOARD_FORMAT_VERSION, parseBoardFile, serializeBoard } from './boardFormat';
+
+const page = (id, props = {}) => ({ id, lines: [], shapes: [], ...props });
+
+describe('board file format', () => {
+  test('a saved board parses back to the same pages', () => {
+    const pages = [
+      page(1, {
+        lines: [{ id: 'l1', tool: 'pen', points: [0, 0, 10, 10], color: '#000000', strokeWidth: 5 }],
+        shapes: [{ id: 's1', type: 'text', x: 5, y: 5, width: 80, height: 10, strokeWidth: 5, text: 'f(x)', fontSize: 24, color: '#FF0000' }],
+      }),
+      page('p2'),
+    ];
+    const file = JSON.stringify(serializeBoard({ name: 'Limits', pages }));
+
+    const parsed = parseBoardFile(file);
+    expect(parsed.name).toBe('Limits');
+    expect(parsed.pages).toEqual(pages);
+  });
+
+  test('unversioned boards from the old draw-update protocol are migrated', () => {
+    const legacy = {
+      pages: [{
+        id: 1,
+        lines: [{ tool: 'pen', points: [1, 2, 3, 4], color: '#000000', strokeWidth: 3 }],
+        shapes: [{ id: '17', type: 'image', x: 0, y: 0, width: 20, height: 20, image: 'data:image/png;base64,AAAA', imageObj: {} }],
+      }],
+    };
+
+    const { pages } = parseBoardFile(legacy);
+    expect(pages[0].lines[0].id).toEqual(expect.any(String));
+    expect(pages[0].lines[0].points).toEqual([1, 2, 3, 4]);
+    expect(pages[0].shapes[0]).not.toHaveProperty('imageObj');
+    expect(pages[0].shapes[0].image).toBe('data:image/png;base64,AAAA');
+  });
+
+  test('version 2 files open unchanged', () => {
+    const pages = [page(1, { shapes: [{ id: 's1', type: 'rectangle', x: 0, y: 0, width: 20, height: 10, color: '#000000', strokeWidth: 5 }] })];
+    const doc = { ...serializeBoard({ name: 'Old', pages }), version: 2 };
+    expect(parseBoardFile(doc)).toEqual({ name: 'Old', pages });
+  });
+
+  test('files from a newer version are refused', () => {
+    const doc = { ...serializeBoard({ pages: [page(1)] }), version: BOARD_FORMAT_VERSION + 1 };
+    expect(() => parseBoardFile(doc)).toThrow(/newer/);
+  });
+
+  test.each([
+    ['not JSON', '{pages:'],
+    ['an unknown format', { format: 'something-else', version: 1, pages: [page(1)] }],
+    ['no pages', serializeBoard({ pages: [] })],
+    ['odd point counts', serializeBoard({ pages: [page(1, { lines: [{ id: 'l', points: [1, 2, 3] }] })] })],
+    ['unknown shape types', serializeBoard({ pages: [page(1, { shapes: [{ id: 's', type: 'blob', x: 0, y: 0 }] })] })],
+    ['out-of-range opacity', serializeBoard({ pages: [page(1, { shapes: [{ id: 's', type: 'rectangle', x: 0, y: 0, opacity: 2 }] })] })],
+    ['duplicate page ids', serializeBoard({ pages: [page(1), page(1)] })],
+  ])('rejects %s', (_, input) => {
+    expect(() => parseBoardFile(input)).toThrow(/Invalid board file/);
+  });
+});
@@ -0,0 +1,295 @@
+// Board operations shared by the client and the server.
+//
+// Instead of sending the whole `pages` array on every change, clients send
+// small operations that target pages and objects (freehand lines and shapes)
+// by ID. Both sides apply them with `applyOp`, which never mutates its input
+// and returns the same array when an op has no effect.
+
+const { LIMITS, POINT_SHAPE_TYPES } = require('./schema');
+
+const OP_TYPES = [
+  'add-page',      // { page, index? }
+  'remove-page',   // { pageId }
+  'clear-page',    // { pageId }
+  'update-page',   // { pageId, props } - page settings like `background`; a null prop removes it
+  'add-line',      // { pageId, line, index? }
+  'append-points', // { pageId, id, points, pressures? }
+  'add-shape',     // { pageId, shape, index? }
+  'update-object', // { pageId, id, props } - a null prop removes it
+  'delete-object', // { pageId, id }
+  'batch',         // { ops } - applied in order as one change
+];
+
+let idCounter = 0;
+
+// Unique enough across clients: time + random + per-process counter
+const createId = () => {
+  idCounter = (idCounter + 1) % 1679616;
+  return Date.now().toString(36)
+    + Math.random().toString(36).slice(2, 8)
+    + idCounter.toString(36);
+};
+
+const createPage = (id = createId()) => ({ id, lines: [], shapes: [] });
+
+// Fill in properties older clients might have left out
+const withShapeDefaults = (shape) => ({
+  ...shape,
+  points: POINT_SHAPE_TYPES.includes(shape.type) && !shape.points ? [] : shape.points,
+  x: shape.x === undefined ? 0 : shape.x,
+  y: shape.y === undefined ? 0 : shape.y,
+  width: shape.width === undefined ? 10 : shape.width,
+  height: shape.height === undefined ? 10 : shape.height,
+  strokeWidth: shape.strokeWidth === undefined ? 5 : shape.strokeWidth,
+});
+
+// Give every page, line and shape an ID so ops can address them. Boards
+// saved before ops existed have lines without IDs.
+const normalizePages = (pages) => {
+  if (!Array.isArray(pages) || pages.length === 0) return [createPage(1)];
+  return pages.map(page => ({
+    ...page,
+    id: page.id === undefined ? createId() : page.id,
+    lines: (page.lines || []).map(line => (line.id ? line : { ...line, id: createId() })),
+    shapes: (page.shapes || []).map(shape => withShapeDefaults(shape.id ? shape : { ...shape, id: createId() })),
+  }));
+};
+
+const updatePage = (pages, pageId, update) => {
+  const index = pages.findIndex(p => p.id === pageId);
+  if (index === -1) return pages;
+  const updated = update(pages[index]);
+  if (updated === pages[index]) return pages;
+  return [...pages.slice(0, index), updated, ...pages.slice(index + 1)];
+};
+
+// Map the object with `id`, whether it is a freehand line or a shape
+const updateObject = (page, id, update) => {
+  const lineIndex = page.lines.findIndex(l => l.id === id);
+  if (lineIndex !== -1) {
+    const lines = page.lines.slice();
+    lines[lineIndex] = update(lines[lineIndex]);
+    return { ...page, lines };
+  }
+  const shapeIndex = page.shapes.findIndex(s => s.id === id);
+  if (shapeIndex !== -1) {
+    const shapes = page.shapes.slice();
+    shapes[shapeIndex] = update(shapes[shapeIndex]);
+    return { ...page, shapes };
+  }
+  return page;
+};
+
+// Pen strokes keep one pressure per point; appends without pressures
+// (e.g. from an older client) get the default
+const appendPoints = (line, op) => {
+  const appended = { ...line, points: line.points.concat(op.points) };
+  if (line.pressures) {
+    appended.pressures = line.pressures.concat(op.pressures || new Array(op.points.length / 2).fill(0.5));
+  }
+  return appended;
+};
+
+// Insert at `index` (e.g. to restore z-order on undo) or append
+const insertAt = (list, item, index) => {
+  const at = Number.isInteger(index) ? Math.max(0, Math.min(index, list.length)) : list.length;
+  return [...list.slice(0, at), item, ...list.slice(at)];
+};
+
+const mergeProps = (obj, props) => {
+  const merged = { ...obj, ...props, id: obj.id };
+  Object.keys(props).forEach((key) => {
+    if (props[key] === null) delete merged[key];
+  });
+  return merged;
+};
+
+const findObject = (page, id) => (
+  page.lines.find(l => l.id === id) || page.shapes.find(s => s.id === id) || null
+);
+
+const applyOp = (pages, op) => {
+  switch (op && op.type) {
+    case 'add-page': {
+      if (pages.some(p => p.id === op.page.id)) return pages;
+      return insertAt(pages, { ...createPage(op.page.id), ...op.page }, op.index);
+    }
+    case 'remove-page': {
+      // A board always keeps at least one page
+      if (pages.length <= 1) return pages;
+      const remaining = pages.filter(p => p.id !== op.pageId);
+      return remaining.length === pages.length ? pages : remaining;
+    }
+    case 'clear-page':
+      return updatePage(pages, op.pageId, page => (
+        page.lines.length === 0 && page.shapes.length === 0 ? page : { ...page, lines: [], shapes: [] }
+      ));
+    case 'update-page':
+      return updatePage(pages, op.pageId, page => mergeProps(page, op.props));
+    case 'add-line':
+      return updatePage(pages, op.pageId, page => (
+        findObject(page, op.line.id) ? page : { ...page, lines: insertAt(page.lines, op.line, op.index) }
+      ));
+    case 'append-points':
+      return updatePage(pages, op.pageId, page => (
+        page.lines.some(l => l.id === op.id)
+          ? updateObject(page, op.id, line => appendPoints(line, op))
+          : page
+      ));
+    case 'add-shape':
+      return updatePage(pages, op.pageId, page => (
+        findObject(page, op.shape.id) ? page : { ...page, shapes: insertAt(page.shapes, withShapeDefaults(op.shape), op.index) }
+      ));
+    case 'update-object':
+      return updatePage(pages, op.pageId, page => (
+        findObject(page, op.id) ? updateObject(page, op.id, obj => mergeProps(obj, op.props)) : page
+      ));
+    case 'delete-object':
+      return updatePage(pages, op.pageId, page => {
+        if (!findObject(page, op.id)) return page;
+        return {
+          ...page,
+          lines: page.lines.filter(l => l.id !== op.id),
+          shapes: page.shapes.filter(s => s.id !== op.id),
+        };
+      });
+    case 'batch':
+      return op.ops.reduce(applyOp, pages);
+    default:
+      throw new Error(`Unknown op type: ${op && op.type}`);
+  }
+};
+
+// Ops that restore every line and shape of a page, at their original z-order
+const restorePageContentOps = (page) => [
+  ...page.lines.map((line, index) => ({ type: 'add-line', pageId: page.id, line, index })),
+  ...page.shapes.map((shape, index) => ({ type: 'add-shape', pageId: page.id, shape, index })),
+];
+
+// The op that undoes `op` when applied after it, computed from the state
+// `op` is about to be applied to. Only the objects and properties `op`
+// touches are restored, so other users' later edits are left alone. Returns
+// null if `op` wouldn't change anything.
+const invertOp = (pages, op) => {
+  const page = op.pageId !== undefined ? pages.find(p => p.id === op.pageId) : null;
+
+  switch (op.type) {
+    case 'add-page':
+      return { type: 'remove-page', pageId: op.page.id };
+    case 'remove-page': {
+      const index = pages.findIndex(p => p.id === op.pageId);
+      if (index === -1 || pages.length <= 1) return null;
+      return { type: 'add-page', page: pages[index], index };
+    }
+    case 'clear-page':
+      if (!page) return null;
+      return { type: 'batch', ops: restorePageContentOps(page) };
+    case 'update-page': {
+      if (!page) return null;
+      const props = {};
+      Object.keys(op.props).forEach((key) => {
+        props[key] = page[key] === undefined ? null : page[key];
+      });
+      return { type: 'update-page', pageId: op.pageId, props };
+    }
+    case 'add-line':
+      return { type: 'delete-object', pageId: op.pageId, id: op.line.id };
+    case 'add-shape':
+      return { type: 'delete-object', pageId: op.pageId, id: op.shape.id };
+    case 'append-points': {
+      const line = page && page.lines.find(l => l.id === op.id);
+      if (!line) return null;
+      const props = line.pressures ? { points: line.points, pressures: line.pressures } : { points: line.points };
+      return { type: 'update-object', pageId: op.pageId, id: op.id, props };
+    }
+    case 'update-object': {
+      const obj = page && findObject(page, op.id);
+      if (!obj) return null;
+      const props = {};
+      Object.keys(op.props).forEach((key) => {
+        props[key] = obj[key] === undefined ? null : obj[key];
+      });
+      return { type: 'update-object', pageId: op.pageId, id: op.id, props };
+    }
+    case 'delete-object': {
+      if (!page) return null;
+      const lineIndex = page.lines.findIndex(l => l.id === op.id);
+      if (lineIndex !== -1) {
+        return { type: 'add-line', pageId: op.pageId, line: page.lines[lineIndex], index: lineIndex };
+      }
+      const shapeIndex = page.shapes.findIndex(s => s.id === op.id);
+      if (shapeIndex !== -1) {
+        return { type: 'add-shape', pageId: op.pageId, shape: page.shapes[shapeIndex], index: shapeIndex };
+      }
+      return null;
+    }
+    case 'batch': {
+      // Invert each op against the state it sees, then undo in reverse order
+      const inverses = [];
+      op.ops.reduce((state, subOp) => {
+        const inverse = invertOp(state, subOp);
+        if (inverse) inverses.unshift(inverse);
+        return applyOp(state, subOp);
+      }, pages);
+      return inverses.length > 0 ? { type: 'batch', ops: inverses } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// --- Splitting large ops ---
+// Room left in each part for the batch around it and its opId
+const batchOverhead = 200;
+
+const opSize = op => JSON.stringify(op).length;
+
+// Nested batches as the plain ops they apply in order, with big added pages
+// split up as well
+const flattenOps = (ops, limits) => ops.flatMap(op => (
+  op.type === 'batch' ? flattenOps(op.ops, limits) : splitOp(op, limits)
+));
+
+// `op` as consecutive ops that each fit in one message (see maxOpSize and
+// maxBatchOps in schema.js) and together make the same change. Undo
+// restoring a busy page that was cleared or removed, or a big selection
+// that was deleted, easily outgrows one message: a page is added empty and
+// then filled, and a batch is cut into several.
+const splitOp = (op, limits = LIMITS) => {
+  if (op.type === 'add-page') {
+    const { page } = op;
+    if (opSize(op) <= limits.maxOpSize) return [op];
+    return [
+      { ...op, page: { ...page, lines: [], shapes: [] } },
+      ...splitOp({ type: 'batch', ops: restorePageContentOps(page) }, limits),
+    ];
+  }
+  if (op.type !== 'batch' || (op.ops.length <= limits.maxBatchOps && opSize(op) <= limits.maxOpSize)) return [op];
+
+  const parts = [];
+  let current = [];
+  let size = 0;
+  flattenOps(op.ops, limits).forEach((inner) => {
+    const innerSize = opSize(inner) + 1;
+    if (current.length > 0 && (current.length >= limits.maxBatchOps || size + innerSize > limits.maxOpSize - batchOverhead)) {
+      parts.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(inner);
+    size += innerSize;
+  });
+  if (current.length > 0) parts.push(current);
+  return parts.map(ops => (ops.length === 1 ? ops[0] : { type: 'batch', ops }));
+};
+
+module.exports = {
+  OP_TYPES,
+  createId,
+  createPage,
+  normalizePages,
+  findObject,
+  applyOp,
+  invertOp,
+  splitOp,
+};
@@ -0,0 +1,84 @@
+// Who may change what on a board. The server checks every op against these
+// rules; the client uses the same ones to explain a refusal up front.
+//
+// Teachers (whoever holds the board's teacher token) can do anything.
+// Students can draw, and move, edit or erase what they drew themselves, but
+// not other people's objects. They can't manage pages, clear a page or
+// import a board, and can do nothing at all on a locked board or a locked
+// page.
+//
+// The server stamps every added line and shape with `createdBy`, the author
+// ID of whoever added it (see getAuthorId in server/boards.js). Objects
+// without one are from before authors were recorded and count as the
+// teacher's.
+
+const { findObject } = require('./ops');
+
+const ROLES = ['teacher', 'student'];
+
+// Op types students may send; everything else is teacher-only
+const STUDENT_OP_TYPES = ['add-line', 'append-points', 'add-shape', 'update-object', 'delete-object', 'batch'];
+
+// Op types that change an existing object, which students may only send
+// for their own
+const OBJECT_OP_TYPES = ['update-object', 'delete-object'];
+
+const canChangeObject = (role, authorId, object) => (
+  role === 'teacher' || (Boolean(authorId) && object.createdBy === authorId)
+);
+
+// Reason `op` is not allowed for `role` given the board's { locked,
+// lockedPages }, or null if it is. `pages` is the board the op applies to
+// and `authorId` the sender's, to tell whose objects it changes.
+const checkOp = (role, settings, op, pages = [], authorId = null) => {
+  if (role === 'teacher') return null;
+  if (settings.locked) return 'The board is locked by the teacher';
+  if (!op || typeof op !== 'object') return 'Invalid operation';
+  if (!STUDENT_OP_TYPES.includes(op.type)) return 'Only the teacher can manage or clear pages';
+  if (op.type === 'batch') {
+    const ops = Array.isArray(op.ops) ? op.ops : [];
+    for (const inner of ops) {
+      const reason = checkOp(role, settings, inner, pages, authorId);
+      if (reason) return reason;
+    }
+    return null;
+  }
+  if ((settings.lockedPages || []).includes(op.pageId)) return 'This page is locked by the teacher';
+  if (OBJECT_OP_TYPES.includes(op.type)) {
+    // Objects that are already gone aren't changed by it
+    const page = pages.find(p => p.id === op.pageId);
+    const object = page && findObject(page, op.id);
+    if (object && !canChangeObject(role, authorId, object)) return 'Students can only change their own drawings';
+  }
+  return null;
+};
+
+// `op` with the lines and shapes it adds stamped as created by `authorId`.
+// `keep` leaves an existing `createdBy` alone, for restores that bring back
+// someone else's objects (only teachers may send those).
+const setCreatedBy = (op, authorId, { keep = false } = {}) => {
+  if (!authorId || !op) return op;
+  const stamp = object => (keep && object.createdBy ? object : { ...object, createdBy: authorId });
+  switch (op.type) {
+    case 'add-line':
+      return { ...op, line: stamp(op.line) };
+    case 'add-shape':
+      return { ...op, shape: stamp(op.shape) };
+    case 'batch':
+      return Array.isArray(op.ops) ? { ...op, ops: op.ops.map(inner => setCreatedBy(inner, authorId, { keep })) } : op;
+    default:
+      return op;
+  }
+};
+
+const canEditPage = (role, settings, pageId) => (
+  role === 'teacher' || (!settings.locked && !(settings.lockedPages || []).includes(pageId))
+);
+
+module.exports = {
+  ROLES,
+  checkOp,
+  canEditPage,
+  canChangeObject,
+  setCreatedBy,
+};
@@ -0,0 +1,49 @@
+import { canEditPage, checkOp, setCreatedBy } from './permissions';
+
+const open = { locked: false, lockedPages: [] };
+const line = (pageId) => ({ type: 'add-line', pageId, line: { id: 'l', points: [0, 0, 1, 1] } });
+
+describe('board permissions', () => {
+  test('teachers may do anything, even on a locked board', () => {
+    expect(checkOp('teacher', { locked: true, lockedPages: [1] }, { type: 'clear-page', pageId: 1 })).toBeNull();
+  });
+
+  test('students draw but cannot manage or clear pages', () => {
+    expect(checkOp('student', open, line(1))).toBeNull();
+    expect(checkOp('student', open, { type: 'clear-page', pageId: 1 })).toMatch(/teacher/);
+    expect(checkOp('student', open, { type: 'add-page', page: { id: 2, lines: [], shapes: [] } })).toMatch(/teacher/);
+    expect(checkOp('student', open, { type: 'update-page', pageId: 1, props: { background: null } })).toMatch(/teacher/);
+  });
+
+  test('locks make the board or a page read-only for students', () => {
+    const pageLocked = { locked: false, lockedPages: [2] };
+    expect(checkOp('student', { locked: true, lockedPages: [] }, line(1))).toMatch(/board is locked/);
+    expect(checkOp('student', pageLocked, line(1))).toBeNull();
+    expect(checkOp('student', pageLocked, line(2))).toMatch(/page is locked/);
+    // Every op in a batch is checked
+    expect(checkOp('student', pageLocked, { type: 'batch', ops: [line(1), line(2)] })).toMatch(/page is locked/);
+    expect(canEditPage('student', pageLocked, 2)).toBe(false);
+    expect(canEditPage('teacher', pageLocked, 2)).toBe(true);
+  });
+
+  test('students may only change or delete the objects they added', () => {
+    const pages = [{
+      id: 1,
+      lines: [{ id: 'mine', points: [0, 0], createdBy: 'ann' }, { id: 'old', points: [0, 0] }],
+      shapes: [{ id: 'theirs', type: 'rectangle', createdBy: 'teacher' }],
+    }];
+    const remove = id => ({ type: 'delete-object', pageId: 1, id });
+    expect(checkOp('student', open, remove('mine'), pages, 'ann')).toBeNull();
+    expect(checkOp('student', open, { type: 'update-object', pageId: 1, id: 'mine', props: { color: 'red' } }, pages, 'ann')).toBeNull();
+    expect(checkOp('student', open, remove('theirs'), pages, 'ann')).toMatch(/their own/);
+    expect(checkOp('student', open, remove('old'), pages, 'ann')).toMatch(/their own/);
+    expect(checkOp('student', open, { type: 'batch', ops: [remove('mine'), remove('theirs')] }, pages, 'ann')).toMatch(/their own/);
+    expect(checkOp('teacher', open, remove('mine'), pages, 'teacher')).toBeNull();
+  });
+
+  test('added objects are stamped with their author', () => {
+    const restore = { type: 'batch', ops: [line(1), { type: 'add-line', pageId: 1, line: { id: 'r', points: [], createdBy: 'ann' } }] };
+    expect(setCreatedBy(restore, 'bob').ops.map(op => op.line.createdBy)).toEqual(['bob', 'bob']);
+    expect(setCreatedBy(restore, 'bob', { keep: true }).ops.map(op => op.line.createdBy)).toEqual(['bob', 'ann']);
+  });
+});
@@ -0,0 +1,395 @@
+// Shape of everything clients send: board objects (pages, freehand lines,
+// shapes), ops and the other socket events. The server checks each incoming
+// event against it before acting on it, and board files are checked against
+// the same object rules (see boardFormat.js), so neither a buggy client nor a
+// hand-edited file can put malformed data on a board.
+//
+// Validators throw an Error naming the problem and return nothing.
+
+const MAX_OBJECTS_PER_PAGE = 5000;
+
+const LIMITS = {
+  maxPages: 200,
+  maxObjectsPerPage: MAX_OBJECTS_PER_PAGE, // Freehand lines and shapes together
+  maxIdLength: 64,
+  maxPoints: 20000, // Numbers in one points array
+  maxAppendPoints: 2000, // Numbers added by one append-points op
+  // A delete and an add for every object, as when the precise eraser cuts
+  // each stroke on a full page
+  maxBatchOps: 2 * MAX_OBJECTS_PER_PAGE,
+  maxBatchDepth: 4,
+  // Characters of one op as JSON: room for the longest stroke with its
+  // pressures. Bigger changes are sent as several ops (see splitOp in ops.js).
+  maxOpSize: 1024 * 1024,
+  maxCoordinate: 1e7,
+  maxStrokeWidth: 500,
+  maxScale: 1000, // Either direction; strokes can be flipped
+  maxFontSize: 1000,
+  maxTextLength: 20000,
+  maxImageSourceLength: 2048, // Ops reference uploaded assets by URL
+  maxGraphFunctions: 8,
+  maxExpressionLength: 200,
+  maxLatexLength: 2000,
+  minGridSpacing: 5,
+  maxGridSpacing: 1000,
+  maxNameLength: 200,
+  maxTokenLength: 128,
+};
+
+// Board files may still embed images as data URLs
+const FILE_LIMITS = { ...LIMITS, maxImageSourceLength: Infinity };
+
+const SHAPE_TYPES = ['image', 'line', 'arrow', 'triangle', 'rectangle', 'circle', 'text', 'graph', 'equation'];
+// Shapes whose geometry is a list of absolute points rather than a box
+const POINT_SHAPE_TYPES = ['line', 'arrow', 'triangle'];
+const DASH_STYLES = ['solid', 'dashed', 'dotted'];
+// Page backgrounds; a page without one is blank
+const BACKGROUND_TYPES = ['square', 'dots', 'lined', 'axes'];
+// Geometry instruments and the fields each has besides `pageId`. They are
+// room state, never part of the board (see utils/instruments.js).
+const INSTRUMENT_FIELDS = {
+  ruler: ['x', 'y', 'rotation'],
+  protractor: ['x', 'y', 'rotation', 'angle'],
+  compass: ['x', 'y', 'radius', 'angle'],
+};
+const INSTRUMENT_KINDS = Object.keys(INSTRUMENT_FIELDS);
+const FONT_STYLES = ['normal', 'bold', 'italic', 'italic bold', 'bold italic'];
+const BOARD_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const COLOR_PATTERN = /^(#[0-9A-Fa-f]{3,8}|[A-Za-z]{1,32})$/;
+
+const fail = (message) => {
+  throw new Error(message);
+};
+
+const check = (condition, message) => {
+  if (!condition) fail(message);
+};
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isId = (value, limits = LIMITS) => (
+  (typeof value === 'string' && value.length > 0 && value.length <= limits.maxIdLength) || isFiniteNumber(value)
+);
+const inRange = (value, min, max) => isFiniteNumber(value) && value >= min && value <= max;
+const isCoordinate = (value, limits) => inRange(value, -limits.maxCoordinate, limits.maxCoordinate);
+
+const isPoints = (value, limits, maxLength = limits.maxPoints) => (
+  Array.isArray(value) && value.length % 2 === 0 && value.length <= maxLength
+  && value.every(v => isCoordinate(v, limits))
+);
+
+// Pen pressure, one value from 0 to 1 per point
+const isPressures = (value, maxLength) => (
+  Array.isArray(value) && value.length <= maxLength && value.every(v => inRange(v, 0, 1))
+);
+
+// Graph axis extent, [min, max]
+const isInterval = (value, limits) => (
+  Array.isArray(value) && value.length === 2 && value.every(v => isCoordinate(v, limits)) && value[0] < value[1]
+);
+
+// Plotted functions of a graph: [{ expression, color? }]. Expressions are
+// only ever parsed by the client's math parser, never evaluated as code.
+const isGraphFunctions = (value, limits) => (
+  Array.isArray(value) && value.length <= limits.maxGraphFunctions && value.every(f => (
+    isObject(f) && Object.keys(f).every(key => key === 'expression' || key === 'color')
+    && typeof f.expression === 'string' && f.expression.length <= limits.maxExpressionLength
+    && (f.color === undefined || (typeof f.color === 'string' && COLOR_PATTERN.test(f.color)))
+  ))
+);
+
+// Page background: { type, spacing } with the grid spacing in whole stage units
+const isBackground = (value, limits) => (
+  isObject(value) && Object.keys(value).every(key => key === 'type' || key === 'spacing')
+  && BACKGROUND_TYPES.includes(value.type)
+  && Number.isInteger(value.spacing) && inRange(value.spacing, limits.minGridSpacing, limits.maxGridSpacing)
+);
+
+// --- Object fields ---
+// One check per property a line or shape may have; anything else is refused
+const FIELDS = {
+  id: (v, limits) => isId(v, limits),
+  type: v => SHAPE_TYPES.includes(v),
+  x: isCoordinate,
+  y: isCoordinate,
+  width: (v, limits) => inRange(v, 0, limits.maxCoordinate),
+  height: (v, limits) => inRange(v, 0, limits.maxCoordinate),
+  rotation: isFiniteNumber,
+  scaleX: (v, limits) => isFiniteNumber(v) && v !== 0 && Math.abs(v) <= limits.maxScale,
+  scaleY: (v, limits) => isFiniteNumber(v) && v !== 0 && Math.abs(v) <= limits.maxScale,
+  points: (v, limits) => isPoints(v, limits),
+  color: v => typeof v === 'string' && COLOR_PATTERN.test(v),
+  fill: v => typeof v === 'string' && COLOR_PATTERN.test(v),
+  strokeWidth: (v, limits) => isFiniteNumber(v) && v > 0 && v <= limits.maxStrokeWidth,
+  dash: v => DASH_STYLES.includes(v),
+  opacity: v => inRange(v, 0, 1),
+  text: (v, limits) => typeof v === 'string' && v.length <= limits.maxTextLength,
+  fontSize: (v, limits) => inRange(v, 1, limits.maxFontSize),
+  fontStyle: v => FONT_STYLES.includes(v),
+  image: (v, limits) => typeof v === 'string' && v.length > 0 && v.length <= limits.maxImageSourceLength,
+  latex: (v, limits) => typeof v === 'string' && v.length > 0 && v.length <= limits.maxLatexLength,
+  functions: isGraphFunctions,
+  domain: isInterval,
+  range: isInterval,
+  createdBy: (v, limits) => typeof v === 'string' && v.length > 0 && v.length <= limits.maxIdLength,
+  // Freehand lines
+  tool: v => v === 'pen' || v === 'eraser',
+  pressures: (v, limits) => isPressures(v, limits.maxPoints / 2),
+  tension: v => inRange(v, 0, 1),
+  lineCap: v => ['butt', 'round', 'square'].includes(v),
+  lineJoin: v => ['miter', 'round', 'bevel'].includes(v),
+  globalCompositeOperation: v => v === 'source-over' || v === 'destination-out',
+};
+
+const LINE_FIELDS = [
+  'id', 'points', 'x', 'y', 'rotation', 'scaleX', 'scaleY',
+  'tool', 'color', 'strokeWidth', 'pressures', 'tension', 'lineCap', 'lineJoin', 'globalCompositeOperation', 'createdBy',
+];
+const SHAPE_FIELDS = [
+  'id', 'type', 'x', 'y', 'width', 'height', 'rotation', 'points',
+  'color', 'fill', 'strokeWidth', 'dash', 'opacity', 'text', 'fontSize', 'fontStyle', 'image',
+  'latex', 'functions', 'domain', 'range', 'createdBy',
+];
+
+// Fields update-object may not remove by setting them to null
+const REQUIRED_FIELDS = ['points', 'text', 'image', 'latex', 'functions', 'domain', 'range'];
+// Fields update-object may not change at all
+const FIXED_FIELDS = ['id', 'type', 'createdBy'];
+
+const checkFields = (obj, allowed, where, limits) => {
+  Object.keys(obj).forEach((key) => {
+    if (obj[key] === undefined) return;
+    check(allowed.includes(key), `${where} has unknown property "${key}"`);
+    check(FIELDS[key](obj[key], limits), `${where} has invalid ${key}`);
+  });
+};
+
+const validateLine = (line, where, limits = LIMITS) => {
+  check(isObject(line), `${where} is not an object`);
+  check(isId(line.id, limits), `${where} has no id`);
+  check(Array.isArray(line.points), `${where} has invalid points`);
+  checkFields(line, LINE_FIELDS, where, limits);
+  check(line.pressures === undefined || line.pressures.length === line.points.length / 2, `${where} has invalid pressures`);
+};
+
+const validateShape = (shape, where, limits = LIMITS) => {
+  check(isObject(shape), `${where} is not an object`);
+  check(isId(shape.id, limits), `${where} has no id`);
+  check(SHAPE_TYPES.includes(shape.type), `${where} has unknown type "${shape.type}"`);
+  checkFields(shape, SHAPE_FIELDS, where, limits);
+  if (shape.type === 'image') check(typeof shape.image === 'string', `${where} has no image source`);
+  if (shape.type === 'text') check(typeof shape.text === 'string', `${where} has no text`);
+  if (shape.type === 'equation') check(typeof shape.latex === 'string', `${where} has no latex`);
+  if (POINT_SHAPE_TYPES.includes(shape.type)) check(Array.isArray(shape.points), `${where} has invalid points`);
+  if (shape.type === 'graph') {
+    check(Array.isArray(shape.functions) && Array.isArray(shape.domain) && Array.isArray(shape.range), `${where} has no functions, domain or range`);
+  }
+};
+
+const validatePage = (page, where, limits = LIMITS) => {
+  check(isObject(page), `${where} is not an object`);
+  check(isId(page.id, limits), `${where} has no id`);
+  check(Array.isArray(page.lines) && Array.isArray(page.shapes), `${where} is missing lines or shapes`);
+  check(page.background === undefined || isBackground(page.background, limits), `${where} has an invalid background`);
+  check(page.lines.length + page.shapes.length <= limits.maxObjectsPerPage, `${where} has more than ${limits.maxObjectsPerPage} objects`);
+  page.lines.forEach((line, i) => validateLine(line, `${where}, line ${i + 1}`, limits));
+  page.shapes.forEach((shape, i) => validateShape(shape, `${where}, shape ${i + 1}`, limits));
+};
+
+const validatePages = (pages, limits = FILE_LIMITS) => {
+  check(Array.isArray(pages) && pages.length > 0, 'pages must be a non-empty array');
+  check(pages.length <= limits.maxPages, `more than ${limits.maxPages} pages`);
+  const pageIds = new Set();
+  pages.forEach((page, p) => {
+    const where = `page ${p + 1}`;
+    validatePage(page, where, limits);
+    check(!pageIds.has(page.id), `${where} has a duplicate id`);
+    pageIds.add(page.id);
+  });
+};
+
+// --- Ops (see ops.js) ---
+const validateOp = (op, limits = LIMITS, depth = 0) => {
+  check(isObject(op), 'op is not an object');
+  check(op.opId === undefined || (typeof op.opId === 'string' && op.opId.length <= limits.maxIdLength * 2), 'op has an invalid opId');
+  check(op.index === undefined || (Number.isInteger(op.index) && op.index >= 0), 'op has an invalid index');
+  if (op.type !== 'add-page' && op.type !== 'batch') check(isId(op.pageId, limits), 'op has no pageId');
+
+  switch (op.type) {
+    case 'add-page':
+      validatePage(op.page, 'page', limits);
+      break;
+    case 'remove-page':
+    case 'clear-page':
+      break;
+    case 'update-page':
+      // Only the background so far; lines and shapes change through their own ops
+      check(isObject(op.props) && Object.keys(op.props).length > 0, 'op has no props');
+      Object.keys(op.props).forEach((key) => {
+        check(key === 'background', `props has unknown property "${key}"`);
+        check(op.props[key] === null || isBackground(op.props[key], limits), `props has invalid ${key}`);
+      });
+      break;
+    case 'add-line':
+      validateLine(op.line, 'line', limits);
+      break;
+    case 'append-points':
+      check(isId(op.id, limits), 'op has no id');
+      check(isPoints(op.points, limits, limits.maxAppendPoints) && op.points.length > 0, 'op has invalid points');
+      check(
+        op.pressures === undefined || (isPressures(op.pressures, limits.maxAppendPoints / 2) && op.pressures.length === op.points.length / 2),
+        'op has invalid pressures',
+      );
+      break;
+    case 'add-shape':
+      validateShape(op.shape, 'shape', limits);
+      break;
+    case 'update-object': {
+      check(isId(op.id, limits), 'op has no id');
+      check(isObject(op.props) && Object.keys(op.props).length > 0, 'op has no props');
+      const { props } = op;
+      Object.keys(props).forEach((key) => {
+        check(!FIXED_FIELDS.includes(key) && has(FIELDS, key), `props has unknown property "${key}"`);
+        if (props[key] === null) {
+          check(!REQUIRED_FIELDS.includes(key), `props cannot remove ${key}`);
+        } else {
+          check(FIELDS[key](props[key], limits), `props has invalid ${key}`);
+        }
+      });
+      break;
+    }
+    case 'delete-object':
+      check(isId(op.id, limits), 'op has no id');
+      break;
+    case 'batch':
+      check(depth < limits.maxBatchDepth, 'batch is nested too deeply');
+      check(Array.isArray(op.ops) && op.ops.length > 0 && op.ops.length <= limits.maxBatchOps, 'batch has an invalid ops list');
+      op.ops.forEach(inner => validateOp(inner, limits, depth + 1));
+      break;
+    default:
+      fail(`unknown op type "${op.type}"`);
+  }
+};
+
+// Limits that depend on the board `op` is applied to: page count, objects
+// per page, points per line, and updates only setting properties the
+// object's kind has. Returns the problem, or null.
+const checkOpLimits = (pages, op, limits = LIMITS) => {
+  const page = pages.find(p => p.id === op.pageId);
+  switch (op.type) {
+    case 'add-page':
+      return pages.length >= limits.maxPages ? `A board can have at most ${limits.maxPages} pages` : null;
+    case 'add-line':
+    case 'add-shape':
+      return page && page.lines.length + page.shapes.length >= limits.maxObjectsPerPage
+        ? `A page can have at most ${limits.maxObjectsPerPage} objects`
+        : null;
+    case 'append-points': {
+      const line = page && page.lines.find(l => l.id === op.id);
+      return line && line.points.length + op.points.length > limits.maxPoints ? 'This stroke is too long' : null;
+    }
+    case 'update-object': {
+      const line = page && page.lines.find(l => l.id === op.id);
+      const shape = page && !line && page.shapes.find(s => s.id === op.id);
+      if (!line && !shape) return null; // Already deleted; applying it changes nothing
+      const allowed = line ? LINE_FIELDS : SHAPE_FIELDS;
+      const unknown = Object.keys(op.props).find(key => !allowed.includes(key));
+      return unknown ? `${line ? 'A stroke' : 'A shape'} has no property "${unknown}"` : null;
+    }
+    case 'batch':
+      for (const inner of op.ops) {
+        const problem = checkOpLimits(pages, inner, limits);
+        if (problem) return problem;
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+// --- Other socket events ---
+const validateUser = (user, limits) => {
+  if (user === undefined) return;
+  check(isObject(user), 'user is not an object');
+  check(user.name === undefined || (typeof user.name === 'string' && user.name.length <= limits.maxNameLength), 'user has an invalid name');
+  check(user.color === undefined || (typeof user.color === 'string' && user.color.length <= 32), 'user has an invalid color');
+};
+
+const INSTRUMENT_FIELD_CHECKS = {
+  x: isCoordinate,
+  y: isCoordinate,
+  rotation: isFiniteNumber,
+  angle: isFiniteNumber,
+  radius: (v, limits) => inRange(v, 0, limits.maxCoordinate) && v > 0,
+};
+
+const validateInstrument = (kind, instrument, limits) => {
+  check(isObject(instrument) && isId(instrument.pageId, limits), 'Invalid instrument');
+  const fields = INSTRUMENT_FIELDS[kind];
+  check(Object.keys(instrument).every(key => key === 'pageId' || fields.includes(key)), 'Invalid instrument');
+  check(fields.every(key => INSTRUMENT_FIELD_CHECKS[key](instrument[key], limits)), 'Invalid instrument');
+};
+
+const EVENT_VALIDATORS = {
+  'join-board': (data, limits) => {
+    check(isObject(data), 'join-board needs { boardId }');
+    check(typeof data.boardId === 'string' && BOARD_ID_PATTERN.test(data.boardId), 'Invalid board id');
+    check(data.token === undefined || data.token === null || (typeof data.token === 'string' && data.token.length <= limits.maxTokenLength), 'Invalid token');
+    check(data.authorKey === undefined || (typeof data.authorKey === 'string' && data.authorKey.length <= limits.maxTokenLength), 'Invalid author key');
+    validateUser(data.user, limits);
+  },
+  op: validateOp,
+  resync: () => {},
+  'set-user': (data, limits) => {
+    check(data !== undefined, 'set-user needs a user');
+    validateUser(data, limits);
+  },
+  cursor: (data, limits) => {
+    if (data === null) return;
+    check(isObject(data) && isId(data.pageId, limits) && isCoordinate(data.x, limits) && isCoordinate(data.y, limits), 'Invalid cursor');
+  },
+  'set-lock': (data, limits) => {
+    check(isObject(data) && typeof data.locked === 'boolean', 'set-lock needs { locked }');
+    check(data.pageId === undefined || isId(data.pageId, limits), 'set-lock has an invalid pageId');
+  },
+  // `instrument` null puts it away
+  'set-instrument': (data, limits) => {
+    check(isObject(data) && INSTRUMENT_KINDS.includes(data.kind), 'set-instrument needs { kind, instrument }');
+    if (data.instrument !== null) validateInstrument(data.kind, data.instrument, limits);
+  },
+  'start-presenting': () => {},
+  'stop-presenting': () => {},
+  'presenter-view': (data, limits) => {
+    check(isObject(data) && isId(data.pageId, limits), 'Invalid presenter view');
+    check(['x', 'y'].every(key => isCoordinate(data[key], limits)), 'Invalid presenter view');
+    check(['width', 'height'].every(key => inRange(data[key], Number.MIN_VALUE, limits.maxCoordinate)), 'Invalid presenter view');
+  },
+};
+
+const SOCKET_EVENTS = Object.keys(EVENT_VALIDATORS);
+
+// Check the payload of a socket event from a client
+const validateEvent = (event, data, limits = LIMITS) => {
+  check(has(EVENT_VALIDATORS, event), `Unknown event "${event}"`);
+  EVENT_VALIDATORS[event](data, limits);
+};
+
+module.exports = {
+  BOARD_ID_PATTERN,
+  LIMITS,
+  FILE_LIMITS,
+  SHAPE_TYPES,
+  POINT_SHAPE_TYPES,
+  DASH_STYLES,
+  BACKGROUND_TYPES,
+  INSTRUMENT_KINDS,
+  SOCKET_EVENTS,
+  validateLine,
+  validateShape,
+  validatePage,
+  validatePages,
+  validateOp,
+  checkOpLimits,
+  validateEvent,
+};
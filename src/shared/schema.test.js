@@ -0,0 +1,75 @@
+import { LIMITS, checkOpLimits, validateEvent, validateOp } from './schema';
+
+const line = { id: 'l1', tool: 'pen', points: [0, 0, 10, 10], color: '#000000', strokeWidth: 5, tension: 0.5, globalCompositeOperation: 'source-over' };
+const rect = { id: 's1', type: 'rectangle', x: 10, y: 20, width: 30, height: 40, color: '#FF0000', strokeWidth: 3 };
+
+describe('socket event schema', () => {
+  test('accepts the ops the whiteboard sends', () => {
+    expect(() => validateOp({ type: 'add-line', pageId: 1, line, opId: 'c:1' })).not.toThrow();
+    expect(() => validateOp({ type: 'append-points', pageId: 1, id: 'l1', points: [11, 12] })).not.toThrow();
+    expect(() => validateOp({ type: 'append-points', pageId: 1, id: 'l1', points: [11, 12], pressures: [0.7] })).not.toThrow();
+    expect(() => validateOp({ type: 'update-object', pageId: 1, id: 's1', props: { fill: null, x: 5 } })).not.toThrow();
+    expect(() => validateOp({ type: 'update-object', pageId: 1, id: 'l1', props: { x: 5, rotation: 30, scaleX: -2, scaleY: 0.5 } })).not.toThrow();
+    const graph = { id: 'g1', type: 'graph', x: 0, y: 0, width: 400, height: 300, domain: [-10, 10], range: [-5, 5], functions: [{ expression: 'sin(x)', color: '#2563EB' }] };
+    expect(() => validateOp({ type: 'add-shape', pageId: 1, shape: graph })).not.toThrow();
+    expect(() => validateOp({ type: 'update-object', pageId: 1, id: 'g1', props: { functions: [{ expression: 'x^2' }], domain: [0, 1] } })).not.toThrow();
+    expect(() => validateOp({
+      type: 'batch',
+      ops: [{ type: 'add-shape', pageId: 1, shape: rect }, { type: 'delete-object', pageId: 1, id: 'l1' }],
+    })).not.toThrow();
+  });
+
+  test('refuses malformed or oversized objects', () => {
+    expect(() => validateOp({ type: 'add-shape', pageId: 1, shape: { ...rect, type: 'star' } })).toThrow(/unknown type/);
+    expect(() => validateOp({ type: 'add-shape', pageId: 1, shape: { ...rect, width: 'wide' } })).toThrow(/invalid width/);
+    expect(() => validateOp({ type: 'add-shape', pageId: 1, shape: { ...rect, type: 'arrow' } })).toThrow(/invalid points/);
+    expect(() => validateOp({ type: 'add-shape', pageId: 1, shape: { ...rect, type: 'graph' } })).toThrow(/no functions, domain or range/);
+    expect(() => validateOp({ type: 'add-shape', pageId: 1, shape: { ...rect, type: 'equation' } })).toThrow(/no latex/);
+    expect(() => validateOp({ type: 'update-object', pageId: 1, id: 's1', props: { latex: 'x'.repeat(LIMITS.maxLatexLength + 1) } })).toThrow(/invalid latex/);
+    expect(() => validateOp({ type: 'update-object', pageId: 1, id: 'g1', props: { domain: [5, -5] } })).toThrow(/invalid domain/);
+    expect(() => validateOp({ type: 'update-object', pageId: 1, id: 'g1', props: { functions: [{ expression: 'x', onload: 'y' }] } })).toThrow(/invalid functions/);
+    expect(() => validateOp({ type: 'update-object', pageId: 1, id: 'g1', props: { functions: [{ expression: 'x'.repeat(LIMITS.maxExpressionLength + 1) }] } })).toThrow(/invalid functions/);
+    expect(() => validateOp({ type: 'add-shape', pageId: 1, shape: { ...rect, onClick: 'x' } })).toThrow(/unknown property/);
+    expect(() => validateOp({ type: 'add-line', pageId: 1, line: { ...line, globalCompositeOperation: 'xor' } })).toThrow(/invalid/);
+    expect(() => validateOp({ type: 'add-line', pageId: 1, line: { ...line, points: [0, 0, 1] } })).toThrow(/points/);
+    expect(() => validateOp({ type: 'append-points', pageId: 1, id: 'l1', points: new Array(LIMITS.maxAppendPoints + 2).fill(1) })).toThrow(/points/);
+    expect(() => validateOp({ type: 'update-object', pageId: 1, id: 's1', props: { constructor: 1 } })).toThrow(/unknown property/);
+    // Who added an object is set by the server, never changed
+    expect(() => validateOp({ type: 'update-object', pageId: 1, id: 's1', props: { createdBy: 'me' } })).toThrow(/unknown property/);
+    expect(() => validateOp({ type: 'update-object', pageId: 1, id: 'l1', props: { scaleX: 0 } })).toThrow(/invalid scaleX/);
+    expect(() => validateOp({ type: 'update-object', pageId: 1, id: 'l1', props: { points: null } })).toThrow(/cannot remove/);
+    expect(() => validateOp({ type: 'add-line', pageId: 1, line: { ...line, pressures: [0.5] } })).toThrow(/invalid pressures/);
+    expect(() => validateOp({ type: 'append-points', pageId: 1, id: 'l1', points: [1, 2], pressures: [1.5] })).toThrow(/invalid pressures/);
+    expect(() => validateOp({ type: 'teleport', pageId: 1 })).toThrow(/unknown op type/);
+    expect(() => validateOp({ type: 'update-page', pageId: 1, props: { background: { type: 'dots', spacing: 20 } } })).not.toThrow();
+    expect(() => validateOp({ type: 'update-page', pageId: 1, props: { background: null } })).not.toThrow();
+    expect(() => validateOp({ type: 'update-page', pageId: 1, props: { background: { type: 'hexagons', spacing: 20 } } })).toThrow(/invalid background/);
+    expect(() => validateOp({ type: 'update-page', pageId: 1, props: { background: { type: 'square', spacing: 2.5 } } })).toThrow(/invalid background/);
+    expect(() => validateOp({ type: 'update-page', pageId: 1, props: { lines: [] } })).toThrow(/unknown property/);
+    expect(() => validateOp({ type: 'add-page', page: { id: 2, lines: [], shapes: [], background: { type: 'lined' } } })).toThrow(/invalid background/);
+  });
+
+  test('checks limits that depend on the board', () => {
+    const pages = [{ id: 1, lines: [{ ...line, points: new Array(LIMITS.maxPoints).fill(0) }], shapes: [] }];
+    expect(checkOpLimits(pages, { type: 'append-points', pageId: 1, id: 'l1', points: [1, 2] })).toMatch(/too long/);
+    expect(checkOpLimits(pages, { type: 'add-shape', pageId: 1, shape: rect })).toBeNull();
+    expect(checkOpLimits(pages, { type: 'update-object', pageId: 1, id: 'l1', props: { scaleX: 2, color: '#FF0000' } })).toBeNull();
+    expect(checkOpLimits([{ id: 1, lines: [], shapes: [rect] }], { type: 'update-object', pageId: 1, id: 's1', props: { scaleX: 2 } })).toMatch(/no property "scaleX"/);
+    const full = Array.from({ length: LIMITS.maxPages }, (_, i) => ({ id: i, lines: [], shapes: [] }));
+    expect(checkOpLimits(full, { type: 'add-page', page: { id: 'new', lines: [], shapes: [] } })).toMatch(/at most/);
+  });
+
+  test('validates the other events', () => {
+    expect(() => validateEvent('join-board', { boardId: 'math-101', user: { name: 'Ada', color: '#123456' } })).not.toThrow();
+    expect(() => validateEvent('join-board', { boardId: '../etc' })).toThrow(/board id/);
+    expect(() => validateEvent('cursor', null)).not.toThrow();
+    expect(() => validateEvent('cursor', { pageId: 1, x: 'left', y: 0 })).toThrow(/cursor/);
+    expect(() => validateEvent('set-lock', { locked: 'yes' })).toThrow(/locked/);
+    expect(() => validateEvent('set-instrument', { kind: 'compass', instrument: { pageId: 1, x: 0, y: 0, radius: 40, angle: 30 } })).not.toThrow();
+    expect(() => validateEvent('set-instrument', { kind: 'ruler', instrument: null })).not.toThrow();
+    expect(() => validateEvent('set-instrument', { kind: 'ruler', instrument: { pageId: 1, x: 0, y: 0 } })).toThrow(/Invalid instrument/);
+    expect(() => validateEvent('set-instrument', { kind: 'ruler', instrument: { pageId: 1, x: 0, y: 0, rotation: 0, radius: 5 } })).toThrow(/Invalid instrument/);
+    expect(() => validateEvent('set-instrument', { kind: 'set-square', instrument: null })).toThrow(/needs/);
+    expect(() => validateEvent('draw-update', {})).toThrow(/Unknown event/);
+  });
+});
@@ -0,0 +1,154 @@
+// Server-sequenced sync with client-side rebasing.
+//
+// The server is the single source of ordering: every op it accepts gets the
+// board's next sequence number and is broadcast to everyone in the room,
+// including the sender (which doubles as the acknowledgement).
+//
+// Each client keeps two things:
+//   - `confirmed`: the board as of the last sequenced op it received, which
+//     is identical on every client that has seen the same seq
+//   - `pending`: its own ops the server hasn't sequenced yet
+// What the user sees is `pending` replayed on top of `confirmed`. When a
+// remote op arrives it is applied to `confirmed` and the pending ops are
+// replayed on top again (rebased). Ops address objects by ID rather than by
+// position, so replaying them on a newer state keeps their intent: concurrent
+// strokes, page additions and moves all survive, and conflicting updates to
+// the same object resolve to the server's order on every client.
+
+const { applyOp, splitOp } = require('./ops');
+const { LIMITS } = require('./schema');
+
+// How many recent op IDs a board remembers for de-duplicating resent ops
+const RECENT_OP_IDS_LIMIT = 500;
+
+// --- Server side ---
+
+// Apply `op` to the board, stamp it with the next sequence number and return
+// the op to broadcast. Returns null for an op the board has already applied
+// (a client resending after a reconnect). Throws for malformed ops.
+const sequenceOp = (board, op) => {
+  if (!board.recentOpIds) board.recentOpIds = [];
+  if (op.opId && board.recentOpIds.includes(op.opId)) return null;
+
+  board.pages = applyOp(board.pages, op);
+  board.seq = (board.seq || 0) + 1;
+  if (op.opId) {
+    board.recentOpIds.push(op.opId);
+    if (board.recentOpIds.length > RECENT_OP_IDS_LIMIT) board.recentOpIds.shift();
+  }
+  return { ...op, seq: board.seq };
+};
+
+// Full state sent on join and on resync
+const createSnapshot = (board) => ({
+  pages: board.pages,
+  seq: board.seq || 0,
+  appliedOpIds: board.recentOpIds || [],
+});
+
+// --- Client side ---
+
+// Ops that extend the same line can be merged into one message, up to the
+// most points one append may carry
+const canMerge = (a, b) => (
+  a.type === 'append-points' && b.type === 'append-points'
+  && a.pageId === b.pageId && a.id === b.id
+  && a.points.length + b.points.length <= LIMITS.maxAppendPoints
+);
+
+const createSyncClient = ({ clientId, pages = [], seq = 0 }) => {
+  let confirmed = pages;
+  let lastSeq = seq;
+  let pending = []; // { op, sent, onReject }; op.opId is assigned when first sent
+  let opCounter = 0;
+
+  const view = () => pending.reduce((acc, entry) => applyOp(acc, entry.op), confirmed);
+
+  // Record a local op; it shows up in the view right away and is sent on the
+  // next flush(), as several ops if it is too big for one message.
+  // `onReject` is called if the server refuses it. Returns the new view.
+  const local = (op, onReject) => {
+    splitOp(op).forEach(part => pending.push({ op: part, sent: false, onReject }));
+    return view();
+  };
+
+  // Ops to send to the server now. Consecutive unsent point appends for the
+  // same line are merged so a stroke costs one message per flush (or a few
+  // after a long time offline).
+  const flush = () => {
+    const merged = [];
+    pending.forEach((entry) => {
+      const last = merged[merged.length - 1];
+      if (!entry.sent && !entry.op.opId && last && !last.sent && !last.op.opId && canMerge(last.op, entry.op)) {
+        last.op = { ...last.op, points: last.op.points.concat(entry.op.points) };
+        if (last.op.pressures) last.op.pressures = last.op.pressures.concat(entry.op.pressures || []);
+      } else {
+        merged.push(entry);
+      }
+    });
+    pending = merged;
+
+    const outgoing = [];
+    pending.forEach((entry) => {
+      if (entry.sent) return;
+      if (!entry.op.opId) {
+        opCounter += 1;
+        entry.op = { ...entry.op, opId: `${clientId}:${opCounter}` };
+      }
+      entry.sent = true;
+      outgoing.push(entry.op);
+    });
+    return outgoing;
+  };
+
+  // Apply a sequenced op from the server (ours or someone else's). Returns
+  // the new view, or null if ops were missed and a resync is needed.
+  const receive = (op) => {
+    if (op.seq <= lastSeq) return view(); // Already applied (e.g. via snapshot)
+    if (op.seq !== lastSeq + 1) return null;
+
+    lastSeq = op.seq;
+    confirmed = applyOp(confirmed, op);
+    if (op.opId) {
+      pending = pending.filter(entry => entry.op.opId !== op.opId);
+    }
+    return view();
+  };
+
+  // Replace the confirmed state with a server snapshot. Pending ops the
+  // server already applied are dropped; the rest are marked for resending.
+  const reset = (snapshot) => {
+    const applied = new Set(snapshot.appliedOpIds || []);
+    confirmed = snapshot.pages;
+    lastSeq = snapshot.seq || 0;
+    pending = pending
+      .filter(entry => !applied.has(entry.op.opId))
+      .map(entry => ({ ...entry, sent: false }));
+    return view();
+  };
+
+  // The server refused one of our ops; stop showing it
+  const reject = (opId) => {
+    const refused = pending.find(entry => entry.op.opId === opId);
+    pending = pending.filter(entry => entry !== refused);
+    if (refused && refused.onReject) refused.onReject();
+    return view();
+  };
+
+  return {
+    local,
+    flush,
+    receive,
+    reset,
+    reject,
+    view,
+    getSeq: () => lastSeq,
+    hasPending: () => pending.length > 0,
+  };
+};
+
+module.exports = {
+  sequenceOp,
+  createSnapshot,
+  createSyncClient,
+};
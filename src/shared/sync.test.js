@@ -0,0 +1,254 @@
+import { createPage, invertOp } from './ops';
+import { LIMITS, validateOp } from './schema';
+import { createSnapshot, createSyncClient, sequenceOp } from './sync';
+
+// A deterministic in-memory "network": messages sit in per-direction queues
+// until the test delivers them, so interleavings are spelled out explicitly.
+const createNetwork = () => {
+  const board = { id: 'test', pages: [createPage(1)], seq: 0, recentOpIds: [] };
+  const clients = {};
+
+  const connect = (name) => {
+    const sync = createSyncClient({ clientId: name, ...createSnapshot(board) });
+    clients[name] = { sync, view: sync.view(), toServer: [], fromServer: [] };
+    return clients[name];
+  };
+
+  const edit = (name, op) => {
+    const client = clients[name];
+    client.view = client.sync.local(op);
+    client.toServer.push(...client.sync.flush());
+  };
+
+  // Server processes the next queued message from `name` and broadcasts it
+  const deliverToServer = (name) => {
+    const op = clients[name].toServer.shift();
+    const sequenced = sequenceOp(board, op);
+    if (sequenced) Object.values(clients).forEach(c => c.fromServer.push(sequenced));
+  };
+
+  const deliverToClient = (name) => {
+    const client = clients[name];
+    const view = client.sync.receive(client.fromServer.shift());
+    if (view === null) throw new Error(`${name} missed an op`);
+    client.view = view;
+  };
+
+  // Flush every queue, servers first, in a fixed order
+  const settle = () => {
+    while (Object.values(clients).some(c => c.toServer.length || c.fromServer.length)) {
+      Object.keys(clients).forEach((name) => {
+        while (clients[name].toServer.length) deliverToServer(name);
+      });
+      Object.keys(clients).forEach((name) => {
+        while (clients[name].fromServer.length) deliverToClient(name);
+      });
+    }
+  };
+
+  return { board, clients, connect, edit, deliverToServer, deliverToClient, settle };
+};
+
+const line = (id, points = [0, 0, 1, 1]) => ({ id, tool: 'pen', points, color: '#000000', strokeWidth: 5 });
+const rect = (id, x = 0) => ({ id, type: 'rectangle', x, y: 0, width: 10, height: 10, color: '#000000', strokeWidth: 2 });
+
+describe('server-sequenced sync', () => {
+  test('concurrent strokes from two clients both survive in the same order everywhere', () => {
+    const net = createNetwork();
+    const a = net.connect('a');
+    const b = net.connect('b');
+
+    // Both draw before seeing each other's stroke
+    net.edit('a', { type: 'add-line', pageId: 1, line: line('la') });
+    net.edit('b', { type: 'add-line', pageId: 1, line: line('lb') });
+    expect(a.view[0].lines.map(l => l.id)).toEqual(['la']);
+    expect(b.view[0].lines.map(l => l.id)).toEqual(['lb']);
+
+    // Server happens to see b first
+    net.deliverToServer('b');
+    net.deliverToServer('a');
+    // a hears about b's stroke while its own is still unacknowledged
+    net.deliverToClient('a');
+    expect(a.view[0].lines.map(l => l.id)).toEqual(['lb', 'la']);
+
+    net.settle();
+    expect(a.view).toEqual(net.board.pages);
+    expect(b.view).toEqual(net.board.pages);
+    expect(net.board.pages[0].lines.map(l => l.id)).toEqual(['lb', 'la']);
+  });
+
+  test('point appends interleaved with another client\'s edits are not lost', () => {
+    const net = createNetwork();
+    const a = net.connect('a');
+    const b = net.connect('b');
+
+    net.edit('a', { type: 'add-line', pageId: 1, line: line('la', [0, 0]) });
+    net.edit('b', { type: 'add-shape', pageId: 1, shape: rect('rb') });
+    net.deliverToServer('a');
+    net.edit('a', { type: 'append-points', pageId: 1, id: 'la', points: [1, 1] });
+    net.deliverToServer('b');
+    net.deliverToClient('b');
+    net.edit('a', { type: 'append-points', pageId: 1, id: 'la', points: [2, 2] });
+    net.deliverToClient('a');
+    net.settle();
+
+    expect(net.board.pages[0].lines[0].points).toEqual([0, 0, 1, 1, 2, 2]);
+    expect(net.board.pages[0].shapes.map(s => s.id)).toEqual(['rb']);
+    expect(a.view).toEqual(net.board.pages);
+    expect(b.view).toEqual(net.board.pages);
+  });
+
+  test('unsent point appends for one line are merged into a single op', () => {
+    const sync = createSyncClient({ clientId: 'a', pages: [createPage(1)] });
+    sync.local({ type: 'add-line', pageId: 1, line: line('la', [0, 0]) });
+    sync.local({ type: 'append-points', pageId: 1, id: 'la', points: [1, 1] });
+    sync.local({ type: 'append-points', pageId: 1, id: 'la', points: [2, 2] });
+
+    const sent = sync.flush();
+    expect(sent.map(op => op.type)).toEqual(['add-line', 'append-points']);
+    expect(sent[1].points).toEqual([1, 1, 2, 2]);
+    expect(sent.map(op => op.opId)).toEqual(['a:1', 'a:2']);
+  });
+
+  test('merged appends stay within the points one append may carry', () => {
+    const sync = createSyncClient({ clientId: 'a', pages: [createPage(1)] });
+    sync.local({ type: 'add-line', pageId: 1, line: { ...line('la', [0, 0]), pressures: [0.5] } });
+    for (let i = 1; i <= 1200; i += 1) {
+      sync.local({ type: 'append-points', pageId: 1, id: 'la', points: [i, i], pressures: [0.5] });
+    }
+
+    const appends = sync.flush().slice(1);
+    expect(appends.map(op => op.points.length)).toEqual([LIMITS.maxAppendPoints, 2400 - LIMITS.maxAppendPoints]);
+    appends.forEach(op => expect(() => validateOp(op)).not.toThrow());
+    expect(appends.flatMap(op => op.points)).toEqual(Array.from({ length: 1200 }, (_, i) => [i + 1, i + 1]).flat());
+  });
+
+  test('merged appends to a pen stroke keep their pressures', () => {
+    const sync = createSyncClient({ clientId: 'a', pages: [createPage(1)] });
+    sync.local({ type: 'add-line', pageId: 1, line: { ...line('la', [0, 0]), pressures: [0.1] } });
+    sync.local({ type: 'append-points', pageId: 1, id: 'la', points: [1, 1], pressures: [0.2] });
+    const view = sync.local({ type: 'append-points', pageId: 1, id: 'la', points: [2, 2], pressures: [0.3] });
+
+    expect(view[0].lines[0].pressures).toEqual([0.1, 0.2, 0.3]);
+    expect(sync.flush()[1].pressures).toEqual([0.2, 0.3]);
+  });
+
+  test('a refused op is dropped from the view and reported', () => {
+    const sync = createSyncClient({ clientId: 'a', pages: [createPage(1)] });
+    const onReject = jest.fn();
+    sync.local({ type: 'add-shape', pageId: 1, shape: rect('r') }, onReject);
+    const [sent] = sync.flush();
+
+    expect(sync.reject(sent.opId)[0].shapes).toEqual([]);
+    expect(onReject).toHaveBeenCalledTimes(1);
+  });
+
+  test('concurrent moves of the same shape converge to the server order', () => {
+    const net = createNetwork();
+    const a = net.connect('a');
+    const b = net.connect('b');
+    net.edit('a', { type: 'add-shape', pageId: 1, shape: rect('r') });
+    net.settle();
+
+    net.edit('a', { type: 'update-object', pageId: 1, id: 'r', props: { x: 100 } });
+    net.edit('b', { type: 'update-object', pageId: 1, id: 'r', props: { x: 200 } });
+    net.deliverToServer('a');
+    net.deliverToServer('b');
+    net.settle();
+
+    expect(net.board.pages[0].shapes[0].x).toBe(200);
+    expect(a.view[0].shapes[0].x).toBe(200);
+    expect(b.view[0].shapes[0].x).toBe(200);
+  });
+
+  test('pages added concurrently by different clients are all kept', () => {
+    const net = createNetwork();
+    const a = net.connect('a');
+    const b = net.connect('b');
+    const c = net.connect('c');
+
+    net.edit('a', { type: 'add-page', page: createPage('pa') });
+    net.edit('b', { type: 'add-page', page: createPage('pb') });
+    net.edit('c', { type: 'add-line', pageId: 1, line: line('lc') });
+    net.deliverToServer('c');
+    net.deliverToServer('b');
+    net.deliverToClient('a');
+    net.deliverToServer('a');
+    net.settle();
+
+    expect(net.board.pages.map(p => p.id)).toEqual([1, 'pb', 'pa']);
+    [a, b, c].forEach(client => expect(client.view).toEqual(net.board.pages));
+  });
+
+  test('an op that no longer has a target is a no-op everywhere', () => {
+    const net = createNetwork();
+    const a = net.connect('a');
+    const b = net.connect('b');
+    net.edit('a', { type: 'add-shape', pageId: 1, shape: rect('r') });
+    net.settle();
+
+    net.edit('a', { type: 'delete-object', pageId: 1, id: 'r' });
+    net.edit('b', { type: 'update-object', pageId: 1, id: 'r', props: { x: 50 } });
+    net.deliverToServer('a');
+    net.deliverToServer('b');
+    net.settle();
+
+    expect(net.board.pages[0].shapes).toEqual([]);
+    expect(a.view).toEqual(net.board.pages);
+    expect(b.view).toEqual(net.board.pages);
+  });
+
+  test('a gap in sequence numbers asks for a resync, and resent ops are applied once', () => {
+    const net = createNetwork();
+    const a = net.connect('a');
+    net.connect('b');
+
+    net.edit('a', { type: 'add-line', pageId: 1, line: line('la', [0, 0]) });
+    net.deliverToServer('a');
+    net.edit('a', { type: 'append-points', pageId: 1, id: 'la', points: [5, 5] });
+    net.deliverToServer('a');
+    net.edit('b', { type: 'add-shape', pageId: 1, shape: rect('rb') });
+    net.deliverToServer('b');
+
+    // a loses the first broadcast
+    a.fromServer.shift();
+    expect(a.sync.receive(a.fromServer.shift())).toBeNull();
+
+    // a resyncs; its acknowledged ops are in the snapshot and are not resent
+    a.fromServer = [];
+    a.view = a.sync.reset(createSnapshot(net.board));
+    expect(a.sync.flush()).toEqual([]);
+    expect(a.view).toEqual(net.board.pages);
+    expect(net.board.pages[0].lines[0].points).toEqual([0, 0, 5, 5]);
+
+    // A duplicate of an already applied op is ignored by the server
+    expect(sequenceOp(net.board, { type: 'append-points', pageId: 1, id: 'la', points: [5, 5], opId: 'a:2' })).toBeNull();
+  });
+
+  test('undo of clearing or removing a busy page is sent as several ops the server accepts', () => {
+    const points = Array.from({ length: 100 }, (_, i) => i + 0.123456789);
+    const busy = { ...createPage(1), lines: Array.from({ length: 2500 }, (_, i) => line(`l${i}`, points)) };
+    const board = { id: 'test', pages: [busy, createPage(2)], seq: 0, recentOpIds: [] };
+    const sync = createSyncClient({ clientId: 'a', ...createSnapshot(board) });
+
+    // Sends everything pending, checking each op as the server would
+    const sendAll = () => {
+      const sent = sync.flush();
+      sent.forEach((op) => {
+        expect(() => validateOp(op)).not.toThrow();
+        expect(JSON.stringify(op).length).toBeLessThanOrEqual(LIMITS.maxOpSize);
+        sync.receive(sequenceOp(board, op));
+      });
+      return sent.length;
+    };
+
+    [{ type: 'clear-page', pageId: 1 }, { type: 'remove-page', pageId: 1 }].forEach((op) => {
+      const undo = invertOp(sync.view(), op);
+      sync.local(op);
+      sendAll();
+      sync.local(undo);
+      expect(sendAll()).toBeGreaterThan(1);
+      expect(board.pages[0]).toEqual(busy);
+    });
+  });
+});
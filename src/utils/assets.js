@@ -0,0 +1,61 @@
+import { serverUrl } from '../config';
+import { UPLOAD_MIME_TYPES, isAssetUrl } from '../shared/assets';
+
+// Uploading images to the board server, and turning the server-relative
+// asset URLs that image shapes hold into ones the browser can load.
+
+export const maxImageSize = 2048; // Longest side of an uploaded image, in pixels
+
+export const resolveAssetUrl = (src) => (isAssetUrl(src) ? serverUrl + src : src);
+
+// Size of a width x height image scaled down to fit `max` on its longest side
+export const getDownscaledSize = (width, height, max = maxImageSize) => {
+  const ratio = Math.min(1, max / Math.max(width, height));
+  return { width: Math.round(width * ratio), height: Math.round(height * ratio) };
+};
+
+const loadFileImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const img = new window.Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(img);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Failed to read image'));
+  };
+  img.src = url;
+});
+
+// Re-encode an image that is larger than maxImageSize. GIFs are left alone
+// so they keep their animation, and so is anything that doesn't get smaller.
+const downscaleImage = async (file) => {
+  if (file.type === 'image/gif') return file;
+  const img = await loadFileImage(file);
+  const size = getDownscaledSize(img.naturalWidth, img.naturalHeight);
+  if (size.width === img.naturalWidth && size.height === img.naturalHeight) return file;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  canvas.getContext('2d').drawImage(img, 0, 0, size.width, size.height);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, file.type, 0.92));
+  return blob && blob.size < file.size ? blob : file;
+};
+
+// Upload an image file and return its asset URL for an image shape
+export const uploadImage = async (file, { downscale = true } = {}) => {
+  if (!UPLOAD_MIME_TYPES.includes(file.type)) {
+    throw new Error('Images must be PNG, JPEG, GIF or WebP');
+  }
+  const body = downscale ? await downscaleImage(file) : file;
+  const res = await fetch(`${serverUrl}/api/assets`, {
+    method: 'POST',
+    headers: { 'Content-Type': file.type },
+    body,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data.url;
+};
@@ -0,0 +1,17 @@
+import { getDownscaledSize, resolveAssetUrl } from './assets';
+import { serverUrl } from '../config';
+
+describe('image assets', () => {
+  test('large images are scaled to fit, small ones are left alone', () => {
+    expect(getDownscaledSize(4096, 1024)).toEqual({ width: 2048, height: 512 });
+    expect(getDownscaledSize(1000, 3000, 1500)).toEqual({ width: 500, height: 1500 });
+    expect(getDownscaledSize(800, 600)).toEqual({ width: 800, height: 600 });
+  });
+
+  test('asset URLs resolve against the board server', () => {
+    const asset = `/api/assets/${'a'.repeat(64)}.png`;
+    expect(resolveAssetUrl(asset)).toBe(serverUrl + asset);
+    expect(resolveAssetUrl('data:image/png;base64,AAAA')).toBe('data:image/png;base64,AAAA');
+    expect(resolveAssetUrl('https://example.com/a.png')).toBe('https://example.com/a.png');
+  });
+});
@@ -0,0 +1,23 @@
+import { serializeBoard } from '../shared/boardFormat';
+import { downloadBlob } from './exportBoard';
+import { embedImages } from './embedImages';
+
+export const saveBoardToFile = async ({ name, pages, fileName }) => {
+  const doc = serializeBoard({ name, pages: await embedImages(pages) });
+  downloadBlob(new Blob([JSON.stringify(doc)], { type: 'application/json' }), fileName);
+};
+
+// Replace the contents of board `boardId` on the server with a parsed board
+// file ({ name, pages }); the server broadcasts the new state to the room.
+// Only the board's teacher may do this, so `token` is its teacher token.
+export const importBoardFile = async (serverUrl, boardId, board, token) => {
+  const res = await fetch(`${serverUrl}/api/boards/${encodeURIComponent(boardId)}/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { 'X-Board-Token': token } : {}) },
+    body: JSON.stringify(serializeBoard(board)),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `HTTP ${res.status}`);
+  }
+};
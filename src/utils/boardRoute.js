@@ -0,0 +1,17 @@
+// Helpers for the /board/:id client route. There's no router in the app, so
+// the board ID is read straight from window.location.
+
+export const DEFAULT_BOARD_ID = 'default';
+
+const BOARD_PATH_PATTERN = /^\/board\/([A-Za-z0-9_-]{1,64})\/?$/;
+
+export const getBoardIdFromLocation = (location = window.location) => {
+  const match = BOARD_PATH_PATTERN.exec(location.pathname);
+  return match ? match[1] : DEFAULT_BOARD_ID;
+};
+
+export const getBoardPath = (boardId) => `/board/${encodeURIComponent(boardId)}`;
+
+export const navigateToBoard = (boardId) => {
+  window.location.assign(getBoardPath(boardId));
+};
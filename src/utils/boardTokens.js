@@ -0,0 +1,44 @@
+// Teacher tokens for the boards this browser created or was given a teacher
+// link to. The server makes whoever presents a board's token its teacher.
+
+import { getBoardPath } from './boardRoute';
+
+const storageKey = 'whiteboard.teacherTokens';
+
+const loadTokens = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(storageKey));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+export const getBoardToken = (boardId) => loadTokens()[boardId] || null;
+
+export const setBoardToken = (boardId, token) => {
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify({ ...loadTokens(), [boardId]: token }));
+  } catch (err) {
+    // Storage unavailable; the token lasts for this visit only
+  }
+};
+
+// A teacher link is the board URL with ?token=...
+export const getTeacherLink = (boardId, token) => (
+  `${window.location.origin}${getBoardPath(boardId)}?token=${encodeURIComponent(token)}`
+);
+
+// Keep the token from a teacher link and take it out of the address bar, so
+// it isn't shared along with the page URL. Returns the board's token, if any.
+export const takeTokenFromLocation = (boardId, location = window.location) => {
+  const params = new URLSearchParams(location.search);
+  const token = params.get('token');
+  if (token) {
+    setBoardToken(boardId, token);
+    params.delete('token');
+    const search = params.toString();
+    window.history.replaceState(null, '', `${location.pathname}${search ? `?${search}` : ''}${location.hash}`);
+  }
+  return getBoardToken(boardId);
+};
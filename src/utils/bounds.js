@@ -0,0 +1,112 @@
+// Axis-aligned bounds of board objects in world (stage) coordinates, used to
+// fit the view to a page's content and to size exports.
+
+import { POINT_SHAPE_TYPES } from '../shared/schema';
+import { getArrowHeadSize } from './shapeConfig';
+import { getMaxLineWidth } from './stroke';
+
+const boundsOfPoints = (points) => {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i + 1 < points.length; i += 2) {
+    minX = Math.min(minX, points[i]);
+    minY = Math.min(minY, points[i + 1]);
+    maxX = Math.max(maxX, points[i]);
+    maxY = Math.max(maxY, points[i + 1]);
+  }
+  if (minX === Infinity) return null;
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+const rotatePoint = (x, y, degrees) => {
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return [x * cos - y * sin, x * sin + y * cos];
+};
+
+// Corners of a width x height box rotated around `origin` (relative to the box)
+const boxCorners = (x, y, width, height, rotation, originX = 0, originY = 0) => (
+  [[0, 0], [width, 0], [width, height], [0, height]].flatMap(([cx, cy]) => {
+    const [rx, ry] = rotatePoint(cx - originX, cy - originY, rotation);
+    return [x + rx, y + ry];
+  })
+);
+
+export const expandBounds = (bounds, margin) => (bounds && {
+  x: bounds.x - margin,
+  y: bounds.y - margin,
+  width: bounds.width + margin * 2,
+  height: bounds.height + margin * 2,
+});
+
+export const unionBounds = (boundsList) => {
+  const present = boundsList.filter(Boolean);
+  if (!present.length) return null;
+  return boundsOfPoints(present.flatMap(b => [b.x, b.y, b.x + b.width, b.y + b.height]));
+};
+
+// World points of a freehand stroke. Its `points` are relative to the
+// stroke's own transform (scale, then rotation, then `x`/`y`), which moving,
+// rotating and resizing it changes; the stroke width doesn't scale.
+export const getLinePoints = (line) => {
+  const points = line.points || [];
+  const { x = 0, y = 0, rotation = 0, scaleX = 1, scaleY = 1 } = line;
+  if (!x && !y && !rotation && scaleX === 1 && scaleY === 1) return points;
+  const world = [];
+  for (let i = 0; i + 1 < points.length; i += 2) {
+    const [rx, ry] = rotatePoint(points[i] * scaleX, points[i + 1] * scaleY, rotation);
+    world.push(x + rx, y + ry);
+  }
+  return world;
+};
+
+export const getLineBounds = (line) => expandBounds(boundsOfPoints(getLinePoints(line)), getMaxLineWidth(line) / 2);
+
+// Outline of a shape as flat [x1, y1, x2, y2, ...] world points: its rotated
+// box, or its points for lines, arrows and triangles
+export const getShapeOutline = (shape) => {
+  const rotation = shape.rotation || 0;
+
+  if (POINT_SHAPE_TYPES.includes(shape.type)) {
+    const points = [];
+    for (let i = 0; i + 1 < (shape.points || []).length; i += 2) {
+      const [x, y] = rotatePoint(shape.points[i], shape.points[i + 1], rotation);
+      points.push(shape.x + x, shape.y + y);
+    }
+    return points;
+  }
+
+  switch (shape.type) {
+    case 'circle':
+      // Ellipses rotate around their center
+      return boxCorners(
+        shape.x + shape.width / 2, shape.y + shape.height / 2, shape.width, shape.height, rotation, shape.width / 2, shape.height / 2,
+      );
+    case 'text': {
+      // Konva lays text out at runtime; count explicit lines for the height
+      const lineCount = String(shape.text || '').split('\n').length;
+      return boxCorners(shape.x, shape.y, shape.width || 0, (shape.fontSize || 0) * lineCount, rotation);
+    }
+    default:
+      return boxCorners(shape.x, shape.y, shape.width || 0, shape.height || 0, rotation);
+  }
+};
+
+export const getShapeBounds = (shape) => {
+  const bounds = boundsOfPoints(getShapeOutline(shape));
+  if (shape.type === 'arrow') {
+    return expandBounds(bounds, Math.max(shape.strokeWidth || 0, getArrowHeadSize(shape.strokeWidth)) / 2);
+  }
+  const stroked = [...POINT_SHAPE_TYPES, 'rectangle', 'circle'].includes(shape.type);
+  return stroked ? expandBounds(bounds, (shape.strokeWidth || 0) / 2) : bounds;
+};
+
+// Bounds of everything visible on `page`, or null for an empty page. Eraser
+// strokes only remove ink, so they don't extend the content.
+export const getPageBounds = (page) => unionBounds([
+  ...page.shapes.map(getShapeBounds),
+  ...page.lines.filter(line => line.globalCompositeOperation !== 'destination-out').map(getLineBounds),
+]);
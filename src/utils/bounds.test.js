@@ -0,0 +1,42 @@
+import { getLineBounds, getPageBounds, getShapeBounds } from './bounds';
+
+describe('content bounds', () => {
+  test('rotated shapes grow their bounding box', () => {
+    const square = { id: 's', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, strokeWidth: 0 };
+    expect(getShapeBounds(square)).toEqual({ x: 0, y: 0, width: 10, height: 10 });
+
+    const rotated = getShapeBounds({ ...square, rotation: 45 });
+    expect(rotated.width).toBeCloseTo(Math.SQRT2 * 10);
+    expect(rotated.x).toBeCloseTo(-Math.SQRT2 * 5);
+  });
+
+  test('point shapes use their points, and arrow heads widen them', () => {
+    const triangle = { id: 't', type: 'triangle', x: 0, y: 0, points: [0, 10, 5, 0, 10, 10], strokeWidth: 2 };
+    expect(getShapeBounds(triangle)).toEqual({ x: -1, y: -1, width: 12, height: 12 });
+    const arrow = { id: 'a', type: 'arrow', x: 0, y: 0, points: [0, 0, 100, 0], strokeWidth: 4 };
+    expect(getShapeBounds(arrow)).toEqual({ x: -6, y: -6, width: 112, height: 12 });
+  });
+
+  test('pages cover ink and shapes but not eraser strokes', () => {
+    const page = {
+      id: 1,
+      lines: [
+        { id: 'a', points: [0, 0, 100, 50], strokeWidth: 4, globalCompositeOperation: 'source-over' },
+        { id: 'e', points: [-500, -500, 900, 900], strokeWidth: 20, globalCompositeOperation: 'destination-out' },
+      ],
+      shapes: [{ id: 'c', type: 'circle', x: 150, y: 0, width: 50, height: 20, strokeWidth: 2 }],
+    };
+    expect(getPageBounds(page)).toEqual({ x: -2, y: -2, width: 203, height: 54 });
+    expect(getPageBounds({ id: 2, lines: [], shapes: [] })).toBeNull();
+  });
+
+  test('moved, rotated and resized strokes use their transform but keep their width', () => {
+    const line = { id: 'a', points: [0, 0, 10, 0], strokeWidth: 2 };
+    expect(getLineBounds(line)).toEqual({ x: -1, y: -1, width: 12, height: 2 });
+    const moved = getLineBounds({ ...line, x: 100, y: 50, rotation: 90, scaleX: 3, scaleY: 1 });
+    expect(moved.x).toBeCloseTo(99);
+    expect(moved.y).toBeCloseTo(49);
+    expect(moved.width).toBeCloseTo(2);
+    expect(moved.height).toBeCloseTo(32);
+  });
+});
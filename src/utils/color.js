@@ -0,0 +1,37 @@
+// Hex <-> HSV conversion for the color picker. Colors are stored on the
+// board as uppercase '#RRGGBB' strings.
+
+// '#RGB', 'RGB', '#RRGGBB' or 'RRGGBB' to '#RRGGBB', or null if invalid
+export const normalizeHex = (input) => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(input).trim());
+  if (!match) return null;
+  const digits = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+  return `#${digits.toUpperCase()}`;
+};
+
+// h in degrees [0, 360), s and v in [0, 1]
+export const hexToHsv = (hex) => {
+  const normalized = normalizeHex(hex) || '#000000';
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(normalized.slice(i, i + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+
+  let h = 0;
+  if (delta > 0) {
+    if (max === r) h = 60 * (((g - b) / delta + 6) % 6);
+    else if (max === g) h = 60 * ((b - r) / delta + 2);
+    else h = 60 * ((r - g) / delta + 4);
+  }
+  return { h, s: max === 0 ? 0 : delta / max, v: max };
+};
+
+export const hsvToHex = ({ h, s, v }) => {
+  const f = (n) => {
+    const k = (n + h / 60) % 6;
+    return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+  };
+  return `#${[f(5), f(3), f(1)]
+    .map(c => Math.round(c * 255).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase()}`;
+};
@@ -0,0 +1,22 @@
+import { hexToHsv, hsvToHex, normalizeHex } from './color';
+
+describe('color conversion', () => {
+  test('hex input is normalized', () => {
+    expect(normalizeHex('f80')).toBe('#FF8800');
+    expect(normalizeHex(' #00ff7f ')).toBe('#00FF7F');
+    expect(normalizeHex('#12345')).toBeNull();
+    expect(normalizeHex('blue')).toBeNull();
+  });
+
+  test.each(['#000000', '#FFFFFF', '#FF0000', '#00FF00', '#0000FF', '#808000', '#3A7BD5', '#C0C0C0'])(
+    '%s survives a round trip through HSV',
+    (hex) => {
+      expect(hsvToHex(hexToHsv(hex))).toBe(hex);
+    },
+  );
+
+  test('pure colors have the expected hue', () => {
+    expect(hexToHsv('#00FF00')).toEqual({ h: 120, s: 1, v: 1 });
+    expect(hexToHsv('#0000FF').h).toBe(240);
+  });
+});
@@ -0,0 +1,25 @@
+import { resolveAssetUrl } from './assets';
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Inline images that are referenced by URL, so saved or exported pages are
+// self-contained. Images that can't be fetched stay referenced.
+export const embedImages = (pages) => Promise.all(pages.map(async (page) => ({
+  ...page,
+  shapes: await Promise.all(page.shapes.map(async (shape) => {
+    if (shape.type !== 'image' || !shape.image || shape.image.startsWith('data:')) return shape;
+    try {
+      const res = await fetch(resolveAssetUrl(shape.image));
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return { ...shape, image: await blobToDataUrl(await res.blob()) };
+    } catch (err) {
+      console.warn(`Keeping image ${shape.id} as a reference:`, err.message);
+      return shape;
+    }
+  })),
+})));
@@ -0,0 +1,103 @@
+// Equation shapes: LaTeX typeset by the bundled MathJax (TeX in, SVG out),
+// so nothing is fetched over the network. Boards store only the `latex`, a
+// `color` and the box; the SVG is made again wherever it's drawn. On the
+// stage and in PNG/PDF exports it is an image with a large intrinsic size,
+// so it stays sharp when zoomed or resized; SVG exports nest it as vectors.
+//
+// MathJax is most of the app's code, so it is loaded on demand: call
+// loadMathJax() the first time an equation is shown, edited or exported.
+// Until it has loaded, equations don't typeset (see isMathJaxLoaded).
+
+export const defaultEquationFontSize = 32; // Height of 1em for new equations
+const imagePixelsPerEm = 100; // Intrinsic size of the stage image
+
+let typeset = null; // latex -> SVG markup, once MathJax has loaded
+let loading = null;
+
+// Resolves once equations can be typeset
+export const loadMathJax = () => {
+  if (!loading) {
+    loading = import('./mathJax')
+      .then(({ createTypesetter }) => {
+        typeset = createTypesetter();
+      })
+      .catch((err) => {
+        loading = null; // Try again next time
+        throw err;
+      });
+  }
+  return loading;
+};
+
+export const isMathJaxLoaded = () => Boolean(typeset);
+
+export const hasEquations = pages => pages.some(page => page.shapes.some(shape => shape.type === 'equation'));
+
+const rendered = new Map(); // latex -> result, including errors
+const maxRendered = 200;
+
+// Typeset `latex` as { viewBox, body, width, height }: the SVG's viewBox and
+// contents drawn in `currentColor`, and its size in ems. Throws an Error
+// with MathJax's message if the LaTeX is invalid, or if MathJax hasn't
+// loaded yet.
+export const renderEquation = (latex) => {
+  if (!typeset) throw new Error('Loading the equation typesetter…');
+  if (!rendered.has(latex)) {
+    if (rendered.size >= maxRendered) rendered.clear();
+    let result;
+    try {
+      const svg = typeset(latex);
+      const viewBox = /viewBox="([^"]*)"/.exec(svg)[1];
+      const [, , width, height] = viewBox.split(' ').map(Number);
+      // MathJax lays out in thousandths of an em
+      result = { viewBox, body: svg.slice(svg.indexOf('>') + 1, svg.lastIndexOf('</svg>')), width: width / 1000, height: height / 1000 };
+    } catch (err) {
+      result = { error: err.message };
+    }
+    rendered.set(latex, result);
+  }
+  const result = rendered.get(latex);
+  if (result.error) throw new Error(result.error);
+  return result;
+};
+
+// Problem with `latex`, or null if it typesets
+export const getEquationError = (latex) => {
+  if (!latex.trim()) return 'Type an equation';
+  try {
+    renderEquation(latex);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+// Size of `latex` typeset at `fontSize`
+export const getEquationSize = (latex, fontSize = defaultEquationFontSize) => {
+  const { width, height } = renderEquation(latex);
+  return { width: width * fontSize, height: height * fontSize };
+};
+
+// Standalone SVG markup for `latex` in `color`, `width` x `height` pixels
+// (stretched to fill them, like the stage image), or null if it doesn't
+// typeset
+export const getEquationSvg = (latex, color, width, height) => {
+  let equation;
+  try {
+    equation = renderEquation(latex);
+  } catch (err) {
+    return null;
+  }
+  const size = width === undefined
+    ? { width: equation.width * imagePixelsPerEm, height: equation.height * imagePixelsPerEm }
+    : { width, height };
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size.width}" height="${size.height}" viewBox="${equation.viewBox}" preserveAspectRatio="none">`
+    + `${equation.body.replace(/currentColor/g, color || '#000000')}</svg>`;
+};
+
+// Image source for an equation shape on the stage, or null if it doesn't
+// typeset
+export const getEquationImageSource = (shape) => {
+  const svg = getEquationSvg(shape.latex, shape.color);
+  return svg ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}` : null;
+};
@@ -0,0 +1,49 @@
+import {
+  getEquationError, getEquationImageSource, getEquationSize, getEquationSvg, isMathJaxLoaded, loadMathJax, renderEquation,
+} from './equation';
+
+describe('loading MathJax', () => {
+  test('equations wait for it and typeset once it is loaded', async () => {
+    expect(isMathJaxLoaded()).toBe(false);
+    expect(getEquationImageSource({ latex: 'x^2', color: '#000000' })).toBeNull();
+    await loadMathJax();
+    expect(isMathJaxLoaded()).toBe(true);
+    expect(getEquationImageSource({ latex: 'x^2', color: '#000000' })).not.toBeNull();
+  });
+});
+
+describe('equations', () => {
+  beforeAll(() => loadMathJax());
+
+  test('LaTeX typesets to SVG paths drawn in the current color', () => {
+    const { body, width, height } = renderEquation('\\int_0^1 x^2 \\, dx = \\frac{1}{3}');
+    expect(body).toContain('<path');
+    expect(body).toContain('currentColor');
+    expect(width).toBeGreaterThan(height);
+  });
+
+  test('sizes follow the font size', () => {
+    const small = getEquationSize('\\sqrt{x}', 10);
+    const large = getEquationSize('\\sqrt{x}', 40);
+    expect(large.width).toBeCloseTo(small.width * 4);
+    expect(large.height).toBeCloseTo(small.height * 4);
+  });
+
+  test('SVG markup takes the color and the box it is drawn in', () => {
+    const svg = getEquationSvg('\\lim_{x \\to 0} \\frac{\\sin x}{x} = 1', '#FF0000', 120, 40);
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="120" height="40" viewBox="[-\d. ]+" preserveAspectRatio="none">/);
+    expect(svg).toContain('fill="#FF0000"');
+    expect(svg).not.toContain('currentColor');
+    expect(getEquationImageSource({ latex: 'x^2', color: '#000000' })).toMatch(/^data:image\/svg\+xml;charset=utf-8,%3Csvg/);
+  });
+
+  test('invalid LaTeX reports the problem and draws nothing', () => {
+    expect(getEquationError('\\frac{1}')).toMatch(/Missing argument/);
+    expect(getEquationError('\\notamacro')).toMatch(/Undefined control sequence/);
+    expect(getEquationError('  ')).toMatch(/Type an equation/);
+    expect(getEquationError('e^{i\\pi} + 1 = 0')).toBeNull();
+    expect(() => renderEquation('\\frac{1}')).toThrow(/Missing argument/);
+    expect(getEquationSvg('\\frac{1}', '#000000')).toBeNull();
+    expect(getEquationImageSource({ latex: '\\frac{1}', color: '#000000' })).toBeNull();
+  });
+});
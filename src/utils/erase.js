@@ -0,0 +1,194 @@
+import { getLineBounds, getLinePoints, getShapeBounds, getShapeOutline } from './bounds';
+import { pointInPolygon } from './selection';
+import { LIMITS } from '../shared/schema';
+import { defaultPressure, getMaxLineWidth, getWidthScale } from './stroke';
+
+// Eraser hit-testing. The eraser is a circle of `radius` dragged across the
+// page; each pointer move erases along the segment `[x1, y1, x2, y2]` from
+// the previous position to the new one, in world coordinates.
+//   - The stroke eraser removes every object that segment touches.
+//   - The precise eraser cuts freehand strokes where it passes, leaving the
+//     pieces on either side as separate strokes.
+// Old eraser strokes (white `destination-out` lines from earlier versions)
+// are left alone: removing one would bring back what it covered. So is
+// anything `canErase(object)` refuses, such as a student's eraser passing
+// over the teacher's drawings.
+
+const ellipseSegments = 32; // Sides of the polygon an ellipse is tested as
+
+const isInkLine = line => line.globalCompositeOperation !== 'destination-out';
+
+const distanceToSegment = (px, py, ax, ay, bx, by) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+const cross = (ax, ay, bx, by, cx, cy) => (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+
+// Shortest distance between segments a-b and c-d (0 when they cross)
+export const segmentDistance = ([ax, ay, bx, by], [cx, cy, dx, dy]) => {
+  const d1 = cross(cx, cy, dx, dy, ax, ay);
+  const d2 = cross(cx, cy, dx, dy, bx, by);
+  const d3 = cross(ax, ay, bx, by, cx, cy);
+  const d4 = cross(ax, ay, bx, by, dx, dy);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return 0;
+  return Math.min(
+    distanceToSegment(ax, ay, cx, cy, dx, dy),
+    distanceToSegment(bx, by, cx, cy, dx, dy),
+    distanceToSegment(cx, cy, ax, ay, bx, by),
+    distanceToSegment(dx, dy, ax, ay, bx, by),
+  );
+};
+
+// Quick reject before testing an object's outline
+const isNearBounds = (bounds, [x1, y1, x2, y2], reach) => Boolean(bounds) && (
+  Math.max(x1, x2) >= bounds.x - reach && Math.min(x1, x2) <= bounds.x + bounds.width + reach
+  && Math.max(y1, y2) >= bounds.y - reach && Math.min(y1, y2) <= bounds.y + bounds.height + reach
+);
+
+// Whether the polyline `points` comes within `reach` of `segment`
+const isPolylineNear = (points, segment, reach) => {
+  if (points.length === 2) return segmentDistance([points[0], points[1], points[0], points[1]], segment) < reach;
+  for (let i = 0; i + 3 < points.length; i += 2) {
+    if (segmentDistance([points[i], points[i + 1], points[i + 2], points[i + 3]], segment) < reach) return true;
+  }
+  return false;
+};
+
+// Closed outline of a shape; ellipses as a polygon rather than their box
+const getClosedOutline = (shape) => {
+  if (shape.type !== 'circle') {
+    const outline = getShapeOutline(shape);
+    return [...outline, outline[0], outline[1]];
+  }
+  const rad = ((shape.rotation || 0) * Math.PI) / 180;
+  const [rx, ry] = [shape.width / 2, shape.height / 2];
+  const [cx, cy] = [shape.x + rx, shape.y + ry];
+  const points = [];
+  for (let i = 0; i <= ellipseSegments; i += 1) {
+    const angle = (i / ellipseSegments) * 2 * Math.PI;
+    const [x, y] = [rx * Math.cos(angle), ry * Math.sin(angle)];
+    points.push(cx + x * Math.cos(rad) - y * Math.sin(rad), cy + x * Math.sin(rad) + y * Math.cos(rad));
+  }
+  return points;
+};
+
+const isShapeHit = (shape, segment, radius) => {
+  if (!isNearBounds(getShapeBounds(shape), segment, radius)) return false;
+  const isBox = ['text', 'image', 'equation', 'graph'].includes(shape.type); // No outline stroke
+  const reach = radius + (isBox ? 0 : (shape.strokeWidth || 0) / 2);
+  if (shape.type === 'line' || shape.type === 'arrow') return isPolylineNear(getShapeOutline(shape), segment, reach);
+
+  const outline = getClosedOutline(shape);
+  if (isPolylineNear(outline, segment, reach)) return true;
+  // Unfilled rectangles, ellipses and triangles are only their outline
+  return (isBox || Boolean(shape.fill)) && pointInPolygon(segment[2], segment[3], outline);
+};
+
+const isLineHit = (line, segment, radius) => {
+  const reach = radius + getMaxLineWidth(line) / 2;
+  return isNearBounds(getLineBounds(line), segment, radius) && isPolylineNear(getLinePoints(line), segment, reach);
+};
+
+// IDs of the shapes and freehand strokes on `page` the stroke eraser removes
+export const findErasedObjects = (page, segment, radius, canErase = () => true) => [
+  ...page.shapes.filter(shape => canErase(shape) && isShapeHit(shape, segment, radius)),
+  ...page.lines.filter(line => isInkLine(line) && canErase(line) && isLineHit(line, segment, radius)),
+].map(object => object.id);
+
+// What is left of the stroke `points` after the precise eraser passes along
+// `segment`: an array of `{ points, pressures }` pieces (empty if it is
+// erased completely), or null if the eraser doesn't reach the stroke's
+// centerline. Segments are sampled at a fraction of the radius so cuts land
+// close to the eraser edge; only the cut ends are added, the stroke's own
+// points are kept as they are. `pressures` is optional and split alongside.
+export const splitStroke = (points, segment, radius, pressures) => {
+  const isErased = (x, y) => distanceToSegment(x, y, ...segment) < radius;
+  const pressureAt = i => (pressures[i] !== undefined ? pressures[i] : defaultPressure);
+  const step = Math.max(radius / 4, 0.5);
+  const pieces = [];
+  let current = { points: [], pressures: pressures ? [] : undefined };
+  let touched = false;
+
+  const add = (x, y, pressure) => {
+    const n = current.points.length;
+    if (n >= 2 && current.points[n - 2] === x && current.points[n - 1] === y) return;
+    current.points.push(x, y);
+    if (pressures) current.pressures.push(pressure);
+  };
+  const endPiece = () => {
+    if (current.points.length >= 4) pieces.push(current);
+    current = { points: [], pressures: pressures ? [] : undefined };
+  };
+
+  if (points.length < 2) return null;
+  let wasErased = isErased(points[0], points[1]);
+  if (wasErased) touched = true;
+  else add(points[0], points[1], pressures && pressureAt(0));
+
+  for (let i = 2; i + 1 < points.length; i += 2) {
+    const [ax, ay, bx, by] = [points[i - 2], points[i - 1], points[i], points[i + 1]];
+    const [pa, pb] = pressures ? [pressureAt(i / 2 - 1), pressureAt(i / 2)] : [];
+    if (!wasErased && segmentDistance([ax, ay, bx, by], segment) >= radius) {
+      add(bx, by, pb); // Untouched segment
+    } else {
+      const steps = Math.max(1, Math.ceil(Math.hypot(bx - ax, by - ay) / step));
+      let last = [ax, ay, pa];
+      for (let s = 1; s <= steps; s += 1) {
+        const t = s / steps;
+        const sample = [ax + (bx - ax) * t, ay + (by - ay) * t, pressures && pa + (pb - pa) * t];
+        const erased = isErased(sample[0], sample[1]);
+        if (erased !== wasErased) {
+          touched = true;
+          if (erased) {
+            add(...last);
+            endPiece();
+          } else {
+            add(...sample);
+          }
+        }
+        wasErased = erased;
+        last = sample;
+      }
+      if (!wasErased) add(bx, by, pb);
+    }
+  }
+  endPiece();
+  return touched ? pieces : null;
+};
+
+// Ops for a precise eraser pass over `page`: each stroke it cuts is replaced
+// by its remaining pieces, in the same place in the stacking order. Pieces
+// are cut in world coordinates, so they start out with no transform; a
+// resized pressure stroke's pieces get the width it was drawn with instead.
+export const getSplitOps = (page, segment, radius, createId, canErase = () => true) => {
+  const ops = [];
+  let shift = 0; // Pieces added minus strokes removed so far
+  page.lines.forEach((line, index) => {
+    if (!isInkLine(line) || !canErase(line) || !isNearBounds(getLineBounds(line), segment, radius)) return;
+    const pieces = splitStroke(getLinePoints(line), segment, radius, line.pressures);
+    if (!pieces) return;
+    const { x, y, rotation, scaleX, scaleY, ...style } = line;
+    const strokeWidth = Math.min(LIMITS.maxStrokeWidth, (line.strokeWidth || 0) * getWidthScale(line));
+    ops.push(
+      { type: 'delete-object', pageId: page.id, id: line.id },
+      ...pieces.map((piece, i) => ({
+        type: 'add-line',
+        pageId: page.id,
+        index: index + shift + i,
+        line: {
+          ...style,
+          id: createId(),
+          points: piece.points,
+          ...(piece.pressures ? { pressures: piece.pressures } : {}),
+          ...(line.strokeWidth !== undefined ? { strokeWidth } : {}),
+        },
+      })),
+    );
+    shift += pieces.length - 1;
+  });
+  return ops;
+};
@@ -0,0 +1,83 @@
+import { applyOp } from '../shared/ops';
+import { findErasedObjects, getSplitOps, splitStroke } from './erase';
+
+const ink = (id, points) => ({ id, points, strokeWidth: 2, globalCompositeOperation: 'source-over' });
+
+const page = {
+  id: 1,
+  lines: [
+    ink('across', [0, 50, 100, 50]),
+    { ...ink('rub', [40, 40, 60, 60]), globalCompositeOperation: 'destination-out' },
+    ink('below', [0, 200, 100, 200]),
+  ],
+  shapes: [
+    { id: 'outline', type: 'rectangle', x: 200, y: 0, width: 100, height: 100, strokeWidth: 2 },
+    { id: 'filled', type: 'rectangle', x: 400, y: 0, width: 100, height: 100, strokeWidth: 2, fill: '#FF0000' },
+    { id: 'ring', type: 'circle', x: 600, y: 0, width: 100, height: 100, strokeWidth: 2 },
+  ],
+};
+
+describe('stroke eraser', () => {
+  test('removes the strokes it touches, but not old eraser strokes', () => {
+    expect(findErasedObjects(page, [50, 45, 50, 55], 3)).toEqual(['across']);
+    expect(findErasedObjects(page, [50, 100, 50, 150], 3)).toEqual([]);
+  });
+
+  test('removes unfilled shapes only at their outline', () => {
+    expect(findErasedObjects(page, [250, 50, 251, 50], 3)).toEqual([]);
+    expect(findErasedObjects(page, [250, 98, 250, 99], 3)).toEqual(['outline']);
+    expect(findErasedObjects(page, [450, 50, 451, 50], 3)).toEqual(['filled']);
+  });
+
+  test('follows the curve of ellipses', () => {
+    expect(findErasedObjects(page, [603, 3, 604, 4], 3)).toEqual([]); // Box corner
+    expect(findErasedObjects(page, [650, 1, 650, 2], 3)).toEqual(['ring']);
+  });
+});
+
+describe('precise eraser', () => {
+  test('cuts a stroke in two where it passes', () => {
+    const pieces = splitStroke([0, 0, 100, 0], [50, -10, 50, 10], 5).map(piece => piece.points);
+    expect(pieces).toHaveLength(2);
+    expect(pieces[0][0]).toBe(0);
+    expect(pieces[0][2]).toBeGreaterThan(44);
+    expect(pieces[0][2]).toBeLessThanOrEqual(45);
+    expect(pieces[1][0]).toBeGreaterThanOrEqual(55);
+    expect(pieces[1][2]).toBe(100);
+  });
+
+  test('keeps untouched points and drops fully erased strokes', () => {
+    expect(splitStroke([0, 0, 10, 0, 20, 0], [0, 100, 20, 100], 5)).toBeNull();
+    expect(splitStroke([0, 0, 2, 0], [0, 0, 2, 0], 5)).toEqual([]);
+    // Trimming the end leaves the earlier points as they were
+    expect(splitStroke([0, 0, 10, 3, 20, 0, 40, 0], [40, -10, 40, 10], 5)).toEqual([{ points: [0, 0, 10, 3, 20, 0, 35, 0], pressures: undefined }]);
+  });
+
+  test('splits pen pressures along with the points', () => {
+    const [before, after] = splitStroke([0, 0, 100, 0], [50, -10, 50, 10], 5, [0, 1]);
+    expect(before.pressures).toHaveLength(before.points.length / 2);
+    expect(before.pressures[0]).toBe(0);
+    expect(before.pressures[1]).toBeCloseTo(0.45, 1);
+    expect(after.pressures[0]).toBeCloseTo(0.55, 1);
+    expect(after.pressures[1]).toBe(1);
+  });
+
+  test('replaces cut strokes with their pieces in the same stacking order', () => {
+    let next = 0;
+    const ops = getSplitOps(page, [50, 0, 50, 300], 5, () => `piece${next++}`);
+    const pages = applyOp([page], { type: 'batch', ops });
+    expect(pages[0].lines.map(line => line.id)).toEqual(['piece0', 'piece1', 'rub', 'piece2', 'piece3']);
+    expect(pages[0].lines[0].strokeWidth).toBe(2);
+  });
+
+  test('pieces of a resized pen stroke keep the width it was drawn with', () => {
+    const pen = { ...ink('pen', [0, 0, 50, 0]), pressures: [0.5, 0.5], scaleX: 2, scaleY: 2 };
+    const ops = getSplitOps({ id: 1, lines: [pen], shapes: [] }, [50, -10, 50, 10], 5, () => 'piece');
+    const pieces = ops.filter(op => op.type === 'add-line').map(op => op.line);
+    expect(pieces.map(piece => piece.strokeWidth)).toEqual([4, 4]);
+    expect(pieces[1].points[2]).toBe(100);
+    // Its width is scaled for hit-testing too
+    expect(findErasedObjects({ id: 1, lines: [pen], shapes: [] }, [50, 2.5, 60, 2.5], 1)).toEqual(['pen']);
+    expect(findErasedObjects({ id: 1, lines: [{ ...pen, scaleX: 1, scaleY: 1 }], shapes: [] }, [50, 2.5, 60, 2.5], 1)).toEqual([]);
+  });
+});
@@ -0,0 +1,147 @@
+import Konva from 'konva';
+import { embedImages } from './embedImages';
+import { hasEquations, loadMathJax } from './equation';
+import { pageToSvg } from './exportSvg';
+import { loadImage } from './imageCache';
+import { drawBackground } from './pageBackground';
+import { getLineConfig, getShapeConfig, getShapeImageSource } from './shapeConfig';
+
+// Off-screen rendering of board pages for PNG/PDF/SVG export. Pages are drawn
+// from their data, so pages that aren't on screen can be exported too.
+// MathJax and jsPDF are large, so they are only loaded when an export needs
+// them.
+
+export const exportResolutions = [
+  { label: '1x', pixelRatio: 1 },
+  { label: '2x', pixelRatio: 2 },
+  { label: '3x', pixelRatio: 3 },
+];
+
+// Build the background, shapes and freehand layers for `page` on a detached stage
+const createPageStage = async (page, area) => {
+  if (hasEquations([page])) await loadMathJax();
+  const images = await Promise.all(page.shapes.map((shape) => {
+    const src = getShapeImageSource(shape);
+    return src ? loadImage(src).catch(() => null) : null;
+  }));
+
+  const stage = new Konva.Stage({
+    container: document.createElement('div'),
+    width: area.width,
+    height: area.height,
+    x: -area.x,
+    y: -area.y,
+  });
+
+  // The page background (grid, axes) goes under everything at 100% zoom
+  const backgroundLayer = new Konva.Layer({ listening: false });
+  if (page.background) {
+    backgroundLayer.add(new Konva.Shape({ sceneFunc: context => drawBackground(context, page.background, area, 1) }));
+  }
+
+  const shapesLayer = new Konva.Layer({ listening: false });
+  page.shapes.forEach((shape, i) => {
+    const shapeConfig = getShapeConfig(shape);
+    if (!shapeConfig) return;
+    if (shapeConfig.className === 'Image') {
+      if (!images[i]) return;
+      shapesLayer.add(new Konva.Image({ ...shapeConfig.config, image: images[i] }));
+    } else {
+      shapesLayer.add(new Konva[shapeConfig.className](shapeConfig.config));
+    }
+  });
+
+  // Separate layer, like on screen, so eraser strokes only cut through ink
+  const linesLayer = new Konva.Layer({ listening: false });
+  page.lines.forEach((line) => {
+    const lineConfig = getLineConfig(line);
+    linesLayer.add(new Konva[lineConfig.className](lineConfig.config));
+  });
+
+  stage.add(backgroundLayer);
+  stage.add(shapesLayer);
+  stage.add(linesLayer);
+  return stage;
+};
+
+// Render `page` into a canvas covering `area` (stage coordinates). The
+// layers are flattened onto white, so erased (destination-out) and empty
+// areas come out white rather than transparent.
+export const renderPageToCanvas = async (page, { area, pixelRatio = 1 }) => {
+  const stage = await createPageStage(page, area);
+  try {
+    const layersCanvas = stage.toCanvas({ x: 0, y: 0, width: area.width, height: area.height, pixelRatio });
+    const canvas = document.createElement('canvas');
+    canvas.width = layersCanvas.width;
+    canvas.height = layersCanvas.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(layersCanvas, 0, 0);
+    return canvas;
+  } finally {
+    stage.destroy();
+  }
+};
+
+export const downloadUrl = (url, fileName) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, fileName);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const exportPageAsPng = async (page, { area, pixelRatio, fileName }) => {
+  const canvas = await renderPageToCanvas(page, { area, pixelRatio });
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  downloadBlob(blob, fileName);
+};
+
+// One PDF page per board page, each sized to that page's `getArea(page)` in
+// CSS pixels
+export const exportPagesAsPdf = async (pages, { getArea, pixelRatio, fileName }) => {
+  const { jsPDF } = await import('jspdf');
+  const orientationOf = (area) => (area.width >= area.height ? 'landscape' : 'portrait');
+  const firstArea = getArea(pages[0]);
+  const pdf = new jsPDF({
+    orientation: orientationOf(firstArea),
+    unit: 'px',
+    format: [firstArea.width, firstArea.height],
+    hotfixes: ['px_scaling'],
+  });
+
+  for (let i = 0; i < pages.length; i++) {
+    const area = i === 0 ? firstArea : getArea(pages[i]);
+    if (i > 0) pdf.addPage([area.width, area.height], orientationOf(area));
+    const canvas = await renderPageToCanvas(pages[i], { area, pixelRatio });
+    pdf.addImage(canvas, 'PNG', 0, 0, area.width, area.height, undefined, 'FAST');
+  }
+
+  pdf.save(fileName);
+};
+
+// Wrap text the way the stage does, so SVG text breaks at the same words
+const layoutText = (shape) => {
+  const node = new Konva.Text(getShapeConfig(shape).config);
+  const lines = node.textArr.map(line => line.text);
+  node.destroy();
+  return lines;
+};
+
+// One standalone SVG file per page, with images embedded
+export const exportPagesAsSvg = async (pages, { getArea, fileName }) => {
+  if (hasEquations(pages)) await loadMathJax();
+  const embedded = await embedImages(pages);
+  embedded.forEach((page, i) => {
+    const svg = pageToSvg(page, { area: getArea(pages[i]), layoutText });
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), fileName(i));
+  });
+};
@@ -0,0 +1,319 @@
+import { getEquationSvg } from './equation';
+import { getGraphLayout, graphAxisColor, graphFontSize, graphGridColor } from './graph';
+import { backgroundAxisColor, backgroundGridColor, getBackgroundLayout } from './pageBackground';
+import { getArrowHeadSize, getDash } from './shapeConfig';
+import { getPressureOutline } from './stroke';
+
+// Standalone SVG for a board page. Freehand lines become paths that follow
+// Konva's tension smoothing, shapes keep their rotation, and eraser strokes
+// become masks over the ink drawn before them, so the file opens in vector
+// editors looking the same as the board.
+//
+// Image shapes are written with whatever `image` src they carry; embed them
+// as data URLs first for a self-contained file.
+
+const num = (value) => String(Math.round(value * 100) / 100);
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const attrs = (attributes) => Object.entries(attributes)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+  .join(' ');
+
+const transform = (x, y, rotation) => (
+  rotation ? `translate(${num(x)} ${num(y)}) rotate(${num(rotation)})` : `translate(${num(x)} ${num(y)})`
+);
+
+// Same control points as Konva.Line (see konva/lib/shapes/Line.js)
+const getControlPoints = (x0, y0, x1, y1, x2, y2, t) => {
+  const d01 = Math.sqrt((x1 - x0) ** 2 + (y1 - y0) ** 2);
+  const d12 = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
+  const fa = (t * d01) / (d01 + d12);
+  const fb = (t * d12) / (d01 + d12);
+  return [x1 - fa * (x2 - x0), y1 - fa * (y2 - y0), x1 + fb * (x2 - x0), y1 + fb * (y2 - y0)];
+};
+
+const getTensionPoints = (p, tension) => {
+  const result = [];
+  for (let n = 2; n < p.length - 2; n += 2) {
+    const cp = getControlPoints(p[n - 2], p[n - 1], p[n], p[n + 1], p[n + 2], p[n + 3], tension);
+    if (Number.isNaN(cp[0])) continue;
+    result.push(cp[0], cp[1], p[n], p[n + 1], cp[2], cp[3]);
+  }
+  return result;
+};
+
+// SVG path data matching how Konva.Line strokes an open line
+export const linePathData = (points, tension = 0) => {
+  if (!points || points.length < 2) return '';
+  const parts = [`M${num(points[0])} ${num(points[1])}`];
+
+  if (tension !== 0 && points.length > 4) {
+    const tp = getTensionPoints(points, tension);
+    const len = tp.length;
+    parts.push(`Q${num(tp[0])} ${num(tp[1])} ${num(tp[2])} ${num(tp[3])}`);
+    let n = 4;
+    while (n < len - 2) {
+      parts.push(`C${tp.slice(n, n + 6).map(num).join(' ')}`);
+      n += 6;
+    }
+    parts.push(`Q${num(tp[len - 2])} ${num(tp[len - 1])} ${num(points[points.length - 2])} ${num(points[points.length - 1])}`);
+  } else {
+    for (let n = 2; n < points.length; n += 2) {
+      parts.push(`L${num(points[n])} ${num(points[n + 1])}`);
+    }
+  }
+  return parts.join(' ');
+};
+
+const strokeAttrs = (color, strokeWidth) => ({
+  fill: 'none',
+  stroke: color,
+  'stroke-width': num(strokeWidth),
+  'stroke-linecap': 'round',
+  'stroke-linejoin': 'round',
+});
+
+const shapeOpacity = (shape) => (
+  shape.opacity !== undefined && shape.opacity !== 1 ? num(shape.opacity) : undefined
+);
+
+// Outline, fill and opacity of a shape, as set in shapeConfig.js
+const shapeStyleAttrs = (shape, { closed }) => {
+  const dash = getDash(shape.dash, shape.strokeWidth);
+  return {
+    ...strokeAttrs(shape.color, shape.strokeWidth),
+    // Konva draws closed outlines with butt caps and miter joins unless dotted
+    ...(closed && shape.dash !== 'dotted' ? { 'stroke-linecap': undefined, 'stroke-linejoin': 'miter' } : {}),
+    fill: closed && shape.fill ? shape.fill : 'none',
+    'stroke-dasharray': dash ? dash.map(num).join(' ') : undefined,
+    opacity: shapeOpacity(shape),
+  };
+};
+
+// Konva.Arrow's head: a filled triangle with its tip on the last point,
+// pointing along the last segment, drawn without the dash
+const arrowHeadPathData = (points, strokeWidth) => {
+  const n = points.length;
+  if (n < 4) return '';
+  const [ax, ay, tx, ty] = points.slice(n - 4);
+  const length = Math.hypot(tx - ax, ty - ay) || 1;
+  const [dx, dy] = [(tx - ax) / length, (ty - ay) / length];
+  const size = getArrowHeadSize(strokeWidth);
+  const [bx, by] = [tx - dx * size, ty - dy * size];
+  return `M${num(tx)} ${num(ty)} L${num(bx - dy * (size / 2))} ${num(by + dx * (size / 2))}`
+    + ` L${num(bx + dy * (size / 2))} ${num(by - dx * (size / 2))} Z`;
+};
+
+const segmentsPathData = segments => segments.map(([x1, y1, x2, y2]) => `M${num(x1)} ${num(y1)} L${num(x2)} ${num(y2)}`).join(' ');
+
+const svgTextAnchors = { left: 'start', center: 'middle', right: 'end' };
+const svgBaselines = { top: 'hanging', middle: 'central', bottom: 'text-after-edge' };
+
+// A graph as drawn by drawGraph in graph.js, clipped to its box
+const labelsToSvg = labels => labels.map(label => `<text ${attrs({
+  x: num(label.x),
+  y: num(label.y),
+  'text-anchor': svgTextAnchors[label.align],
+  'dominant-baseline': svgBaselines[label.baseline],
+})}>${escapeXml(label.text)}</text>`).join('');
+
+const graphToSvg = (shape) => {
+  const { width, height } = shape;
+  const layout = getGraphLayout(shape);
+  const clipId = `graph-clip-${shape.id}`;
+  const labels = labelsToSvg(layout.labels);
+  const curves = layout.curves.map(curve => curve.segments.map(points => `<path ${attrs({
+    d: linePathData(points, 0),
+    ...strokeAttrs(curve.color, shape.strokeWidth || 2),
+  })}/>`).join('')).join('');
+
+  return `<g ${attrs({ transform: transform(shape.x, shape.y, shape.rotation || 0), opacity: shapeOpacity(shape) })}>`
+    + `<clipPath ${attrs({ id: clipId })}><rect ${attrs({ x: 0, y: 0, width: num(width), height: num(height) })}/></clipPath>`
+    + `<rect ${attrs({ x: 0, y: 0, width: num(width), height: num(height), fill: shape.fill || '#FFFFFF', stroke: shape.color || '#9CA3AF', 'stroke-width': 1 })}/>`
+    + `<g ${attrs({ 'clip-path': `url(#${clipId})` })}>`
+    + `<path ${attrs({ d: segmentsPathData(layout.grid), fill: 'none', stroke: graphGridColor, 'stroke-width': 1 })}/>`
+    + `<path ${attrs({ d: segmentsPathData([...layout.axes, ...layout.ticks]), fill: 'none', stroke: graphAxisColor, 'stroke-width': 1.5 })}/>`
+    + `<g ${attrs({ 'font-family': 'Arial, Helvetica, sans-serif', 'font-size': graphFontSize, fill: graphAxisColor })}>${labels}</g>`
+    + `${curves}</g></g>`;
+};
+
+// The page background over `area`, drawn as it is at 100% zoom
+const pageBackgroundToSvg = (background, area) => {
+  if (!background) return '';
+  const layout = getBackgroundLayout(background, area);
+  const dots = layout.dots.map(([x, y]) => `<circle ${attrs({ cx: num(x), cy: num(y), r: num(layout.dotRadius) })}/>`).join('');
+  return '<g id="background">'
+    + (layout.grid.length ? `<path ${attrs({ d: segmentsPathData(layout.grid), fill: 'none', stroke: backgroundGridColor, 'stroke-width': num(layout.lineWidth) })}/>` : '')
+    + (layout.axes.length ? `<path ${attrs({ d: segmentsPathData(layout.axes), fill: 'none', stroke: backgroundAxisColor, 'stroke-width': num(layout.lineWidth * 1.5) })}/>` : '')
+    + (dots ? `<g ${attrs({ fill: backgroundAxisColor })}>${dots}</g>` : '')
+    + (layout.labels.length
+      ? `<g ${attrs({ 'font-family': 'Arial, Helvetica, sans-serif', 'font-size': layout.fontSize, fill: backgroundAxisColor })}>${labelsToSvg(layout.labels)}</g>`
+      : '')
+    + '</g>';
+};
+
+// Default text layout: explicit line breaks only. The browser export passes
+// a Konva-based layout that also wraps at the shape's width.
+const splitLines = (shape) => String(shape.text).split('\n');
+
+const shapeToSvg = (shape, layoutText) => {
+  const rotation = shape.rotation || 0;
+
+  switch (shape.type) {
+    case 'rectangle':
+      return `<rect ${attrs({
+        x: 0, y: 0, width: num(shape.width), height: num(shape.height),
+        transform: transform(shape.x, shape.y, rotation),
+        ...shapeStyleAttrs(shape, { closed: true }),
+      })}/>`;
+    case 'circle':
+      // Konva ellipses rotate around their center
+      return `<ellipse ${attrs({
+        cx: 0, cy: 0, rx: num(shape.width / 2), ry: num(shape.height / 2),
+        transform: transform(shape.x + shape.width / 2, shape.y + shape.height / 2, rotation),
+        ...shapeStyleAttrs(shape, { closed: true }),
+      })}/>`;
+    case 'line':
+      return `<path ${attrs({
+        d: linePathData(shape.points, 0),
+        transform: transform(shape.x, shape.y, rotation),
+        ...shapeStyleAttrs(shape, { closed: false }),
+      })}/>`;
+    case 'arrow': {
+      const shaft = `<path ${attrs({ d: linePathData(shape.points, 0), ...shapeStyleAttrs(shape, { closed: false }), opacity: undefined })}/>`;
+      const head = `<path ${attrs({ d: arrowHeadPathData(shape.points, shape.strokeWidth), ...strokeAttrs(shape.color, shape.strokeWidth), fill: shape.color })}/>`;
+      return `<g ${attrs({ transform: transform(shape.x, shape.y, rotation), opacity: shapeOpacity(shape) })}>${shaft}${head}</g>`;
+    }
+    case 'triangle':
+      return `<path ${attrs({
+        d: `${linePathData(shape.points, 0)} Z`,
+        transform: transform(shape.x, shape.y, rotation),
+        ...shapeStyleAttrs(shape, { closed: true }),
+      })}/>`;
+    case 'graph':
+      return graphToSvg(shape);
+    case 'equation': {
+      // Nested as vectors; equations that don't typeset are left out
+      const svg = getEquationSvg(shape.latex, shape.color, num(shape.width), num(shape.height));
+      return svg ? `<g ${attrs({ transform: transform(shape.x, shape.y, rotation), opacity: shapeOpacity(shape) })}>${svg}</g>` : '';
+    }
+    case 'image':
+      return `<image ${attrs({
+        x: 0, y: 0, width: num(shape.width), height: num(shape.height),
+        href: shape.image,
+        'xlink:href': shape.image,
+        preserveAspectRatio: 'none',
+        transform: transform(shape.x, shape.y, rotation),
+        opacity: shapeOpacity(shape),
+      })}/>`;
+    case 'text': {
+      const fontStyle = shape.fontStyle || 'normal';
+      // Konva centers each line in a fontSize-high box; 0.35em below that
+      // center is close to the alphabetic baseline for Arial
+      const tspans = layoutText(shape).map((text, i) => (
+        `<tspan ${attrs({ x: 0, y: num(shape.fontSize * (i + 0.5 + 0.35)) })}>${escapeXml(text)}</tspan>`
+      )).join('');
+      return `<text ${attrs({
+        transform: transform(shape.x, shape.y, rotation),
+        'font-family': 'Arial, Helvetica, sans-serif',
+        'font-size': num(shape.fontSize),
+        'font-weight': fontStyle.includes('bold') ? 'bold' : undefined,
+        'font-style': fontStyle.includes('italic') ? 'italic' : undefined,
+        fill: shape.color,
+        opacity: shapeOpacity(shape),
+        'xml:space': 'preserve',
+      })}>${tspans}</text>`;
+    }
+    default:
+      return '';
+  }
+};
+
+// Moved, rotated or resized strokes keep their points and get the transform,
+// so the smoothing matches Konva's; like on the board, the width doesn't
+// scale. Pen strokes with pressure are their filled outline.
+const lineToSvg = (line, color) => {
+  const { x = 0, y = 0, rotation = 0, scaleX = 1, scaleY = 1 } = line;
+  const isScaled = scaleX !== 1 || scaleY !== 1;
+  const isMoved = isScaled || Boolean(x || y || rotation);
+  const lineTransform = isMoved ? `${transform(x, y, rotation)}${isScaled ? ` scale(${scaleX} ${scaleY})` : ''}` : undefined;
+  if (line.pressures) {
+    return `<path ${attrs({
+      d: getPressureOutline(line.points, line.pressures, line.strokeWidth),
+      fill: color,
+      transform: lineTransform,
+    })}/>`;
+  }
+  return `<path ${attrs({
+    d: linePathData(line.points, line.tension !== undefined ? line.tension : 0.5),
+    ...strokeAttrs(color, line.strokeWidth),
+    transform: lineTransform,
+    'vector-effect': isScaled ? 'non-scaling-stroke' : undefined,
+  })}/>`;
+};
+
+const isEraser = (line) => line.globalCompositeOperation === 'destination-out';
+
+// Freehand layer. An eraser stroke only removes ink drawn before it, so ink
+// is grouped and each run of eraser strokes masks everything drawn so far.
+const linesToSvg = (lines, area) => {
+  const defs = [];
+  let content = '';
+  let maskCount = 0;
+
+  for (let i = 0; i < lines.length;) {
+    if (!isEraser(lines[i])) {
+      content += lineToSvg(lines[i], lines[i].color);
+      i += 1;
+      continue;
+    }
+
+    const erasers = [];
+    while (i < lines.length && isEraser(lines[i])) {
+      erasers.push(lines[i]);
+      i += 1;
+    }
+    if (!content) continue; // Nothing to erase yet
+
+    maskCount += 1;
+    const maskId = `eraser-mask-${maskCount}`;
+    defs.push(
+      `<mask ${attrs({ id: maskId, maskUnits: 'userSpaceOnUse', x: num(area.x), y: num(area.y), width: num(area.width), height: num(area.height) })}>`
+      + `<rect ${attrs({ x: num(area.x), y: num(area.y), width: num(area.width), height: num(area.height), fill: '#FFFFFF' })}/>`
+      + erasers.map(line => lineToSvg(line, '#000000')).join('')
+      + '</mask>'
+    );
+    content = `<g mask="url(#${maskId})">${content}</g>`;
+  }
+
+  return { defs, content };
+};
+
+// `area` is the region of the page to export, in stage coordinates
+export const pageToSvg = (page, { area, layoutText = splitLines, background = '#FFFFFF' }) => {
+  const shapes = page.shapes.map(shape => shapeToSvg(shape, layoutText)).join('');
+  const lines = linesToSvg(page.lines, area);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg ${attrs({
+      xmlns: 'http://www.w3.org/2000/svg',
+      'xmlns:xlink': 'http://www.w3.org/1999/xlink',
+      width: num(area.width),
+      height: num(area.height),
+      viewBox: `${num(area.x)} ${num(area.y)} ${num(area.width)} ${num(area.height)}`,
+    })}>`,
+    lines.defs.length ? `<defs>${lines.defs.join('')}</defs>` : '',
+    background ? `<rect ${attrs({ x: num(area.x), y: num(area.y), width: num(area.width), height: num(area.height), fill: background })}/>` : '',
+    pageBackgroundToSvg(page.background, area),
+    `<g id="shapes">${shapes}</g>`,
+    `<g id="ink">${lines.content}</g>`,
+    '</svg>',
+  ].join('\n');
+};
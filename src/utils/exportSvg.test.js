@@ -0,0 +1,120 @@
+import { loadMathJax } from './equation';
+import { linePathData, pageToSvg } from './exportSvg';
+
+const area = { x: 0, y: 0, width: 800, height: 600 };
+const pen = (id, points, props = {}) => ({
+  id, tool: 'pen', points, color: '#000000', strokeWidth: 5, tension: 0.5, globalCompositeOperation: 'source-over', ...props,
+});
+const eraser = (id, points) => pen(id, points, { tool: 'eraser', color: '#FFFFFF', globalCompositeOperation: 'destination-out' });
+
+describe('SVG export', () => {
+  beforeAll(() => loadMathJax());
+
+  test('tensioned strokes become curves, straight ones stay straight', () => {
+    expect(linePathData([0, 0, 10, 10, 20, 0, 30, 10], 0.5)).toMatch(/^M0 0 Q[\d. -]+ C[\d. -]+ Q[\d. -]+ 30 10$/);
+    expect(linePathData([0, 0, 10, 10, 20, 0], 0)).toBe('M0 0 L10 10 L20 0');
+    expect(linePathData([0, 0, 10, 10], 0.5)).toBe('M0 0 L10 10');
+  });
+
+  test('eraser strokes mask only the ink drawn before them', () => {
+    const svg = pageToSvg({
+      id: 1,
+      lines: [pen('a', [0, 0, 50, 50]), eraser('e', [20, 20, 30, 30]), pen('b', [0, 50, 50, 0])],
+      shapes: [],
+    }, { area });
+
+    expect(svg).toContain('<mask id="eraser-mask-1"');
+    const ink = svg.slice(svg.indexOf('<g id="ink">'));
+    expect(ink.indexOf('M0 0 L50 50')).toBeGreaterThan(ink.indexOf('mask="url(#eraser-mask-1)"'));
+    expect(ink.indexOf('M0 50 L50 0')).toBeGreaterThan(ink.indexOf('</g>'));
+  });
+
+  test('transformed strokes keep their points and unscaled width', () => {
+    const svg = pageToSvg({
+      id: 1,
+      lines: [pen('a', [0, 0, 50, 50], { x: 10, y: 20, rotation: 45, scaleX: 2, scaleY: 0.5 }), pen('b', [0, 0, 10, 10])],
+      shapes: [],
+    }, { area });
+
+    expect(svg).toContain('d="M0 0 L50 50" fill="none" stroke="#000000" stroke-width="5" stroke-linecap="round" stroke-linejoin="round" transform="translate(10 20) rotate(45) scale(2 0.5)" vector-effect="non-scaling-stroke"');
+    expect(svg).toMatch(/d="M0 0 L10 10" [^>]*stroke-linejoin="round"\/>/);
+  });
+
+  test('pressure strokes become filled outlines', () => {
+    const svg = pageToSvg({ id: 1, lines: [pen('p', [0, 0, 10, 0], { pressures: [0.5, 1] })], shapes: [] }, { area });
+    expect(svg).toMatch(/<path d="M2.5 0A2.5 2.5 0 1 0 -2.5 0[^"]*Z" fill="#000000"\/>/);
+  });
+
+  test('shapes keep their rotation and style, and text is escaped', () => {
+    const svg = pageToSvg({
+      id: 1,
+      lines: [],
+      shapes: [
+        { id: 'r', type: 'rectangle', x: 10, y: 20, width: 100, height: 50, rotation: 30, color: '#0000FF', strokeWidth: 3, fill: '#FFFF00', dash: 'dashed', opacity: 0.5 },
+        { id: 'c', type: 'circle', x: 0, y: 0, width: 40, height: 20, color: '#FF0000', strokeWidth: 2 },
+        { id: 't', type: 'text', x: 5, y: 5, width: 200, text: 'a < b & c\nnext', fontSize: 20, fontStyle: 'italic bold', color: '#000000' },
+      ],
+    }, { area });
+
+    expect(svg).toContain('transform="translate(10 20) rotate(30)"');
+    expect(svg).toMatch(/<rect [^>]*fill="#FFFF00"[^>]*stroke-dasharray="9 6" opacity="0.5"/);
+    expect(svg).toContain('<ellipse cx="0" cy="0" rx="20" ry="10" transform="translate(20 10)"');
+    expect(svg).toContain('font-weight="bold" font-style="italic"');
+    expect(svg).toContain('>a &lt; b &amp; c</tspan><tspan x="0" y="37">next</tspan>');
+  });
+
+  test('triangles are closed paths and arrows get a filled head', () => {
+    const svg = pageToSvg({
+      id: 1,
+      lines: [],
+      shapes: [
+        { id: 't', type: 'triangle', x: 0, y: 0, points: [0, 10, 5, 0, 10, 10], color: '#000000', strokeWidth: 2, fill: '#FF0000' },
+        { id: 'a', type: 'arrow', x: 0, y: 0, points: [0, 0, 100, 0], color: '#0000FF', strokeWidth: 4, dash: 'dashed' },
+      ],
+    }, { area });
+
+    expect(svg).toMatch(/<path d="M0 10 L5 0 L10 10 Z"[^>]*fill="#FF0000"/);
+    expect(svg).toMatch(/<path d="M0 0 L100 0"[^>]*stroke-dasharray="12 8"/);
+    expect(svg).toMatch(/<path d="M100 0 L88 6 L88 -6 Z" fill="#0000FF" stroke="#0000FF"/);
+  });
+
+  test('graphs are drawn from their definition, clipped to their box', () => {
+    const svg = pageToSvg({
+      id: 1,
+      lines: [],
+      shapes: [{ id: 'g', type: 'graph', x: 10, y: 20, width: 200, height: 100, domain: [-1, 1], range: [-1, 1], strokeWidth: 2, functions: [{ expression: '1 / x', color: '#FF0000' }] }],
+    }, { area });
+
+    expect(svg).toContain('<clipPath id="graph-clip-g"><rect x="0" y="0" width="200" height="100"/></clipPath>');
+    expect(svg).toContain('<g clip-path="url(#graph-clip-g)">');
+    expect(svg).toMatch(/<text x="150" y="56" text-anchor="middle" dominant-baseline="hanging">0.5<\/text>/);
+    expect(svg.match(/<path d="[^"]*" fill="none" stroke="#FF0000"/g)).toHaveLength(2); // Broken at x = 0
+  });
+
+  test('page backgrounds are drawn under the shapes over the exported area', () => {
+    const svg = pageToSvg({ id: 1, lines: [], shapes: [], background: { type: 'axes', spacing: 100 } }, { area: { x: -200, y: -100, width: 400, height: 200 } });
+    const background = svg.slice(svg.indexOf('<g id="background">'), svg.indexOf('<g id="shapes">'));
+    expect(background).toContain('M-200 0 L200 0'); // x axis
+    expect(background).toContain('M0 -100 L0 100'); // y axis
+    expect(background).toContain('>-2</text>');
+    expect(background).toContain('>1</text>'); // y = -100 is one unit up
+
+    const dots = pageToSvg({ id: 1, lines: [], shapes: [], background: { type: 'dots', spacing: 100 } }, { area });
+    expect(dots.match(/<circle /g)).toHaveLength(9 * 7);
+    expect(pageToSvg({ id: 1, lines: [], shapes: [] }, { area })).not.toContain('id="background"');
+  });
+
+  test('equations are nested as vectors in their box', () => {
+    const svg = pageToSvg({
+      id: 1,
+      lines: [],
+      shapes: [
+        { id: 'e', type: 'equation', x: 10, y: 20, width: 150, height: 50, latex: '\\frac{a}{b}', color: '#0000FF', opacity: 0.5 },
+        { id: 'bad', type: 'equation', x: 0, y: 0, width: 10, height: 10, latex: '\\frac{a}', color: '#000000' },
+      ],
+    }, { area });
+
+    expect(svg).toMatch(/<g transform="translate\(10 20\)" opacity="0.5"><svg [^>]*width="150" height="50"[^>]*>.*fill="#0000FF"/);
+    expect(svg.match(/<svg /g)).toHaveLength(2); // The page and one equation
+  });
+});
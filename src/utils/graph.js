@@ -0,0 +1,217 @@
+import { compileExpression } from './mathExpression';
+
+// Function graphs: a shape with `functions` ([{ expression, color }]), a
+// `domain` and `range` ([min, max] on each axis) and the usual box. Boards
+// store only this definition; axes, ticks and curves are laid out here in
+// the shape's own coordinates (origin at its top-left corner) whenever it is
+// drawn, on the stage and in exports alike.
+
+export const graphColors = ['#2563EB', '#DC2626', '#16A34A', '#9333EA', '#EA580C', '#0891B2', '#DB2777', '#4B5563'];
+
+export const graphGridColor = '#E5E7EB';
+export const graphAxisColor = '#374151';
+export const graphFontSize = 12;
+const tickLength = 4;
+const targetTickSpacing = 60; // Roughly this many units between ticks
+const maxSamples = 1000;
+const bisectSteps = 10; // When telling jumps from steep slopes
+
+// Tick spacing of 1, 2 or 5 times a power of ten, about `span / count`
+export const niceStep = (span, count) => {
+  const rough = span / Math.max(count, 1);
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const normalized = rough / magnitude;
+  return ([1, 2, 5].find(n => normalized < n * 1.5) || 10) * magnitude;
+};
+
+// Multiples of `step` from min to max, without floating point fuzz
+export const getTicks = (min, max, step) => {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  const ticks = [];
+  for (let i = Math.ceil(min / step); i * step <= max; i += 1) {
+    ticks.push(Number((i * step).toFixed(decimals)));
+  }
+  return ticks;
+};
+
+const formatTick = value => String(value === 0 ? 0 : value); // No "-0"
+
+// Compiled expressions, so redrawing doesn't parse them again
+const compiled = new Map();
+const maxCompiled = 200;
+
+// Function of x for an expression, or null if it doesn't parse
+export const getGraphFunction = (expression) => {
+  if (!compiled.has(expression)) {
+    if (compiled.size >= maxCompiled) compiled.clear();
+    let fn = null;
+    try {
+      fn = compileExpression(expression);
+    } catch (err) {
+      fn = null;
+    }
+    compiled.set(expression, fn);
+  }
+  return compiled.get(expression);
+};
+
+// Polylines of `fn` across the graph, in graph coordinates. The curve is
+// broken wherever it is undefined, and at jumps (`tan x` at its asymptotes,
+// `floor x` at its steps): between two samples far apart, the change is
+// narrowed down by bisection. Where the function is continuous, it shrinks
+// with the interval; across a jump it doesn't. Values far off the graph are
+// clamped so the curve leaves the graph without huge coordinates.
+export const sampleCurve = (fn, { domain, range, width, height }) => {
+  const [xMin, xMax] = domain;
+  const [yMin, yMax] = range;
+  const samples = Math.min(maxSamples, Math.max(100, Math.round(width)));
+  const toX = x => ((x - xMin) / (xMax - xMin)) * width;
+  const toY = y => height - ((Math.min(Math.max(y, yMin - (yMax - yMin)), yMax + (yMax - yMin)) - yMin) / (yMax - yMin)) * height;
+  const evaluate = (x) => {
+    const y = fn(x);
+    return Number.isFinite(y) ? y : null;
+  };
+  const isJump = (x0, y0, x1, y1) => {
+    const change = Math.abs(y1 - y0);
+    if (change < (yMax - yMin) / 4) return false;
+    let [a, ya, b, yb] = [x0, y0, x1, y1];
+    for (let i = 0; i < bisectSteps; i += 1) {
+      const middle = (a + b) / 2;
+      const y = evaluate(middle);
+      if (y === null) return true;
+      if (Math.abs(y - ya) > Math.abs(yb - y)) [b, yb] = [middle, y];
+      else [a, ya] = [middle, y];
+    }
+    return Math.abs(yb - ya) > change / 4;
+  };
+
+  const segments = [];
+  let current = [];
+  let last = null;
+  for (let i = 0; i <= samples; i += 1) {
+    const x = xMin + ((xMax - xMin) * i) / samples;
+    const y = evaluate(x);
+    if (y === null || (last && isJump(last.x, last.y, x, y))) {
+      if (current.length >= 4) segments.push(current);
+      current = [];
+    }
+    if (y !== null) current.push(toX(x), toY(y));
+    last = y === null ? null : { x, y };
+  }
+  if (current.length >= 4) segments.push(current);
+  return segments;
+};
+
+// Everything a graph shape draws, in graph coordinates:
+//   { grid, axes, ticks: flat [x1, y1, x2, y2] segments,
+//     labels: [{ x, y, text, align, baseline }],
+//     curves: [{ color, segments }] }
+// Axes sit at zero, or along the edge when zero is out of view.
+const layoutCache = new WeakMap(); // Shapes are replaced, never mutated, on change
+
+export const getGraphLayout = (shape) => {
+  if (layoutCache.has(shape)) return layoutCache.get(shape);
+
+  const { width, height, domain, range } = shape;
+  const [xMin, xMax] = domain;
+  const [yMin, yMax] = range;
+  const toX = x => ((x - xMin) / (xMax - xMin)) * width;
+  const toY = y => height - ((y - yMin) / (yMax - yMin)) * height;
+  const axisY = toY(Math.min(Math.max(0, yMin), yMax)); // Where the x axis runs
+  const axisX = toX(Math.min(Math.max(0, xMin), xMax));
+
+  const xTicks = getTicks(xMin, xMax, niceStep(xMax - xMin, width / targetTickSpacing));
+  const yTicks = getTicks(yMin, yMax, niceStep(yMax - yMin, height / targetTickSpacing));
+  // Labels go below the x axis and left of the y axis, unless that is outside the graph
+  const xLabelsAbove = axisY + tickLength + graphFontSize > height;
+  const yLabelsRight = axisX - tickLength - graphFontSize < 0;
+
+  const layout = {
+    grid: [
+      ...xTicks.map(t => [toX(t), 0, toX(t), height]),
+      ...yTicks.map(t => [0, toY(t), width, toY(t)]),
+    ],
+    axes: [[0, axisY, width, axisY], [axisX, 0, axisX, height]],
+    ticks: [
+      ...xTicks.map(t => [toX(t), axisY - tickLength, toX(t), axisY + tickLength]),
+      ...yTicks.map(t => [axisX - tickLength, toY(t), axisX + tickLength, toY(t)]),
+    ],
+    labels: [
+      ...xTicks.filter(t => t !== 0).map(t => ({
+        x: toX(t),
+        y: xLabelsAbove ? axisY - tickLength - 2 : axisY + tickLength + 2,
+        text: formatTick(t),
+        align: 'center',
+        baseline: xLabelsAbove ? 'bottom' : 'top',
+      })),
+      ...yTicks.filter(t => t !== 0).map(t => ({
+        x: yLabelsRight ? axisX + tickLength + 2 : axisX - tickLength - 2,
+        y: toY(t),
+        text: formatTick(t),
+        align: yLabelsRight ? 'left' : 'right',
+        baseline: 'middle',
+      })),
+    ],
+    curves: (shape.functions || []).map((f, i) => {
+      const fn = getGraphFunction(f.expression);
+      return {
+        color: f.color || graphColors[i % graphColors.length],
+        segments: fn ? sampleCurve(fn, { domain, range, width, height }) : [],
+      };
+    }),
+  };
+  layoutCache.set(shape, layout);
+  return layout;
+};
+
+// Konva sceneFunc body for a graph shape: the background and border from
+// the node's fill and stroke, then grid, axes, labels and curves, clipped to
+// the graph
+export const drawGraph = (context, node, shape) => {
+  const { width, height } = shape;
+  const layout = getGraphLayout(shape);
+  const strokeSegments = (segments, color, lineWidth) => {
+    context.beginPath();
+    segments.forEach(([x1, y1, x2, y2]) => {
+      context.moveTo(x1, y1);
+      context.lineTo(x2, y2);
+    });
+    context.setAttr('strokeStyle', color);
+    context.setAttr('lineWidth', lineWidth);
+    context.stroke();
+  };
+
+  context.beginPath();
+  context.rect(0, 0, width, height);
+  context.closePath();
+  context.fillStrokeShape(node);
+
+  context.save();
+  context.beginPath();
+  context.rect(0, 0, width, height);
+  context.clip();
+  strokeSegments(layout.grid, graphGridColor, 1);
+  strokeSegments([...layout.axes, ...layout.ticks], graphAxisColor, 1.5);
+
+  context.setAttr('fillStyle', graphAxisColor);
+  context.setAttr('font', `${graphFontSize}px Arial`);
+  layout.labels.forEach((label) => {
+    context.setAttr('textAlign', label.align);
+    context.setAttr('textBaseline', label.baseline);
+    context.fillText(label.text, label.x, label.y);
+  });
+
+  context.setAttr('lineJoin', 'round');
+  context.setAttr('lineCap', 'round');
+  layout.curves.forEach((curve) => {
+    context.beginPath();
+    curve.segments.forEach((points) => {
+      context.moveTo(points[0], points[1]);
+      for (let i = 2; i + 1 < points.length; i += 2) context.lineTo(points[i], points[i + 1]);
+    });
+    context.setAttr('strokeStyle', curve.color);
+    context.setAttr('lineWidth', shape.strokeWidth || 2);
+    context.stroke();
+  });
+  context.restore();
+};
@@ -0,0 +1,53 @@
+import { getGraphLayout, getTicks, niceStep, sampleCurve } from './graph';
+import { compileExpression } from './mathExpression';
+
+const graph = {
+  id: 'g',
+  type: 'graph',
+  x: 0,
+  y: 0,
+  width: 400,
+  height: 200,
+  domain: [-10, 10],
+  range: [-5, 5],
+  functions: [{ expression: 'x' }, { expression: 'sin(' }],
+};
+
+describe('function graphs', () => {
+  test('ticks fall on round numbers', () => {
+    expect(niceStep(20, 6)).toBe(5);
+    expect(niceStep(1, 10)).toBe(0.1);
+    expect(getTicks(-1, 1, 0.5)).toEqual([-1, -0.5, 0, 0.5, 1]);
+    expect(getTicks(0.05, 0.35, 0.1)).toEqual([0.1, 0.2, 0.3]);
+  });
+
+  test('axes cross at zero and labels skip it', () => {
+    const layout = getGraphLayout(graph);
+    expect(layout.axes).toEqual([[0, 100, 400, 100], [200, 0, 200, 200]]);
+    expect(layout.labels.map(l => l.text)).not.toContain('0');
+    expect(layout.labels).toContainEqual(expect.objectContaining({ text: '5', x: 300, align: 'center', baseline: 'top' }));
+  });
+
+  test('axes stay on the edge when zero is out of view', () => {
+    const layout = getGraphLayout({ ...graph, domain: [2, 12], range: [1, 3] });
+    expect(layout.axes).toEqual([[0, 200, 400, 200], [0, 0, 0, 200]]);
+    expect(layout.labels.find(l => l.text === '2' && l.align === 'center').baseline).toBe('bottom');
+  });
+
+  test('expressions that do not parse draw nothing', () => {
+    const layout = getGraphLayout(graph);
+    expect(layout.curves[0].segments).toHaveLength(1);
+    expect(layout.curves[1]).toEqual({ color: '#DC2626', segments: [] });
+  });
+
+  test('curves break where the function is undefined or jumps', () => {
+    const box = { domain: [-10, 10], range: [-5, 5], width: 400, height: 200 };
+    expect(sampleCurve(compileExpression('sqrt(x)'), box)).toHaveLength(1);
+    expect(sampleCurve(compileExpression('1 / x'), box)).toHaveLength(2);
+    expect(sampleCurve(compileExpression('tan(x)'), box)).toHaveLength(7);
+    expect(sampleCurve(compileExpression('floor(x / 4)'), box)).toHaveLength(1); // Small steps stay joined
+    expect(sampleCurve(compileExpression('3 floor(x / 4)'), box)).toHaveLength(6);
+    // Steep but continuous
+    expect(sampleCurve(compileExpression('x^9'), box)).toHaveLength(1);
+  });
+});
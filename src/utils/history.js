@@ -0,0 +1,58 @@
+import { invertOp } from '../shared/ops';
+
+// Per-user undo/redo. Only ops made by this client are recorded, and undoing
+// one applies its inverse as a new op, so other participants' work is never
+// rolled back. Each stack entry is the op that reverts one step.
+export const createHistory = (limit = 100) => {
+  const undoStack = [];
+  const redoStack = [];
+  // Ops handed out by undo/redo -> where they came from, until they're put back
+  const taken = new WeakMap();
+
+  const push = (stack, op) => {
+    stack.push(op);
+    if (stack.length > limit) stack.shift();
+  };
+
+  // Record a new step by its inverse op; a fresh action clears the redo stack
+  const record = (inverse) => {
+    if (!inverse) return;
+    push(undoStack, inverse);
+    redoStack.length = 0;
+  };
+
+  // Record `op` before it is applied to `pages`
+  const recordOp = (pages, op) => record(invertOp(pages, op));
+
+  // Pop the next op to apply from `from`, pushing its own inverse (computed
+  // against the current `pages`) onto the opposite stack
+  const step = (pages, from, pushTo) => {
+    const op = from.pop();
+    if (!op) return null;
+    const inverse = invertOp(pages, op);
+    if (inverse) push(pushTo, inverse);
+    taken.set(op, { from, pushTo, inverse });
+    return op;
+  };
+
+  // Return an op from undo/redo that was refused (say the page was locked
+  // since), so the step isn't lost and can be tried again
+  const putBack = (op) => {
+    const taking = taken.get(op);
+    if (!taking) return;
+    taken.delete(op);
+    const index = taking.pushTo.lastIndexOf(taking.inverse);
+    if (index !== -1) taking.pushTo.splice(index, 1);
+    push(taking.from, op);
+  };
+
+  return {
+    record,
+    recordOp,
+    undo: (pages) => step(pages, undoStack, redoStack),
+    redo: (pages) => step(pages, redoStack, undoStack),
+    putBack,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+  };
+};
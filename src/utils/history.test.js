@@ -0,0 +1,104 @@
+import { applyOp, createPage } from '../shared/ops';
+import { createHistory } from './history';
+
+const rect = (id, props = {}) => ({ id, type: 'rectangle', x: 0, y: 0, width: 10, height: 10, color: '#000000', strokeWidth: 2, ...props });
+
+// Records `op` in `history` (as the local user would) and applies it
+const perform = (history, pages, op) => {
+  history.recordOp(pages, op);
+  return applyOp(pages, op);
+};
+
+describe('createHistory', () => {
+  test('undo only removes the acting user\'s own objects', () => {
+    const mine = createHistory();
+    let pages = [createPage(1)];
+    pages = perform(mine, pages, { type: 'add-shape', pageId: 1, shape: rect('mine') });
+    // Another participant's stroke arrives afterwards
+    pages = applyOp(pages, { type: 'add-line', pageId: 1, line: { id: 'theirs', points: [0, 0, 5, 5] } });
+
+    pages = applyOp(pages, mine.undo(pages));
+    expect(pages[0].shapes).toEqual([]);
+    expect(pages[0].lines.map(l => l.id)).toEqual(['theirs']);
+
+    pages = applyOp(pages, mine.redo(pages));
+    expect(pages[0].shapes.map(s => s.id)).toEqual(['mine']);
+  });
+
+  test('undoing a move keeps properties someone else changed since', () => {
+    const mine = createHistory();
+    let pages = applyOp([createPage(1)], { type: 'add-shape', pageId: 1, shape: rect('r') });
+    pages = perform(mine, pages, { type: 'update-object', pageId: 1, id: 'r', props: { x: 100, y: 50, rotation: 30 } });
+    pages = applyOp(pages, { type: 'update-object', pageId: 1, id: 'r', props: { color: '#FF0000' } });
+
+    pages = applyOp(pages, mine.undo(pages));
+    const shape = pages[0].shapes[0];
+    expect(shape).toMatchObject({ x: 0, y: 0, color: '#FF0000' });
+    expect(shape).not.toHaveProperty('rotation');
+  });
+
+  test('undoing a clear restores the page content in its original order', () => {
+    const mine = createHistory();
+    let pages = [createPage(1)];
+    pages = applyOp(pages, { type: 'add-line', pageId: 1, line: { id: 'l1', points: [0, 0, 1, 1] } });
+    pages = applyOp(pages, { type: 'add-shape', pageId: 1, shape: rect('a') });
+    pages = applyOp(pages, { type: 'add-shape', pageId: 1, shape: rect('b') });
+    const before = pages;
+
+    pages = perform(mine, pages, { type: 'clear-page', pageId: 1 });
+    expect(pages[0].shapes).toEqual([]);
+
+    pages = applyOp(pages, mine.undo(pages));
+    expect(pages).toEqual(before);
+  });
+
+  test('page additions can be undone and redone', () => {
+    const mine = createHistory();
+    let pages = [createPage(1)];
+    pages = perform(mine, pages, { type: 'add-page', page: createPage(2) });
+    expect(pages.map(p => p.id)).toEqual([1, 2]);
+
+    pages = applyOp(pages, mine.undo(pages));
+    expect(pages.map(p => p.id)).toEqual([1]);
+    expect(mine.canUndo()).toBe(false);
+    expect(mine.canRedo()).toBe(true);
+
+    pages = applyOp(pages, mine.redo(pages));
+    expect(pages.map(p => p.id)).toEqual([1, 2]);
+  });
+
+  test('page backgrounds survive a clear and their changes can be undone', () => {
+    const mine = createHistory();
+    let pages = applyOp([createPage(1)], { type: 'add-shape', pageId: 1, shape: rect('a') });
+    pages = perform(mine, pages, { type: 'update-page', pageId: 1, props: { background: { type: 'square', spacing: 40 } } });
+    pages = perform(mine, pages, { type: 'clear-page', pageId: 1 });
+    expect(pages[0].background).toEqual({ type: 'square', spacing: 40 });
+
+    pages = applyOp(pages, mine.undo(pages));
+    pages = applyOp(pages, mine.undo(pages));
+    expect(pages[0]).not.toHaveProperty('background');
+    expect(pages[0].shapes.map(s => s.id)).toEqual(['a']);
+  });
+
+  test('a new action clears the redo stack', () => {
+    const mine = createHistory();
+    let pages = [createPage(1)];
+    pages = perform(mine, pages, { type: 'add-shape', pageId: 1, shape: rect('a') });
+    pages = applyOp(pages, mine.undo(pages));
+    perform(mine, pages, { type: 'add-shape', pageId: 1, shape: rect('b') });
+    expect(mine.canRedo()).toBe(false);
+  });
+
+  test('a refused undo is put back so it can be tried again', () => {
+    const mine = createHistory();
+    let pages = [createPage(1)];
+    pages = perform(mine, pages, { type: 'add-shape', pageId: 1, shape: rect('a') });
+
+    const refused = mine.undo(pages);
+    mine.putBack(refused);
+    expect(mine.canRedo()).toBe(false);
+    pages = applyOp(pages, mine.undo(pages));
+    expect(pages[0].shapes).toEqual([]);
+    expect(mine.canUndo()).toBe(false);
+  });
+});
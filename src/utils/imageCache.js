@@ -0,0 +1,29 @@
+import { resolveAssetUrl } from './assets';
+
+// Loaded HTMLImageElements keyed by their source, so shapes can stay plain
+// serializable data (just the `image` src) while Konva gets a ready element.
+const cache = new Map();
+
+export const loadImage = (src) => {
+  if (!cache.has(src)) {
+    const promise = new Promise((resolve, reject) => {
+      const img = new window.Image();
+      img.crossOrigin = 'anonymous'; // Keep the canvas exportable
+      img.onload = () => resolve(img);
+      img.onerror = () => {
+        cache.delete(src); // Allow a retry later
+        reject(new Error(`Failed to load image: ${src.slice(0, 64)}`));
+      };
+      img.src = resolveAssetUrl(src);
+    });
+    cache.set(src, { promise, image: null });
+    promise.then((img) => {
+      const entry = cache.get(src);
+      if (entry) entry.image = img;
+    }).catch(() => {});
+  }
+  return cache.get(src).promise;
+};
+
+// The loaded element, or null if it hasn't finished loading yet
+export const getLoadedImage = (src) => cache.get(src)?.image || null;
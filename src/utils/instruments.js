@@ -0,0 +1,133 @@
+// Geometry instruments: a ruler, a protractor and a compass lying on a page.
+// Everyone on the board sees them (the server keeps them as room state, like
+// the presenter), but they aren't board objects: they're never saved,
+// exported or undone. Only the ink drawn with them is.
+//
+// Each is { pageId, x, y, ... } in stage coordinates:
+//   ruler      - (x, y) is the zero mark on the drawing edge, which runs
+//                along `rotation` degrees; the body lies on the +y side
+//   protractor - (x, y) is the center of the baseline, turned by
+//                `rotation`; `angle` (0-180) is the measuring arm
+//   compass    - (x, y) is the pivot; the pencil is `radius` away at
+//                `angle` degrees
+// Lengths are read out in CSS centimeters.
+
+export const pixelsPerCm = 96 / 2.54;
+export const rulerLength = 15 * pixelsPerCm;
+export const rulerWidth = 60;
+export const protractorRadius = 160;
+const defaultCompassRadius = 3 * pixelsPerCm;
+export const rulerSnapDistance = 24; // Screen pixels beside the edge where pen strokes snap to it
+const minCompassRadius = 5;
+const arcSegmentLength = 4; // Stage units between the points of a compass arc
+const maxArcPoints = 1000;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+export const formatLength = pixels => `${(pixels / pixelsPerCm).toFixed(1)} cm`;
+
+// Whole degrees in [0, 360), for readouts
+export const formatAngle = degrees => `${((Math.round(degrees) % 360) + 360) % 360}°`;
+
+// `point` in the frame of an instrument at `origin` turned by `rotation`
+export const toLocal = (origin, rotation, point) => {
+  const r = toRadians(rotation);
+  const dx = point.x - origin.x;
+  const dy = point.y - origin.y;
+  return { x: dx * Math.cos(r) + dy * Math.sin(r), y: -dx * Math.sin(r) + dy * Math.cos(r) };
+};
+
+export const toStage = (origin, rotation, local) => {
+  const r = toRadians(rotation);
+  return {
+    x: origin.x + local.x * Math.cos(r) - local.y * Math.sin(r),
+    y: origin.y + local.x * Math.sin(r) + local.y * Math.cos(r),
+  };
+};
+
+// A new instrument of `kind` around `center`
+export const createInstrument = (kind, pageId, center) => {
+  switch (kind) {
+    case 'ruler':
+      return { pageId, x: center.x - rulerLength / 2, y: center.y, rotation: 0 };
+    case 'protractor':
+      return { pageId, x: center.x, y: center.y + protractorRadius / 2, rotation: 0, angle: 60 };
+    default:
+      return { pageId, x: center.x, y: center.y, radius: defaultCompassRadius, angle: 0 };
+  }
+};
+
+export const moveInstrument = (instrument, dx, dy) => ({ ...instrument, x: instrument.x + dx, y: instrument.y + dy });
+
+// --- Ruler ---
+export const getRulerCenter = ruler => toStage(ruler, ruler.rotation, { x: rulerLength / 2, y: 0 });
+
+// Turn the ruler about its center so its edge points at `point`, in whole degrees
+export const rotateRulerTowards = (ruler, point) => {
+  const center = getRulerCenter(ruler);
+  const rotation = Math.round(toDegrees(Math.atan2(point.y - center.y, point.x - center.x)));
+  return { ...ruler, ...toStage(center, rotation, { x: -rulerLength / 2, y: 0 }), rotation };
+};
+
+// Whether a pen stroke starting at `point` follows the ruler: it has to be
+// beside the drawing edge, within `maxDistance` of it
+export const isNearRulerEdge = (ruler, point, maxDistance) => {
+  const local = toLocal(ruler, ruler.rotation, point);
+  return local.y <= 0 && local.y >= -maxDistance && local.x >= 0 && local.x <= rulerLength;
+};
+
+// The point of the drawing edge closest to `point`
+export const projectOntoRuler = (ruler, point) => {
+  const local = toLocal(ruler, ruler.rotation, point);
+  return toStage(ruler, ruler.rotation, { x: Math.min(rulerLength, Math.max(0, local.x)), y: 0 });
+};
+
+// --- Protractor ---
+// Angle of `point` from the baseline, 0 to 180 degrees counterclockwise as
+// seen on screen, in whole degrees
+export const getProtractorAngle = (protractor, point) => {
+  const local = toLocal(protractor, protractor.rotation, point);
+  const angle = toDegrees(Math.atan2(-local.y, local.x));
+  if (angle < 0) return angle < -90 ? 180 : 0; // Below the baseline
+  return Math.round(angle);
+};
+
+// Turn the protractor about its center so its baseline points at `point`
+export const rotateProtractorTowards = (protractor, point) => ({
+  ...protractor,
+  rotation: Math.round(toDegrees(Math.atan2(point.y - protractor.y, point.x - protractor.x))),
+});
+
+// --- Compass ---
+export const getCompassPencil = compass => ({
+  x: compass.x + compass.radius * Math.cos(toRadians(compass.angle)),
+  y: compass.y + compass.radius * Math.sin(toRadians(compass.angle)),
+});
+
+// Open the compass so the pencil is at `point`
+export const openCompassTo = (compass, point) => ({
+  ...compass,
+  radius: Math.max(minCompassRadius, Math.hypot(point.x - compass.x, point.y - compass.y)),
+  angle: toDegrees(Math.atan2(point.y - compass.y, point.x - compass.x)),
+});
+
+// Change in direction from `from` to `to` degrees, the short way round
+export const angleDelta = (from, to) => {
+  const delta = (((to - from) % 360) + 360) % 360;
+  return delta > 180 ? delta - 360 : delta;
+};
+
+// Points of the arc the compass pencil draws from `startAngle` sweeping
+// `sweep` degrees (clockwise on screen when positive; a full turn at most)
+export const getArcPoints = (compass, startAngle, sweep) => {
+  const clamped = Math.max(-360, Math.min(360, sweep));
+  const length = Math.abs(toRadians(clamped)) * compass.radius;
+  const steps = Math.min(maxArcPoints, Math.max(1, Math.ceil(length / arcSegmentLength)));
+  const points = [];
+  for (let i = 0; i <= steps; i += 1) {
+    const angle = toRadians(startAngle + (clamped * i) / steps);
+    points.push(compass.x + compass.radius * Math.cos(angle), compass.y + compass.radius * Math.sin(angle));
+  }
+  return points;
+};
@@ -0,0 +1,64 @@
+import {
+  angleDelta,
+  createInstrument,
+  formatAngle,
+  formatLength,
+  getArcPoints,
+  getCompassPencil,
+  getProtractorAngle,
+  isNearRulerEdge,
+  openCompassTo,
+  pixelsPerCm,
+  projectOntoRuler,
+  rotateRulerTowards,
+  rulerLength,
+} from './instruments';
+
+describe('geometry instruments', () => {
+  test('strokes beside the ruler edge are projected onto it', () => {
+    const ruler = { pageId: 1, x: 100, y: 100, rotation: 90 }; // Edge pointing down, body to its left
+    expect(isNearRulerEdge(ruler, { x: 110, y: 200 }, 24)).toBe(true);
+    expect(isNearRulerEdge(ruler, { x: 90, y: 200 }, 24)).toBe(false); // On the body
+    expect(isNearRulerEdge(ruler, { x: 140, y: 200 }, 24)).toBe(false); // Too far
+    const projected = projectOntoRuler(ruler, { x: 110, y: 200 });
+    expect(projected.x).toBeCloseTo(100);
+    expect(projected.y).toBeCloseTo(200);
+    expect(projectOntoRuler(ruler, { x: 110, y: 5000 }).y).toBeCloseTo(100 + rulerLength); // Not past its end
+    expect(formatLength(pixelsPerCm * 7.25)).toBe('7.3 cm');
+  });
+
+  test('the ruler turns about its center in whole degrees', () => {
+    const ruler = createInstrument('ruler', 1, { x: 0, y: 0 });
+    const turned = rotateRulerTowards(ruler, { x: 100, y: 100.5 });
+    expect(turned.rotation).toBe(45);
+    expect(turned.x + (rulerLength / 2) * Math.SQRT1_2).toBeCloseTo(0);
+    expect(turned.y + (rulerLength / 2) * Math.SQRT1_2).toBeCloseTo(0);
+    expect(formatAngle(-turned.rotation)).toBe('315°');
+  });
+
+  test('the protractor measures from its baseline, counterclockwise on screen', () => {
+    const protractor = { pageId: 1, x: 0, y: 0, rotation: 0, angle: 0 };
+    expect(getProtractorAngle(protractor, { x: 10, y: -10 })).toBe(45);
+    expect(getProtractorAngle(protractor, { x: -10, y: -0.1 })).toBe(179);
+    expect(getProtractorAngle(protractor, { x: -10, y: 5 })).toBe(180); // Below the baseline
+    expect(getProtractorAngle({ ...protractor, rotation: -90 }, { x: -10, y: 0 })).toBe(90);
+  });
+
+  test('the compass opens to a radius and draws arcs of at most a full turn', () => {
+    const compass = openCompassTo({ pageId: 1, x: 0, y: 0, radius: 10, angle: 0 }, { x: 0, y: 50 });
+    expect(compass.radius).toBeCloseTo(50);
+    expect(compass.angle).toBeCloseTo(90);
+    expect(getCompassPencil(compass).y).toBeCloseTo(50);
+
+    expect(angleDelta(350, 10)).toBe(20);
+    expect(angleDelta(10, 350)).toBe(-20);
+
+    const quarter = getArcPoints(compass, 0, 90);
+    expect(quarter.slice(0, 2)).toEqual([50, 0]);
+    expect(quarter[quarter.length - 2]).toBeCloseTo(0);
+    expect(quarter[quarter.length - 1]).toBeCloseTo(50);
+    const circle = getArcPoints(compass, 0, 500);
+    expect(circle[circle.length - 2]).toBeCloseTo(50);
+    expect(circle[circle.length - 1]).toBeCloseTo(0);
+  });
+});
@@ -0,0 +1,211 @@
+// Parser for the expressions graph shapes plot, like `x^2 - 3x + 1` or
+// `sin(2x) / x`. Expressions come from other users, so they are never
+// evaluated as JavaScript: the parser only knows numbers, `x`, a few
+// constants and the functions below, and compiles to plain closures.
+//
+// Grammar, loosest binding first:
+//   sum     = product (("+" | "-") product)*
+//   product = unary (("*" | "/") unary | power)*   (`2x`, `3(x+1)`: implied *)
+//   unary   = ("-" | "+") unary | power
+//   power   = primary ("^" unary)?                   (right-associative)
+//   primary = number | name | name "(" sum ("," sum)* ")" | "(" sum ")" | "|" sum "|"
+
+const CONSTANTS = {
+  pi: Math.PI,
+  'π': Math.PI,
+  e: Math.E,
+};
+
+// Name -> [argument count, implementation]
+const FUNCTIONS = {
+  sin: [1, Math.sin],
+  cos: [1, Math.cos],
+  tan: [1, Math.tan],
+  sec: [1, v => 1 / Math.cos(v)],
+  csc: [1, v => 1 / Math.sin(v)],
+  cot: [1, v => 1 / Math.tan(v)],
+  asin: [1, Math.asin],
+  acos: [1, Math.acos],
+  atan: [1, Math.atan],
+  sinh: [1, Math.sinh],
+  cosh: [1, Math.cosh],
+  tanh: [1, Math.tanh],
+  sqrt: [1, Math.sqrt],
+  cbrt: [1, Math.cbrt],
+  abs: [1, Math.abs],
+  exp: [1, Math.exp],
+  ln: [1, Math.log],
+  log: [1, Math.log10],
+  floor: [1, Math.floor],
+  ceil: [1, Math.ceil],
+  round: [1, Math.round],
+  sign: [1, Math.sign],
+  min: [2, Math.min],
+  max: [2, Math.max],
+};
+
+const VARIABLE = 'x';
+
+// Longest names first, so `sinh` isn't read as `sin` followed by `h`
+const NAMES = [VARIABLE, ...Object.keys(CONSTANTS), ...Object.keys(FUNCTIONS)].sort((a, b) => b.length - a.length);
+
+const fail = (message) => {
+  throw new Error(message);
+};
+
+// A run of letters may be several names written together (`xsin`, `2pix`)
+const splitNames = (word, whole = word) => {
+  if (!word) return [];
+  const name = NAMES.find(n => word.startsWith(n));
+  if (!name) fail(`Unknown name "${whole}"`);
+  return [name, ...splitNames(word.slice(name.length), whole)];
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const rest = source.slice(i);
+    const space = /^\s+/.exec(rest);
+    const number = /^(\d+\.?\d*|\.\d+)/.exec(rest); // No exponent notation: `2e` is 2 times e
+    const word = /^[a-zπ]+/i.exec(rest);
+    if (space) {
+      i += space[0].length;
+    } else if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]) });
+      i += number[0].length;
+    } else if (word) {
+      splitNames(word[0].toLowerCase()).forEach(name => tokens.push({ type: 'name', value: name }));
+      i += word[0].length;
+    } else if ('+-*/^(),|'.includes(rest[0])) {
+      tokens.push({ type: rest[0] });
+      i += 1;
+    } else {
+      fail(`Unexpected "${rest[0]}"`);
+    }
+  }
+  return tokens;
+};
+
+// Compile `source` into a function of x. Throws an Error with a readable
+// message if the expression can't be parsed.
+export const compileExpression = (source) => {
+  const tokens = tokenize(String(source));
+  if (tokens.length === 0) fail('Empty expression');
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const accept = (type) => {
+    if (peek()?.type !== type) return false;
+    pos += 1;
+    return true;
+  };
+  const expect = (type) => {
+    if (!accept(type)) fail(peek() ? `Expected "${type}" before "${peek().value ?? peek().type}"` : `Missing "${type}"`);
+  };
+
+  // The rules refer to each other; see the grammar at the top
+  let parseSum;
+  let parseProduct;
+  let parseUnary;
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail('Unexpected end of expression');
+    pos += 1;
+
+    switch (token.type) {
+      case 'number':
+        return () => token.value;
+      case '(': {
+        const inner = parseSum();
+        expect(')');
+        return inner;
+      }
+      case '|': {
+        const inner = parseSum();
+        expect('|');
+        return x => Math.abs(inner(x));
+      }
+      case 'name': {
+        if (token.value === VARIABLE) return x => x;
+        if (token.value in CONSTANTS) {
+          const value = CONSTANTS[token.value];
+          return () => value;
+        }
+        const [arity, fn] = FUNCTIONS[token.value];
+        // Single arguments may skip the parentheses: `sin x`, `ln 2x`
+        if (arity === 1 && peek()?.type !== '(') {
+          const arg = parseProduct();
+          return x => fn(arg(x));
+        }
+        expect('(');
+        const args = [parseSum()];
+        while (accept(',')) args.push(parseSum());
+        expect(')');
+        if (args.length !== arity) fail(`${token.value} takes ${arity} argument${arity === 1 ? '' : 's'}`);
+        return arity === 1 ? x => fn(args[0](x)) : x => fn(args[0](x), args[1](x));
+      }
+      default:
+        return fail(`Unexpected "${token.type}"`);
+    }
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (!accept('^')) return base;
+    const exponent = parseUnary();
+    return x => base(x) ** exponent(x);
+  };
+
+  parseUnary = () => {
+    if (accept('-')) {
+      const operand = parseUnary();
+      return x => -operand(x);
+    }
+    if (accept('+')) return parseUnary();
+    return parsePower();
+  };
+
+  // Tokens that can start a factor written right after another one
+  const startsFactor = token => Boolean(token) && (token.type === 'number' || token.type === 'name' || token.type === '(');
+
+  parseProduct = () => {
+    let left = parseUnary();
+    for (;;) {
+      const a = left;
+      if (accept('*')) {
+        const b = parseUnary();
+        left = x => a(x) * b(x);
+      } else if (accept('/')) {
+        const b = parseUnary();
+        left = x => a(x) / b(x);
+      } else if (startsFactor(peek())) {
+        const b = parsePower();
+        left = x => a(x) * b(x);
+      } else {
+        return left;
+      }
+    }
+  };
+
+  parseSum = () => {
+    let left = parseProduct();
+    for (;;) {
+      const a = left;
+      if (accept('+')) {
+        const b = parseProduct();
+        left = x => a(x) + b(x);
+      } else if (accept('-')) {
+        const b = parseProduct();
+        left = x => a(x) - b(x);
+      } else {
+        return left;
+      }
+    }
+  };
+
+  const fn = parseSum();
+  if (pos < tokens.length) fail(`Unexpected "${peek().value ?? peek().type}"`);
+  return fn;
+};
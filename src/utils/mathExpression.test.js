@@ -0,0 +1,46 @@
+import { compileExpression } from './mathExpression';
+
+const evaluate = (source, x) => compileExpression(source)(x);
+
+describe('math expressions', () => {
+  test('operators bind the usual way', () => {
+    expect(evaluate('1 + 2 * 3', 0)).toBe(7);
+    expect(evaluate('(1 + 2) * 3', 0)).toBe(9);
+    expect(evaluate('2^3^2', 0)).toBe(512);
+    expect(evaluate('-x^2', 3)).toBe(-9);
+    expect(evaluate('2^-1', 0)).toBe(0.5);
+    expect(evaluate('x / 2 / 2', 8)).toBe(2);
+  });
+
+  test('multiplication can be implied, as written on paper', () => {
+    expect(evaluate('2x', 3)).toBe(6);
+    expect(evaluate('3x^2 - 2x + 1', 2)).toBe(9);
+    expect(evaluate('(x + 1)(x - 1)', 3)).toBe(8);
+    expect(evaluate('2pi', 0)).toBeCloseTo(2 * Math.PI);
+    expect(evaluate('xsin(x)', Math.PI / 2)).toBeCloseTo(Math.PI / 2);
+    expect(evaluate('2e^x', 0)).toBeCloseTo(2);
+  });
+
+  test('functions and constants', () => {
+    expect(evaluate('sin(pi / 2)', 0)).toBeCloseTo(1);
+    expect(evaluate('sin x', Math.PI / 2)).toBeCloseTo(1);
+    expect(evaluate('sinh(0) + cosh(0)', 0)).toBe(1);
+    expect(evaluate('ln(e) + log(100)', 0)).toBe(3);
+    expect(evaluate('|x - 5|', 2)).toBe(3);
+    expect(evaluate('max(x, 1)', -4)).toBe(1);
+    expect(evaluate('sqrt(x)', -1)).toBeNaN();
+    expect(evaluate('1 / x', 0)).toBe(Infinity);
+  });
+
+  test('anything else is refused rather than run', () => {
+    expect(() => compileExpression('')).toThrow(/Empty/);
+    expect(() => compileExpression('alert(1)')).toThrow(/Unknown name "alert"/);
+    expect(() => compileExpression('constructor')).toThrow(/Unknown name/);
+    expect(() => compileExpression('x; 1')).toThrow(/Unexpected ";"/);
+    expect(() => compileExpression('x[0]')).toThrow(/Unexpected "\["/);
+    expect(() => compileExpression('(x + 1')).toThrow(/Missing "\)"/);
+    expect(() => compileExpression('x +')).toThrow(/end of expression/);
+    expect(() => compileExpression('max(x)')).toThrow(/2 arguments/);
+    expect(() => compileExpression('2 3 )')).toThrow(/Unexpected "\)"/);
+  });
+});
@@ -0,0 +1,29 @@
+import { mathjax } from 'mathjax-full/js/mathjax';
+import { TeX } from 'mathjax-full/js/input/tex';
+import { SVG } from 'mathjax-full/js/output/svg';
+import { liteAdaptor } from 'mathjax-full/js/adaptors/liteAdaptor';
+import { RegisterHTMLHandler } from 'mathjax-full/js/handlers/html';
+import 'mathjax-full/js/input/tex/base/BaseConfiguration';
+import 'mathjax-full/js/input/tex/ams/AmsConfiguration';
+import 'mathjax-full/js/input/tex/newcommand/NewcommandConfiguration';
+import 'mathjax-full/js/input/tex/boldsymbol/BoldsymbolConfiguration';
+import 'mathjax-full/js/input/tex/cancel/CancelConfiguration';
+import 'mathjax-full/js/input/tex/color/ColorConfiguration';
+
+// The bundled MathJax (TeX in, SVG out). Only utils/equation.js imports
+// this, and only with import(), so it is a chunk of its own.
+
+const texPackages = ['base', 'ams', 'newcommand', 'boldsymbol', 'cancel', 'color'];
+
+// Typeset `latex` as display math; returns the SVG markup. Throws MathJax's
+// error for invalid LaTeX.
+export const createTypesetter = () => {
+  const adaptor = liteAdaptor();
+  RegisterHTMLHandler(adaptor);
+  const doc = mathjax.document('', {
+    // Report errors instead of typesetting them in red
+    InputJax: new TeX({ packages: texPackages, formatError: (jax, err) => { throw err; } }),
+    OutputJax: new SVG({ fontCache: 'none' }), // Self-contained paths, no shared <defs>
+  });
+  return latex => adaptor.innerHTML(doc.convert(latex, { display: true }));
+};
@@ -0,0 +1,126 @@
+import { getTicks } from './graph';
+
+// Page backgrounds: a square grid, a dot grid, lined paper or Cartesian
+// axes, stored on the page as `background: { type, spacing }` (no
+// background is a blank page). They aren't objects on the page, so they
+// can't be selected or erased; the part covering the visible or exported
+// area is laid out here whenever it is drawn. Snapping uses the same grid.
+
+export const backgroundOptions = [
+  { type: null, label: 'Blank' },
+  { type: 'square', label: 'Square grid' },
+  { type: 'dots', label: 'Dot grid' },
+  { type: 'lined', label: 'Lined' },
+  { type: 'axes', label: 'Axes' },
+];
+
+export const gridSpacingOptions = [20, 40, 60, 80];
+export const defaultGridSpacing = 40;
+
+export const backgroundGridColor = '#D1D5DB';
+export const backgroundAxisColor = '#4B5563';
+export const backgroundFontSize = 12; // Screen pixels, like the line widths
+const minLineSpacing = 8; // Screen pixels between drawn grid lines or dots
+const minLabelSpacing = 40; // Screen pixels between axis labels
+
+// Grid spacing of `page`, for snapping too
+export const getGridSpacing = (page) => (page && page.background ? page.background.spacing : defaultGridSpacing);
+
+export const snapToGrid = (value, spacing) => Math.round(value / spacing) * spacing;
+
+export const snapPointToGrid = (point, spacing) => ({ x: snapToGrid(point.x, spacing), y: snapToGrid(point.y, spacing) });
+
+// Spacing actually drawn at `scale`: the page's spacing, doubled as often as
+// needed so a zoomed out page doesn't draw thousands of lines
+const getDrawnSpacing = (spacing, scale, minPixels) => {
+  let step = spacing;
+  while (step * scale < minPixels) step *= 2;
+  return step;
+};
+
+// Grid lines, dots and axis labels of `background` over `area` (stage
+// coordinates), with widths and sizes that look the same at any `scale`
+export const getBackgroundLayout = (background, area, scale = 1) => {
+  const layout = { grid: [], axes: [], dots: [], labels: [], lineWidth: 1 / scale, dotRadius: 1.5 / scale, fontSize: backgroundFontSize / scale };
+  if (!background) return layout;
+
+  const step = getDrawnSpacing(background.spacing, scale, minLineSpacing);
+  const right = area.x + area.width;
+  const bottom = area.y + area.height;
+  const columns = getTicks(area.x, right, step);
+  const rows = getTicks(area.y, bottom, step);
+
+  switch (background.type) {
+    case 'dots':
+      rows.forEach(y => columns.forEach(x => layout.dots.push([x, y])));
+      break;
+    case 'lined':
+      layout.grid = rows.map(y => [area.x, y, right, y]);
+      break;
+    case 'square':
+    case 'axes':
+      layout.grid = [
+        ...columns.map(x => [x, area.y, x, bottom]),
+        ...rows.map(y => [area.x, y, right, y]),
+      ];
+      break;
+    default:
+      break;
+  }
+
+  if (background.type === 'axes') {
+    // Axes through the origin, numbered in grid units
+    if (area.y <= 0 && bottom >= 0) layout.axes.push([area.x, 0, right, 0]);
+    if (area.x <= 0 && right >= 0) layout.axes.push([0, area.y, 0, bottom]);
+    const labelStep = getDrawnSpacing(background.spacing, scale, minLabelSpacing);
+    const gap = 4 / scale;
+    const units = value => String(Math.round(value / background.spacing));
+    getTicks(area.x, right, labelStep).forEach((x) => {
+      if (x !== 0) layout.labels.push({ x, y: gap, text: units(x), align: 'center', baseline: 'top' });
+    });
+    getTicks(area.y, bottom, labelStep).forEach((y) => {
+      // Up is positive, like on paper
+      if (y !== 0) layout.labels.push({ x: -gap, y, text: units(-y), align: 'right', baseline: 'middle' });
+    });
+    layout.labels.push({ x: -gap, y: gap, text: '0', align: 'right', baseline: 'top' });
+  }
+
+  return layout;
+};
+
+// Konva sceneFunc body for a page background covering `area`
+export const drawBackground = (context, background, area, scale) => {
+  const layout = getBackgroundLayout(background, area, scale);
+  const strokeSegments = (segments, color, lineWidth) => {
+    if (segments.length === 0) return;
+    context.beginPath();
+    segments.forEach(([x1, y1, x2, y2]) => {
+      context.moveTo(x1, y1);
+      context.lineTo(x2, y2);
+    });
+    context.setAttr('strokeStyle', color);
+    context.setAttr('lineWidth', lineWidth);
+    context.stroke();
+  };
+
+  strokeSegments(layout.grid, backgroundGridColor, layout.lineWidth);
+  strokeSegments(layout.axes, backgroundAxisColor, layout.lineWidth * 1.5);
+
+  if (layout.dots.length > 0) {
+    context.beginPath();
+    layout.dots.forEach(([x, y]) => {
+      context.moveTo(x + layout.dotRadius, y);
+      context.arc(x, y, layout.dotRadius, 0, Math.PI * 2);
+    });
+    context.setAttr('fillStyle', backgroundAxisColor);
+    context.fill();
+  }
+
+  context.setAttr('fillStyle', backgroundAxisColor);
+  context.setAttr('font', `${layout.fontSize}px Arial`);
+  layout.labels.forEach((label) => {
+    context.setAttr('textAlign', label.align);
+    context.setAttr('textBaseline', label.baseline);
+    context.fillText(label.text, label.x, label.y);
+  });
+};
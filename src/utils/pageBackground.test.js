@@ -0,0 +1,36 @@
+import { getBackgroundLayout, getGridSpacing, snapPointToGrid, snapToGrid } from './pageBackground';
+
+const area = { x: -50, y: -50, width: 200, height: 100 };
+
+describe('page backgrounds', () => {
+  test('grids cover the area at the page spacing', () => {
+    const square = getBackgroundLayout({ type: 'square', spacing: 50 }, area);
+    expect(square.grid).toHaveLength(5 + 3);
+    expect(square.grid).toContainEqual([0, -50, 0, 50]);
+    expect(getBackgroundLayout({ type: 'lined', spacing: 50 }, area).grid).toEqual([[-50, -50, 150, -50], [-50, 0, 150, 0], [-50, 50, 150, 50]]);
+    expect(getBackgroundLayout({ type: 'dots', spacing: 50 }, area).dots).toHaveLength(5 * 3);
+    expect(getBackgroundLayout(null, area)).toMatchObject({ grid: [], dots: [], labels: [] });
+  });
+
+  test('zoomed out grids thin out and keep their on-screen widths', () => {
+    const layout = getBackgroundLayout({ type: 'square', spacing: 10 }, { x: 0, y: 0, width: 1000, height: 0 }, 0.25);
+    expect(layout.grid).toHaveLength(1000 / 40 + 1 + 1); // Every 4th line, plus the one row
+    expect(layout.lineWidth).toBe(4);
+  });
+
+  test('axes run through the origin and count grid units, up being positive', () => {
+    const layout = getBackgroundLayout({ type: 'axes', spacing: 50 }, area);
+    expect(layout.axes).toEqual([[-50, 0, 150, 0], [0, -50, 0, 50]]);
+    const texts = layout.labels.map(label => label.text);
+    expect(texts).toEqual(expect.arrayContaining(['-1', '1', '2', '3', '0']));
+    expect(layout.labels.find(label => label.y === -50)).toMatchObject({ x: -4, text: '1' });
+  });
+
+  test('snapping rounds to the page grid, or the default one on blank pages', () => {
+    expect(snapToGrid(29, 20)).toBe(20);
+    expect(snapToGrid(-31, 20)).toBe(-40);
+    expect(snapPointToGrid({ x: 14, y: 46 }, 25)).toEqual({ x: 25, y: 50 });
+    expect(getGridSpacing({ id: 1, lines: [], shapes: [], background: { type: 'dots', spacing: 25 } })).toBe(25);
+    expect(getGridSpacing({ id: 1, lines: [], shapes: [] })).toBe(40);
+  });
+});
@@ -0,0 +1,45 @@
+import { getLinePoints, getShapeOutline } from './bounds';
+
+// Marquee and lasso hit-testing. An object is picked when it lies entirely
+// inside the selection: every point of a freehand stroke, or every corner
+// of a shape's outline. Eraser strokes are never picked.
+
+// Even-odd ray casting against a flat [x1, y1, x2, y2, ...] polygon
+export const pointInPolygon = (x, y, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 2; i < polygon.length; j = i, i += 2) {
+    const xi = polygon[i];
+    const yi = polygon[i + 1];
+    const xj = polygon[j];
+    const yj = polygon[j + 1];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const allPointsInside = (points, contains) => {
+  if (points.length < 2) return false;
+  for (let i = 0; i + 1 < points.length; i += 2) {
+    if (!contains(points[i], points[i + 1])) return false;
+  }
+  return true;
+};
+
+const selectEnclosed = (page, contains) => [
+  ...page.shapes.filter(shape => allPointsInside(getShapeOutline(shape), contains)),
+  ...page.lines.filter(line => (
+    line.globalCompositeOperation !== 'destination-out' && allPointsInside(getLinePoints(line), contains)
+  )),
+].map(object => object.id);
+
+// IDs of the objects on `page` inside `rect` ({ x, y, width, height })
+export const selectInRect = (page, rect) => selectEnclosed(page, (x, y) => (
+  x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height
+));
+
+// IDs of the objects on `page` inside the closed `polygon`
+export const selectInLasso = (page, polygon) => (
+  polygon.length < 6 ? [] : selectEnclosed(page, (x, y) => pointInPolygon(x, y, polygon))
+);
@@ -0,0 +1,28 @@
+import { selectInLasso, selectInRect } from './selection';
+
+const page = {
+  id: 1,
+  lines: [
+    { id: 'ink', points: [10, 10, 40, 40], globalCompositeOperation: 'source-over' },
+    { id: 'rub', points: [12, 12, 20, 20], globalCompositeOperation: 'destination-out' },
+    { id: 'far', points: [10, 10, 400, 40], globalCompositeOperation: 'source-over' },
+  ],
+  shapes: [
+    { id: 'box', type: 'rectangle', x: 50, y: 50, width: 20, height: 20 },
+    { id: 'tilted', type: 'rectangle', x: 50, y: 10, width: 40, height: 10, rotation: 90 },
+  ],
+};
+
+describe('marquee and lasso selection', () => {
+  test('the marquee picks objects entirely inside it', () => {
+    expect(selectInRect(page, { x: 0, y: 0, width: 100, height: 100 }).sort()).toEqual(['box', 'ink', 'tilted']);
+    expect(selectInRect(page, { x: 0, y: 0, width: 45, height: 60 })).toEqual(['ink']);
+  });
+
+  test('the lasso picks objects inside the drawn outline', () => {
+    // Triangle around the ink stroke, missing the box
+    const lasso = [0, 0, 100, 0, 0, 100];
+    expect(selectInLasso(page, lasso)).toEqual(['ink']);
+    expect(selectInLasso(page, [0, 0, 10, 10])).toEqual([]);
+  });
+});
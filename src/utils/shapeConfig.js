@@ -0,0 +1,203 @@
+// Konva class name and attributes for objects in the board model. The
+// interactive stage and the off-screen export renderer both build their nodes
+// from these, so exports look exactly like the board.
+
+import { getEquationImageSource } from './equation';
+import { drawGraph } from './graph';
+import { getPressureOutline } from './stroke';
+
+// Outlines of pressure strokes; lines are replaced, never mutated, on change
+const outlineCache = new WeakMap();
+
+const getOutline = (line) => {
+  if (!outlineCache.has(line)) {
+    outlineCache.set(line, getPressureOutline(line.points, line.pressures, line.strokeWidth));
+  }
+  return outlineCache.get(line);
+};
+
+// Returns { className, config } for a freehand stroke: a Line, or for pen
+// strokes with pressure a Path filling the stroke's variable-width outline
+export const getLineConfig = (line) => {
+  const base = {
+    id: line.id,
+    x: line.x || 0,
+    y: line.y || 0,
+    rotation: line.rotation || 0,
+    scaleX: line.scaleX || 1,
+    scaleY: line.scaleY || 1,
+    globalCompositeOperation: line.globalCompositeOperation,
+    perfectDrawEnabled: false, // Can improve performance for complex lines
+  };
+
+  if (line.pressures) {
+    // The outline is filled, so unlike a Line its width scales with the stroke
+    return { className: 'Path', config: { ...base, data: getOutline(line), fill: line.color } };
+  }
+  return {
+    className: 'Line',
+    config: {
+      ...base,
+      strokeScaleEnabled: false, // Resizing a stroke keeps its width
+      points: line.points,
+      stroke: line.color,
+      strokeWidth: line.strokeWidth,
+      tension: line.tension !== undefined ? line.tension : 0.5,
+      lineCap: 'round',
+      lineJoin: 'round',
+    },
+  };
+};
+
+// Konva dash array for an outline style, scaled to the stroke width so dots
+// and dashes stay in proportion. Solid outlines have none.
+export const getDash = (dash, strokeWidth = 1) => {
+  switch (dash) {
+    case 'dashed':
+      return [strokeWidth * 3, strokeWidth * 2];
+    case 'dotted':
+      return [0, strokeWidth * 2]; // Zero-length dashes with round caps draw dots
+    default:
+      return undefined;
+  }
+};
+
+// Outline style shared by rectangles, ellipses, triangles, lines and arrows
+const getOutlineConfig = (shape) => ({
+  stroke: shape.color,
+  strokeWidth: shape.strokeWidth,
+  dash: getDash(shape.dash, shape.strokeWidth),
+  ...(shape.dash === 'dotted' ? { lineCap: 'round' } : {}),
+});
+
+// Length and width of an arrow shape's head, in proportion to its stroke
+export const getArrowHeadSize = (strokeWidth = 1) => Math.max(strokeWidth * 3, 10);
+
+// Fill for closed shapes; shapes without a `fill` are outlines only
+const getFillConfig = (shape) => (
+  shape.fill ? { fill: shape.fill, fillEnabled: true } : { fillEnabled: false }
+);
+
+// Source of the element drawn for image and equation shapes (null if there
+// is none), for the caller to load
+export const getShapeImageSource = (shape) => (
+  shape.type === 'equation' ? getEquationImageSource(shape) : shape.image || null
+);
+
+// Returns { className, config }, or null for unknown shape types. For the
+// 'Image' class the caller adds the element loaded from getShapeImageSource
+// as `image`.
+export const getShapeConfig = (shape) => {
+  const base = {
+    id: shape.id,
+    x: shape.x,
+    y: shape.y,
+    rotation: shape.rotation || 0,
+    opacity: shape.opacity !== undefined ? shape.opacity : 1,
+  };
+
+  switch (shape.type) {
+    case 'image':
+    case 'equation':
+      return { className: 'Image', config: { ...base, width: shape.width, height: shape.height } };
+    case 'line':
+      return {
+        className: 'Line',
+        config: {
+          ...base,
+          points: shape.points,
+          lineCap: 'round',
+          lineJoin: 'round',
+          ...getOutlineConfig(shape),
+          tension: 0, // Straight line segments defined by points
+          perfectDrawEnabled: false,
+        },
+      };
+    case 'arrow':
+      return {
+        className: 'Arrow',
+        config: {
+          ...base,
+          points: shape.points,
+          lineCap: 'round',
+          lineJoin: 'round',
+          ...getOutlineConfig(shape),
+          fill: shape.color, // The head
+          pointerLength: getArrowHeadSize(shape.strokeWidth),
+          pointerWidth: getArrowHeadSize(shape.strokeWidth),
+          perfectDrawEnabled: false,
+        },
+      };
+    case 'triangle':
+      return {
+        className: 'Line',
+        config: {
+          ...base,
+          points: shape.points,
+          closed: true,
+          ...getOutlineConfig(shape),
+          ...getFillConfig(shape),
+          perfectDrawEnabled: false,
+        },
+      };
+    case 'rectangle':
+      return {
+        className: 'Rect',
+        config: {
+          ...base,
+          width: shape.width,
+          height: shape.height,
+          ...getOutlineConfig(shape),
+          ...getFillConfig(shape),
+        },
+      };
+    case 'circle': // Use Ellipse for circles/ovals
+      return {
+        className: 'Ellipse',
+        config: {
+          ...base,
+          // Konva Ellipse uses center x/y and radius x/y
+          x: shape.x + shape.width / 2,
+          y: shape.y + shape.height / 2,
+          radiusX: shape.width / 2,
+          radiusY: shape.height / 2,
+          ...getOutlineConfig(shape),
+          ...getFillConfig(shape),
+        },
+      };
+    case 'graph':
+      // Drawn from its definition (see utils/graph.js); the whole box is clickable
+      return {
+        className: 'Shape',
+        config: {
+          ...base,
+          width: shape.width,
+          height: shape.height,
+          fill: shape.fill || '#FFFFFF',
+          stroke: shape.color || '#9CA3AF',
+          strokeWidth: 1,
+          sceneFunc: (context, node) => drawGraph(context, node, shape),
+          hitFunc: (context, node) => {
+            context.beginPath();
+            context.rect(0, 0, shape.width, shape.height);
+            context.closePath();
+            context.fillStrokeShape(node);
+          },
+        },
+      };
+    case 'text':
+      return {
+        className: 'Text',
+        config: {
+          ...base,
+          text: shape.text,
+          width: shape.width,
+          fontSize: shape.fontSize,
+          fontStyle: shape.fontStyle || 'normal',
+          fill: shape.color,
+        },
+      };
+    default:
+      return null;
+  }
+};
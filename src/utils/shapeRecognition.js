@@ -0,0 +1,203 @@
+import { simplifyStroke } from './stroke';
+
+// Shape assist: recognizes a freehand stroke (world points) as a line, arrow,
+// triangle, rectangle or ellipse and returns the geometry of the matching
+// shape, or null to keep the ink. Tolerances are relative to the stroke's
+// size, so the result doesn't depend on the zoom level.
+//
+// Line, arrow and triangle shapes keep absolute points (x/y 0), like the
+// line tool draws them; rectangles and ellipses get a box and a rotation.
+
+const minSize = 12; // World units; smaller strokes are never shapes
+const closedGap = 0.2; // End-to-start gap, relative to length, of a closed figure
+const straightness = 0.06; // Farthest a line strays from its chord, relative to it
+const cornerTolerance = 0.06; // Of the figure's size, when finding corners
+const ellipseTolerance = 0.1; // Mean radial error of an ellipse
+const rightAngleTolerance = 25; // Degrees a rectangle corner may be off
+const snapAngle = 8; // Degrees within which rotations snap to level
+
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+const pathLength = (points) => {
+  let length = 0;
+  for (let i = 2; i + 1 < points.length; i += 2) {
+    length += Math.hypot(points[i] - points[i - 2], points[i + 1] - points[i - 1]);
+  }
+  return length;
+};
+
+const toVertices = points => Array.from({ length: points.length / 2 }, (_, i) => ({ x: points[i * 2], y: points[i * 2 + 1] }));
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+const cross = (a, b) => a.x * b.y - a.y * b.x;
+const norm = a => Math.hypot(a.x, a.y);
+
+// Angle at `b` between the directions to `a` and `c`, in degrees
+const cornerAngle = (a, b, c) => {
+  const u = sub(a, b);
+  const v = sub(c, b);
+  return toDegrees(Math.acos(Math.max(-1, Math.min(1, dot(u, v) / (norm(u) * norm(v) || 1)))));
+};
+
+// Rotation and size of a box whose `along` side runs at `angle` degrees:
+// the rotation is brought within 45 degrees of level (swapping the sides
+// where needed) and snapped to level when it is close
+const levelBox = (angle, along, across) => {
+  const turn = ((angle % 180) + 180) % 180;
+  const upright = turn > 45 && turn <= 135;
+  let rotation = upright ? turn - 90 : turn;
+  if (rotation > 135) rotation -= 180;
+  if (Math.abs(rotation) < snapAngle) rotation = 0;
+  return upright ? { rotation, width: across, height: along } : { rotation, width: along, height: across };
+};
+
+const rotate = (p, degrees) => {
+  const rad = (degrees * Math.PI) / 180;
+  return { x: p.x * Math.cos(rad) - p.y * Math.sin(rad), y: p.x * Math.sin(rad) + p.y * Math.cos(rad) };
+};
+
+// Box shape (rectangle or ellipse) of `width` x `height` around `center`.
+// Rectangles rotate around their top-left corner, ellipses around their
+// center (see shapeConfig.js).
+const boxShape = (type, center, width, height, rotation) => {
+  if (type === 'circle') {
+    return { type, x: center.x - width / 2, y: center.y - height / 2, width, height, rotation };
+  }
+  const corner = rotate({ x: -width / 2, y: -height / 2 }, rotation);
+  return { type, x: center.x + corner.x, y: center.y + corner.y, width, height, rotation };
+};
+
+// Corners of a closed stroke: its simplified outline without the closing
+// point and without points where it only runs straight on
+const findCorners = (points, size) => {
+  const outline = toVertices(simplifyStroke(points, undefined, size * cornerTolerance).points);
+  if (outline.length > 2 && norm(sub(outline[0], outline[outline.length - 1])) < size * closedGap) outline.pop();
+  let corners = outline;
+  let changed = true;
+  while (changed && corners.length > 2) {
+    changed = false;
+    for (let i = 0; i < corners.length; i += 1) {
+      const prev = corners[(i + corners.length - 1) % corners.length];
+      const next = corners[(i + 1) % corners.length];
+      if (cornerAngle(prev, corners[i], next) > 155) {
+        corners = corners.filter((_, k) => k !== i);
+        changed = true;
+        break;
+      }
+    }
+  }
+  return corners;
+};
+
+// Principal axes of the points: the angle of the long axis and the extent
+// of the points along both axes
+const fitAxes = (vertices) => {
+  const mean = vertices.reduce((acc, p) => ({ x: acc.x + p.x / vertices.length, y: acc.y + p.y / vertices.length }), { x: 0, y: 0 });
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  vertices.forEach((p) => {
+    sxx += (p.x - mean.x) ** 2;
+    syy += (p.y - mean.y) ** 2;
+    sxy += (p.x - mean.x) * (p.y - mean.y);
+  });
+  const angle = toDegrees(0.5 * Math.atan2(2 * sxy, sxx - syy));
+  const local = vertices.map(p => rotate(sub(p, mean), -angle));
+  const xs = local.map(p => p.x);
+  const ys = local.map(p => p.y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const middle = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+  const offset = rotate(middle, angle);
+  return {
+    angle,
+    center: { x: mean.x + offset.x, y: mean.y + offset.y },
+    local: local.map(p => sub(p, middle)),
+    width: maxX - minX,
+    height: maxY - minY,
+  };
+};
+
+const recognizeEllipse = (vertices) => {
+  const { angle, center, local, width, height } = fitAxes(vertices);
+  if (width === 0 || height === 0) return null;
+  const error = local.reduce((sum, p) => (
+    sum + Math.abs(Math.hypot(p.x / (width / 2), p.y / (height / 2)) - 1)
+  ), 0) / local.length;
+  if (error > ellipseTolerance) return null;
+
+  // Nearly round ellipses become circles
+  if (Math.abs(width - height) < 0.1 * Math.max(width, height)) {
+    const diameter = (width + height) / 2;
+    return boxShape('circle', center, diameter, diameter, 0);
+  }
+  const box = levelBox(angle, width, height);
+  return boxShape('circle', center, box.width, box.height, box.rotation);
+};
+
+const recognizeRectangle = (corners) => {
+  const isSquare = corners.every((c, i) => (
+    Math.abs(cornerAngle(corners[(i + 3) % 4], c, corners[(i + 1) % 4]) - 90) < rightAngleTolerance
+  ));
+  if (!isSquare) return null;
+
+  const side = i => norm(sub(corners[(i + 1) % 4], corners[i]));
+  const edge = sub(corners[1], corners[0]);
+  const center = corners.reduce((acc, p) => ({ x: acc.x + p.x / 4, y: acc.y + p.y / 4 }), { x: 0, y: 0 });
+  const box = levelBox(toDegrees(Math.atan2(edge.y, edge.x)), (side(0) + side(2)) / 2, (side(1) + side(3)) / 2);
+  return boxShape('rectangle', center, box.width, box.height, box.rotation);
+};
+
+// A shaft with a head at its end, drawn in one go: the shaft is the first
+// and longest segment, and the head's barbs fold back from its tip on both
+// sides
+const recognizeArrow = (points, length) => {
+  const vertices = toVertices(simplifyStroke(points, undefined, length * cornerTolerance).points);
+  if (vertices.length < 4) return null;
+  const [tail, tip, ...head] = vertices;
+  const shaft = sub(tip, tail);
+  const shaftLength = norm(shaft);
+  if (shaftLength < length * 0.4) return null;
+
+  const sides = new Set();
+  for (const p of head) {
+    const offset = sub(p, tip);
+    if (norm(offset) > shaftLength * 0.6) return null; // Not part of the head
+    if (norm(offset) < shaftLength * 0.05) continue; // Back at the tip
+    if (dot(offset, shaft) >= 0) return null; // Barbs point back along the shaft
+    const angle = cornerAngle(tail, tip, p);
+    if (angle < 10 || angle > 80) return null;
+    sides.add(cross(shaft, offset) > 0 ? 'left' : 'right');
+  }
+  return sides.size === 2 ? { type: 'arrow', x: 0, y: 0, points: [tail.x, tail.y, tip.x, tip.y] } : null;
+};
+
+export const recognizeShape = (points) => {
+  if (!points || points.length < 6) return null;
+  const length = pathLength(points);
+  const vertices = toVertices(points);
+  const first = vertices[0];
+  const last = vertices[vertices.length - 1];
+  const xs = vertices.map(p => p.x);
+  const ys = vertices.map(p => p.y);
+  const size = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+  if (size < minSize) return null;
+
+  const gap = norm(sub(last, first));
+  if (gap > length * closedGap) {
+    if (simplifyStroke(points, undefined, gap * straightness).points.length === 4) {
+      return { type: 'line', x: 0, y: 0, points: [first.x, first.y, last.x, last.y] };
+    }
+    return recognizeArrow(points, length);
+  }
+
+  const ellipse = recognizeEllipse(vertices);
+  if (ellipse) return ellipse;
+
+  const corners = findCorners(points, size);
+  if (corners.length === 3) {
+    return { type: 'triangle', x: 0, y: 0, points: corners.flatMap(p => [p.x, p.y]) };
+  }
+  if (corners.length === 4) return recognizeRectangle(corners);
+  return null;
+};
@@ -0,0 +1,103 @@
+import { recognizeShape } from './shapeRecognition';
+
+// A hand-drawn stroke through `corners`: sampled every few units, with a
+// little wobble across the direction of travel
+const drawPath = (corners, wobble = 1.5) => {
+  const points = [];
+  let n = 0;
+  for (let i = 0; i + 1 < corners.length; i += 1) {
+    const [[ax, ay], [bx, by]] = [corners[i], corners[i + 1]];
+    const length = Math.hypot(bx - ax, by - ay);
+    const steps = Math.max(1, Math.round(length / 4));
+    for (let s = i === 0 ? 0 : 1; s <= steps; s += 1) {
+      const t = s / steps;
+      const offset = Math.sin(n * 1.7) * wobble;
+      n += 1;
+      points.push(ax + (bx - ax) * t - ((by - ay) / length) * offset, ay + (by - ay) * t + ((bx - ax) / length) * offset);
+    }
+  }
+  return points;
+};
+
+const drawEllipse = (cx, cy, rx, ry, degrees = 0, wobble = 1.5) => {
+  const rad = (degrees * Math.PI) / 180;
+  const points = [];
+  for (let i = 0; i <= 64; i += 1) {
+    const angle = (i / 64) * 2 * Math.PI;
+    const r = 1 + (Math.sin(i * 1.7) * wobble) / Math.max(rx, ry);
+    const [x, y] = [rx * r * Math.cos(angle), ry * r * Math.sin(angle)];
+    points.push(cx + x * Math.cos(rad) - y * Math.sin(rad), cy + x * Math.sin(rad) + y * Math.cos(rad));
+  }
+  return points;
+};
+
+describe('shape recognition', () => {
+  test('a straight stroke becomes a line between its ends', () => {
+    const shape = recognizeShape(drawPath([[10, 20], [210, 120]]));
+    expect(shape.type).toBe('line');
+    expect(shape.points[0]).toBeCloseTo(10, -1);
+    expect(shape.points[3]).toBeCloseTo(120, -1);
+  });
+
+  test('a closed stroke with four square corners becomes a rectangle', () => {
+    const shape = recognizeShape(drawPath([[0, 0], [200, 2], [201, 100], [1, 99], [0, 2]]));
+    expect(shape).toMatchObject({ type: 'rectangle', rotation: 0 });
+    expect(shape.x).toBeCloseTo(0, -1);
+    expect(shape.width).toBeCloseTo(200, -1);
+    expect(shape.height).toBeCloseTo(100, -1);
+  });
+
+  test('a tilted rectangle keeps its rotation', () => {
+    const rad = (30 * Math.PI) / 180;
+    const corner = (x, y) => [x * Math.cos(rad) - y * Math.sin(rad), x * Math.sin(rad) + y * Math.cos(rad)];
+    const shape = recognizeShape(drawPath([corner(0, 0), corner(200, 0), corner(200, 100), corner(0, 100), corner(0, 0)]));
+    expect(shape.type).toBe('rectangle');
+    expect(shape.rotation).toBeCloseTo(30, 0);
+    expect(shape.x).toBeCloseTo(0, -1);
+    expect(shape.y).toBeCloseTo(0, -1);
+    expect(shape.width).toBeCloseTo(200, -1);
+  });
+
+  test('a rectangle drawn starting on a side still has four corners', () => {
+    const shape = recognizeShape(drawPath([[100, 0], [200, 0], [200, 100], [0, 100], [0, 0], [95, 0]]));
+    expect(shape.type).toBe('rectangle');
+  });
+
+  test('round strokes become ellipses, nearly round ones circles', () => {
+    const ellipse = recognizeShape(drawEllipse(100, 100, 80, 40));
+    expect(ellipse).toMatchObject({ type: 'circle', rotation: 0 });
+    expect(ellipse.x).toBeCloseTo(20, -1);
+    expect(ellipse.width).toBeCloseTo(160, -1);
+    expect(ellipse.height).toBeCloseTo(80, -1);
+
+    const upright = recognizeShape(drawEllipse(100, 100, 40, 80, 0));
+    expect(upright).toMatchObject({ type: 'circle', rotation: 0 });
+    expect(upright.height).toBeGreaterThan(upright.width);
+
+    const tilted = recognizeShape(drawEllipse(100, 100, 80, 40, 30));
+    expect(tilted.rotation).toBeCloseTo(30, 0);
+
+    const circle = recognizeShape(drawEllipse(0, 0, 50, 48));
+    expect(circle.width).toBe(circle.height);
+  });
+
+  test('a closed stroke with three corners becomes a triangle', () => {
+    const shape = recognizeShape(drawPath([[0, 100], [60, 0], [120, 100], [2, 98]]));
+    expect(shape.type).toBe('triangle');
+    expect(shape.points).toHaveLength(6);
+  });
+
+  test('a shaft with a head drawn at its end becomes an arrow', () => {
+    const shape = recognizeShape(drawPath([[0, 0], [200, 0], [180, -15], [200, 0], [180, 15]], 0.5));
+    expect(shape.type).toBe('arrow');
+    expect(shape.points[0]).toBeCloseTo(0, 0);
+    expect(shape.points[2]).toBeCloseTo(200, 0);
+  });
+
+  test('a head on one side only, scribbles and dots stay ink', () => {
+    expect(recognizeShape(drawPath([[0, 0], [200, 0], [180, -15]], 0.5))).toBeNull();
+    expect(recognizeShape(drawPath([[0, 0], [100, 80], [30, 120], [150, 10], [60, -40], [200, 60]]))).toBeNull();
+    expect(recognizeShape(drawPath([[0, 0], [4, 3], [1, 5]]))).toBeNull();
+    expect(recognizeShape([5, 5])).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+// Freehand stroke geometry: smoothing pen input, pressure-driven widths and
+// simplifying finished strokes.
+//
+// Strokes drawn with a stylus carry `pressures`, one value from 0 to 1 per
+// point. Their width varies along the stroke, so instead of a stroked line
+// they are drawn as a filled outline: a smooth curve through the points,
+// covered by a circle at every curve point and a band between neighbours.
+
+export const defaultPressure = 0.5; // Used where a pressure is missing
+const minWidthFactor = 0.25; // Width at no pressure, relative to strokeWidth
+const maxWidthFactor = 1.75; // At full pressure; half pressure draws strokeWidth
+const inputSmoothing = 0.5; // Share of the last smoothed point kept on each move
+const curveSteps = 4; // Curve points per stroke segment in outlines
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const pressureWidth = (strokeWidth, pressure = defaultPressure) => (
+  strokeWidth * (minWidthFactor + (maxWidthFactor - minWidthFactor) * pressure)
+);
+
+// How much a stroke's transform scales its drawn width. Pressure strokes
+// are filled outlines, so resizing one scales its width too (by the mean of
+// the two directions when it is stretched); plain strokes keep theirs.
+export const getWidthScale = (line) => (
+  line.pressures ? Math.sqrt(Math.abs((line.scaleX || 1) * (line.scaleY || 1))) : 1
+);
+
+// Widest the stroke is drawn on the page, for hit-testing and bounds
+export const getMaxLineWidth = (line) => (
+  line.pressures && line.pressures.length > 0
+    ? pressureWidth(line.strokeWidth || 0, line.pressures.reduce((max, p) => Math.max(max, p), 0)) * getWidthScale(line)
+    : line.strokeWidth || 0
+);
+
+// Move part of the way from the last smoothed sample toward the raw one,
+// which filters out pointer jitter without noticeable lag
+export const smoothInput = (last, raw, amount = inputSmoothing) => ({
+  x: last.x + (raw.x - last.x) * (1 - amount),
+  y: last.y + (raw.y - last.y) * (1 - amount),
+  pressure: last.pressure + (raw.pressure - last.pressure) * (1 - amount),
+});
+
+// Catmull-Rom curve through the points, with pressures interpolated. Plain
+// strokes get the same smoothing from Konva's line tension.
+const getCurve = (points, pressures) => {
+  const count = points.length / 2;
+  const pressureAt = i => (pressures[i] !== undefined ? pressures[i] : defaultPressure);
+  if (count < 3) return { points, pressures: Array.from({ length: count }, (_, i) => pressureAt(i)) };
+
+  const at = i => Math.min(Math.max(i, 0), count - 1) * 2;
+  const curvePoints = [];
+  const curvePressures = [];
+  for (let i = 0; i < count - 1; i += 1) {
+    const [p0, p1, p2, p3] = [at(i - 1), at(i), at(i + 1), at(i + 2)];
+    for (let step = 0; step < curveSteps; step += 1) {
+      const t = step / curveSteps;
+      const spline = (a, b, c, d) => 0.5 * (
+        2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t * t + (3 * b - a - 3 * c + d) * t * t * t
+      );
+      curvePoints.push(
+        spline(points[p0], points[p1], points[p2], points[p3]),
+        spline(points[p0 + 1], points[p1 + 1], points[p2 + 1], points[p3 + 1]),
+      );
+      curvePressures.push(pressureAt(i) + (pressureAt(i + 1) - pressureAt(i)) * t);
+    }
+  }
+  curvePoints.push(points[points.length - 2], points[points.length - 1]);
+  curvePressures.push(pressureAt(count - 1));
+  return { points: curvePoints, pressures: curvePressures };
+};
+
+// SVG path data filling the outline of a pressure stroke. Every subpath
+// winds the same way, so with the default nonzero fill rule they merge into
+// one shape, on canvas (Konva.Path) and in SVG alike.
+export const getPressureOutline = (points, pressures, strokeWidth) => {
+  const curve = getCurve(points, pressures);
+  const radius = i => pressureWidth(strokeWidth, curve.pressures[i]) / 2;
+  const parts = [];
+
+  for (let i = 0; i + 1 < curve.points.length; i += 2) {
+    const [x, y, r] = [curve.points[i], curve.points[i + 1], radius(i / 2)];
+    parts.push(`M${round(x + r)} ${round(y)}A${round(r)} ${round(r)} 0 1 0 ${round(x - r)} ${round(y)}`
+      + `A${round(r)} ${round(r)} 0 1 0 ${round(x + r)} ${round(y)}Z`);
+  }
+
+  for (let i = 0; i + 3 < curve.points.length; i += 2) {
+    const [ax, ay, bx, by] = curve.points.slice(i, i + 4);
+    const length = Math.hypot(bx - ax, by - ay);
+    if (length === 0) continue;
+    const [nx, ny] = [-(by - ay) / length, (bx - ax) / length];
+    const [ra, rb] = [radius(i / 2), radius(i / 2 + 1)];
+    parts.push(`M${round(ax + nx * ra)} ${round(ay + ny * ra)}L${round(bx + nx * rb)} ${round(by + ny * rb)}`
+      + `L${round(bx - nx * rb)} ${round(by - ny * rb)}L${round(ax - nx * ra)} ${round(ay - ny * ra)}Z`);
+  }
+
+  return parts.join('');
+};
+
+// Distance from p to the segment a-b, in any number of dimensions
+const distanceToSegment = (p, a, b) => {
+  const ab = b.map((v, k) => v - a[k]);
+  const lengthSq = ab.reduce((sum, v) => sum + v * v, 0);
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ab.reduce((sum, v, k) => sum + v * (p[k] - a[k]), 0) / lengthSq));
+  return Math.hypot(...p.map((v, k) => v - (a[k] + t * ab[k])));
+};
+
+// Ramer-Douglas-Peucker: drop the points that lie within `tolerance` of the
+// line between the points kept around them. For pressure strokes the half
+// width counts as a third coordinate, so changes in width survive too.
+// Returns { points, pressures } (pressures undefined for plain strokes).
+export const simplifyStroke = (points, pressures, tolerance, strokeWidth = 0) => {
+  const count = points.length / 2;
+  if (count <= 2) return { points, pressures };
+
+  const coords = i => (pressures
+    ? [points[i * 2], points[i * 2 + 1], pressureWidth(strokeWidth, pressures[i]) / 2]
+    : [points[i * 2], points[i * 2 + 1]]);
+  const keep = new Array(count).fill(false);
+  keep[0] = true;
+  keep[count - 1] = true;
+
+  const ranges = [[0, count - 1]];
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let farthest = -1;
+    let maxDistance = tolerance;
+    for (let i = first + 1; i < last; i += 1) {
+      const distance = distanceToSegment(coords(i), coords(first), coords(last));
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      ranges.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  const kept = keep.map((k, i) => (k ? i : -1)).filter(i => i !== -1);
+  return {
+    points: kept.flatMap(i => [points[i * 2], points[i * 2 + 1]]),
+    pressures: pressures ? kept.map(i => pressures[i]) : undefined,
+  };
+};
@@ -0,0 +1,41 @@
+import { getMaxLineWidth, getPressureOutline, pressureWidth, simplifyStroke, smoothInput } from './stroke';
+
+describe('stroke geometry', () => {
+  test('pressure scales the width around the chosen stroke width', () => {
+    expect(pressureWidth(10, 0.5)).toBe(10);
+    expect(pressureWidth(10, 0)).toBeLessThan(pressureWidth(10, 1));
+    expect(getMaxLineWidth({ strokeWidth: 10 })).toBe(10);
+    expect(getMaxLineWidth({ strokeWidth: 10, pressures: [0.2, 1, 0.5] })).toBe(pressureWidth(10, 1));
+  });
+
+  test('input smoothing moves part of the way toward the pointer', () => {
+    expect(smoothInput({ x: 0, y: 0, pressure: 0 }, { x: 10, y: -10, pressure: 1 })).toEqual({ x: 5, y: -5, pressure: 0.5 });
+  });
+
+  test('simplifying drops points that make no visible difference', () => {
+    // A straight stroke sampled every pixel, with a little jitter
+    const points = [];
+    for (let x = 0; x <= 200; x += 1) points.push(x, x % 2 === 0 ? 0 : 0.1);
+    const simplified = simplifyStroke(points, undefined, 0.5);
+    expect(simplified.points).toEqual([0, 0, 200, 0]);
+    expect(simplified.pressures).toBeUndefined();
+
+    // Corners stay
+    expect(simplifyStroke([0, 0, 5, 0, 10, 0, 10, 5, 10, 10], undefined, 0.5).points).toEqual([0, 0, 10, 0, 10, 10]);
+  });
+
+  test('simplifying keeps changes in pressure', () => {
+    const points = [0, 0, 50, 0, 100, 0, 150, 0, 200, 0];
+    expect(simplifyStroke(points, [0.5, 0.5, 0.5, 0.5, 0.5], 0.5, 10).pressures).toEqual([0.5, 0.5]);
+    const swelling = simplifyStroke(points, [0.2, 0.6, 1, 0.6, 0.2], 0.5, 10);
+    expect(swelling.points).toEqual([0, 0, 100, 0, 200, 0]);
+    expect(swelling.pressures).toEqual([0.2, 1, 0.2]);
+  });
+
+  test('pressure strokes are drawn as one outline covering every point', () => {
+    const outline = getPressureOutline([0, 0, 10, 0], [0.5, 1], 4);
+    expect(outline).toMatch(/^M2 0A2 2 0 1 0 -2 0A2 2 0 1 0 2 0Z/);
+    expect(outline).toContain('M0 2L10 3.5L10 -3.5L0 -2Z');
+    expect(getPressureOutline([5, 5], [0.5], 4)).toBe('M7 5A2 2 0 1 0 3 5A2 2 0 1 0 7 5Z');
+  });
+});
@@ -0,0 +1,24 @@
+// Calls `send` with the latest arguments at most every `interval` ms. The
+// last call always goes out, after the interval if needed.
+export const createThrottle = (send, interval) => {
+  let lastSent = 0;
+  let pending = null;
+  let timer = null;
+
+  const throttled = (...args) => {
+    pending = args;
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      lastSent = Date.now();
+      send(...pending);
+    }, Math.max(0, lastSent + interval - Date.now()));
+  };
+
+  throttled.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return throttled;
+};
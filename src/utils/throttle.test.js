@@ -0,0 +1,32 @@
+import { createThrottle } from './throttle';
+
+describe('createThrottle', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('sends the latest value at most once per interval', () => {
+    const sent = [];
+    const send = createThrottle(value => sent.push(value), 50);
+
+    send(1);
+    send(2);
+    jest.advanceTimersByTime(0);
+    expect(sent).toEqual([2]);
+
+    send(3);
+    send(4);
+    jest.advanceTimersByTime(20);
+    expect(sent).toEqual([2]);
+    jest.advanceTimersByTime(30);
+    expect(sent).toEqual([2, 4]);
+  });
+
+  test('cancel drops a pending call', () => {
+    const send = jest.fn();
+    const throttled = createThrottle(send, 50);
+    throttled(1);
+    throttled.cancel();
+    jest.advanceTimersByTime(100);
+    expect(send).not.toHaveBeenCalled();
+  });
+});
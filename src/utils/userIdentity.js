@@ -0,0 +1,50 @@
+// This browser's display name and color, shown to the others on a board,
+// and the key that marks what it draws as its own
+
+const storageKey = 'whiteboard.user';
+
+export const userColors = ['#E6194B', '#3CB44B', '#4363D8', '#F58231', '#911EB4', '#42D4F4', '#F032E6', '#9A6324'];
+
+export const saveUser = (user) => {
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify(user));
+  } catch (err) {
+    // Storage unavailable; the name lasts for this visit only
+  }
+};
+
+export const loadUser = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(storageKey));
+    if (stored && typeof stored.name === 'string' && typeof stored.color === 'string') return stored;
+  } catch (err) {
+    // Fall through to a new guest identity
+  }
+  const user = {
+    name: `Guest ${Math.floor(100 + Math.random() * 900)}`,
+    color: userColors[Math.floor(Math.random() * userColors.length)],
+  };
+  saveUser(user);
+  return user;
+};
+
+// Secret that marks this browser as the author of what it draws (see
+// getAuthorId in server/boards.js). Never shown to anyone else.
+const authorKeyStorageKey = 'whiteboard.authorKey';
+
+export const loadAuthorKey = () => {
+  try {
+    const stored = window.localStorage.getItem(authorKeyStorageKey);
+    if (stored) return stored;
+  } catch (err) {
+    // Fall through to a new key
+  }
+  const bytes = window.crypto.getRandomValues(new Uint8Array(18));
+  const key = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  try {
+    window.localStorage.setItem(authorKeyStorageKey, key);
+  } catch (err) {
+    // Storage unavailable; the key lasts for this visit only
+  }
+  return key;
+};